@@ -0,0 +1,12 @@
+module.exports = {
+  description: 'soul_contracts: one row per contract',
+  up: `
+    CREATE TABLE IF NOT EXISTS soul_contracts (
+      id VARCHAR PRIMARY KEY,
+      contract_status VARCHAR,
+      soul_type VARCHAR,
+      contract_location VARCHAR,
+      updated_at TIMESTAMP
+    )`,
+  down: 'DROP TABLE IF EXISTS soul_contracts'
+};
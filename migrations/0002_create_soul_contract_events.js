@@ -0,0 +1,11 @@
+module.exports = {
+  description: 'soul_contract_events: contract history',
+  up: `
+    CREATE TABLE IF NOT EXISTS soul_contract_events (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      soul_contract_id VARCHAR NOT NULL,
+      event_time TIMESTAMP,
+      description TEXT
+    )`,
+  down: 'DROP TABLE IF EXISTS soul_contract_events'
+};
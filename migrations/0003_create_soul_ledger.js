@@ -0,0 +1,12 @@
+module.exports = {
+  description: 'soul_ledger: power transactions',
+  up: `
+    CREATE TABLE IF NOT EXISTS soul_ledger (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      soul_contract_id VARCHAR NOT NULL,
+      amount NUMERIC,
+      transaction_time TIMESTAMP,
+      description TEXT
+    )`,
+  down: 'DROP TABLE IF EXISTS soul_ledger'
+};
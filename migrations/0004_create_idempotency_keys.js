@@ -0,0 +1,13 @@
+module.exports = {
+  description: 'idempotency_keys: stored responses for Idempotency-Key POSTs',
+  up: `
+    CREATE TABLE IF NOT EXISTS idempotency_keys (
+      idempotency_key VARCHAR PRIMARY KEY,
+      request_hash VARCHAR NOT NULL,
+      status_code INTEGER NOT NULL,
+      response_body TEXT NOT NULL,
+      created_at TIMESTAMP NOT NULL,
+      expires_at TIMESTAMP NOT NULL
+    )`,
+  down: 'DROP TABLE IF EXISTS idempotency_keys'
+};
@@ -0,0 +1,7 @@
+const { createIndexStatement } = require('../src/lib/environment');
+
+module.exports = {
+  description: 'ix_events_scid on soul_contract_events(soul_contract_id)',
+  up: createIndexStatement('ix_events_scid', 'soul_contract_events', ['soul_contract_id']),
+  down: 'DROP INDEX IF EXISTS ix_events_scid'
+};
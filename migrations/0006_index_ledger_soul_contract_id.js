@@ -0,0 +1,7 @@
+const { createIndexStatement } = require('../src/lib/environment');
+
+module.exports = {
+  description: 'ix_ledger_scid on soul_ledger(soul_contract_id)',
+  up: createIndexStatement('ix_ledger_scid', 'soul_ledger', ['soul_contract_id']),
+  down: 'DROP INDEX IF EXISTS ix_ledger_scid'
+};
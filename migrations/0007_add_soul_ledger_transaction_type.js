@@ -0,0 +1,5 @@
+module.exports = {
+  description: 'soul_ledger.transaction_type: credit, debit or refund',
+  // DSQL cannot drop columns, so this migration is irreversible.
+  up: 'ALTER TABLE soul_ledger ADD COLUMN IF NOT EXISTS transaction_type VARCHAR'
+};
@@ -1,38 +1,25 @@
 #!/usr/bin/env node
 
 require('dotenv').config();
-const { DynamoDBClient, QueryCommand, BatchGetItemCommand, TransactWriteItemsCommand } = require('@aws-sdk/client-dynamodb');
-const { DsqlSigner } = require('@aws-sdk/dsql-signer');
-const { Client } = require('pg');
+const { createDsqlPool } = require('../src/lib/dsqlPool');
+const { artifactDescription } = require('../src/lib/benchmarkArtifacts');
+const { DsqlSoulRepository, DynamoSoulRepository } = require('../src/lib/soulRepository');
 
 const DSQL_ENDPOINT = process.env.DSQL_ENDPOINT;
 const AWS_REGION = process.env.AWS_REGION || 'us-east-1';
-const TABLE_NAME = process.env.TABLE_NAME || 'DevilSoulTracker';
 
-const dynamodb = new DynamoDBClient({ region: AWS_REGION });
+const dynamo = new DynamoSoulRepository({ region: AWS_REGION });
 
 class BenchmarkSuite {
   constructor() {
-    this.dsqlClient = null;
+    this.dsqlPool = null;
+    this.dsql = null;
   }
 
-  async connectDSQL() {
-    const signer = new DsqlSigner({ 
-      hostname: DSQL_ENDPOINT,
-      region: AWS_REGION 
-    });
-    const token = await signer.getDbConnectAdminAuthToken();
-    
-    this.dsqlClient = new Client({
-      host: DSQL_ENDPOINT,
-      port: 5432,
-      user: 'admin',
-      password: token,
-      database: 'postgres',
-      ssl: { rejectUnauthorized: false }
-    });
-    
-    await this.dsqlClient.connect();
+  connectDSQL() {
+    // One pooled connection so every sample reuses the same warm session.
+    this.dsqlPool = createDsqlPool({ endpoint: DSQL_ENDPOINT, region: AWS_REGION, max: 1 });
+    this.dsql = new DsqlSoulRepository(this.dsqlPool);
   }
 
   async runBenchmark() {
@@ -40,7 +27,7 @@ class BenchmarkSuite {
     console.log('==================================');
     console.log('📊 Enhanced statistical analysis with larger sample sizes\n');
 
-    await this.connectDSQL();
+    this.connectDSQL();
     await this.warmupConnections();
 
     // Get sample data for benchmarks
@@ -62,7 +49,7 @@ class BenchmarkSuite {
     // Benchmark 5: Complex Analytics (25 iterations)
     await this.benchmarkComplexAnalytics(25);
 
-    await this.dsqlClient.end();
+    await this.dsqlPool.end();
     console.log('\n🎯 BENCHMARK COMPLETE - Enhanced statistical confidence achieved!');
   }
 
@@ -70,17 +57,12 @@ class BenchmarkSuite {
     console.log('🔥 Warming up connections...');
     // DynamoDB warmup
     try {
-      await dynamodb.send(new QueryCommand({
-        TableName: TABLE_NAME,
-        KeyConditionExpression: 'PK = :pk',
-        ExpressionAttributeValues: { ':pk': 'WARMUP' },
-        Limit: 1
-      }));
+      await dynamo.getContract('WARMUP');
     } catch (e) { /* ignore */ }
 
     // DSQL warmup
     try {
-      await this.dsqlClient.query('SELECT 1 LIMIT 1');
+      await this.dsql.query('SELECT 1 LIMIT 1');
     } catch (e) { /* ignore */ }
     
     console.log('✅ Warmup complete\n');
@@ -95,28 +77,15 @@ class BenchmarkSuite {
     const dsqlTimes = [];
 
     for (let i = 0; i < iterations; i++) {
-      // DynamoDB query
+      // DynamoDB: one partition query
       const dynamoStart = process.hrtime.bigint();
-      const dynamoResult = await dynamodb.send(new QueryCommand({
-        TableName: TABLE_NAME,
-        KeyConditionExpression: 'PK = :pk',
-        ExpressionAttributeValues: { ':pk': { S: `SOUL#${soulId}` } }
-      }));
+      await dynamo.getProfile(soulId);
       const dynamoTime = Number(process.hrtime.bigint() - dynamoStart) / 1000000;
       dynamoTimes.push(dynamoTime);
 
-      // DSQL query
+      // DSQL: contract, events and ledger queries
       const dsqlStart = process.hrtime.bigint();
-      const dsqlResult = await this.dsqlClient.query(`
-        SELECT sc.*,
-               array_agg(sce.description) as events,
-               sum(sl.amount) as total_power
-        FROM soul_contracts sc
-        LEFT JOIN soul_contract_events sce ON sc.id = sce.soul_contract_id  
-        LEFT JOIN soul_ledger sl ON sc.id = sl.soul_contract_id
-        WHERE sc.id = $1
-        GROUP BY sc.id, sc.contract_status, sc.soul_type, sc.contract_location, sc.updated_at
-      `, [soulId]);
+      await this.dsql.getProfile(soulId);
       const dsqlTime = Number(process.hrtime.bigint() - dsqlStart) / 1000000;
       dsqlTimes.push(dsqlTime);
 
@@ -159,33 +128,13 @@ class BenchmarkSuite {
     for (let i = 0; i < iterations; i++) {
       // DSQL analytics query
       const dsqlStart = Date.now();
-      await this.dsqlClient.query(`
-        SELECT 
-          sc.contract_location,
-          COUNT(*) as soul_count,
-          COUNT(CASE WHEN sc.contract_status = 'Redeemed' THEN 1 END) as redeemed,
-          SUM(COALESCE(sl.amount, 0)) as total_power,
-          AVG(COALESCE(sl.amount, 0)) as avg_power_per_soul,
-          ROUND(COUNT(CASE WHEN sc.contract_status = 'Redeemed' THEN 1 END) * 100.0 / COUNT(*), 1) as redemption_rate
-        FROM soul_contracts sc
-        LEFT JOIN soul_ledger sl ON sc.id = sl.soul_contract_id
-        GROUP BY sc.contract_location
-        ORDER BY total_power DESC
-      `);
+      await this.dsql.locationAnalytics();
       const dsqlTime = Date.now() - dsqlStart;
       dsqlTimes.push(dsqlTime);
 
-      // DynamoDB equivalent (simplified for benchmark)
+      // DynamoDB equivalent: LocationIndex pages plus a ledger query per soul
       const dynamoStart = Date.now();
-      const locations = ['Highway_66', 'Desert_Crossroads', 'Abandoned_Church', 'City_Alley', 'Graveyard', 'Hell_Gate'];
-      for (const location of locations) {
-        await dynamodb.send(new QueryCommand({
-          TableName: TABLE_NAME,
-          IndexName: 'LocationIndex',
-          KeyConditionExpression: 'contract_location = :location',
-          ExpressionAttributeValues: { ':location': { S: location } }
-        }));
-      }
+      await dynamo.locationAnalytics();
       const dynamoTime = Date.now() - dynamoStart;
       dynamoTimes.push(dynamoTime);
 
@@ -217,39 +166,20 @@ class BenchmarkSuite {
     for (let i = 0; i < iterations; i++) {
       // DynamoDB BatchGet
       const dynamoBatchStart = Date.now();
-      await dynamodb.send(new BatchGetItemCommand({
-        RequestItems: {
-          [TABLE_NAME]: {
-            Keys: soulIds.slice(0, 8).map(id => ({
-              PK: { S: `SOUL#${id}` },
-              SK: { S: 'CONTRACT' }
-            }))
-          }
-        }
-      }));
+      await dynamo.getContracts(soulIds.slice(0, 8));
       const dynamoBatchTime = Date.now() - dynamoBatchStart;
       dynamoBatchTimes.push(dynamoBatchTime);
 
       // DSQL batch with IN clause
       const dsqlBatchStart = Date.now();
-      await this.dsqlClient.query(
-        'SELECT * FROM soul_contracts WHERE id = ANY($1::text[])',
-        [soulIds.slice(0, 8)]
-      );
+      await this.dsql.getContracts(soulIds.slice(0, 8));
       const dsqlBatchTime = Date.now() - dsqlBatchStart;
       dsqlBatchTimes.push(dsqlBatchTime);
 
       // DynamoDB individual queries (for comparison)
       const dynamoIndividualStart = Date.now();
       for (const soulId of soulIds.slice(0, 8)) {
-        await dynamodb.send(new QueryCommand({
-          TableName: TABLE_NAME,
-          KeyConditionExpression: 'PK = :pk AND SK = :sk',
-          ExpressionAttributeValues: {
-            ':pk': { S: `SOUL#${soulId}` },
-            ':sk': { S: 'CONTRACT' }
-          }
-        }));
+        await dynamo.getContract(soulId);
       }
       const dynamoIndividualTime = Date.now() - dynamoIndividualStart;
       dynamoIndividualTimes.push(dynamoIndividualTime);
@@ -280,37 +210,12 @@ class BenchmarkSuite {
 
     for (let i = 0; i < iterations; i++) {
       const timestamp = new Date().toISOString();
-      const amount = Math.floor(Math.random() * 1000) + 100;
+      const event = { description: artifactDescription(`Benchmark event ${i}`), timestamp };
 
       // DynamoDB transaction
       const dynamoStart = Date.now();
       try {
-        await dynamodb.send(new TransactWriteItemsCommand({
-          TransactItems: [
-            {
-              Update: {
-                TableName: TABLE_NAME,
-                Key: { 
-                  PK: { S: `SOUL#${soulId}` }, 
-                  SK: { S: 'CONTRACT' } 
-                },
-                UpdateExpression: 'SET updated_at = :timestamp',
-                ExpressionAttributeValues: { ':timestamp': { S: timestamp } }
-              }
-            },
-            {
-              Put: {
-                TableName: TABLE_NAME,
-                Item: {
-                  PK: { S: `SOUL#${soulId}` },
-                  SK: { S: `EVENT#${timestamp}` },
-                  description: { S: `Benchmark event ${i}` },
-                  timestamp: { S: timestamp }
-                }
-              }
-            }
-          ]
-        }));
+        await dynamo.appendEvent(soulId, event);
         const dynamoTime = Date.now() - dynamoStart;
         dynamoTimes.push(dynamoTime);
       } catch (error) {
@@ -320,20 +225,10 @@ class BenchmarkSuite {
       // DSQL transaction
       const dsqlStart = Date.now();
       try {
-        await this.dsqlClient.query('BEGIN');
-        await this.dsqlClient.query(
-          'UPDATE soul_contracts SET updated_at = $1 WHERE id = $2',
-          [timestamp, soulId]
-        );
-        await this.dsqlClient.query(
-          'INSERT INTO soul_contract_events (soul_contract_id, description, event_time) VALUES ($1, $2, $3)',
-          [soulId, `Benchmark event ${i}`, timestamp]
-        );
-        await this.dsqlClient.query('COMMIT');
+        await this.dsql.appendEvent(soulId, event);
         const dsqlTime = Date.now() - dsqlStart;
         dsqlTimes.push(dsqlTime);
       } catch (error) {
-        await this.dsqlClient.query('ROLLBACK');
         console.log(`   ⚠️ DSQL transaction ${i} failed: ${error.message}`);
       }
 
@@ -371,7 +266,7 @@ class BenchmarkSuite {
 
     for (let i = 0; i < iterations; i++) {
       const complexStart = Date.now();
-      await this.dsqlClient.query(`
+      await this.dsql.query(`
         WITH location_stats AS (
           SELECT 
             sc.contract_location,
@@ -498,44 +393,27 @@ class BenchmarkSuite {
   }
 
   async getSampleSoulId() {
-    const dynamoResult = await dynamodb.send(new QueryCommand({
-      TableName: TABLE_NAME,
-      IndexName: 'StatusIndex',
-      KeyConditionExpression: '#status = :status',
-      ExpressionAttributeNames: { '#status': 'status' },
-      ExpressionAttributeValues: { ':status': { S: 'Bound' } },
-      Limit: 10
-    }));
+    const { items } = await dynamo.listByStatus('Bound', { limit: 10 });
     
-    if (dynamoResult.Items.length === 0) throw new Error('No sample data found');
+    if (items.length === 0) throw new Error('No sample data found');
     
     // Find a soul that exists in both databases
-    for (const item of dynamoResult.Items) {
-      const soulId = item.soulId.S;
+    for (const contract of items) {
       try {
-        const dsqlCheck = await this.dsqlClient.query('SELECT id FROM soul_contracts WHERE id = $1', [soulId]);
-        if (dsqlCheck.rows.length > 0) {
-          return soulId;
+        if (await this.dsql.getContract(contract.soulId)) {
+          return contract.soulId;
         }
       } catch (error) {
         continue;
       }
     }
     
-    return dynamoResult.Items[0].soulId.S;
+    return items[0].soulId;
   }
 
   async getMultipleSoulIds(count) {
-    const result = await dynamodb.send(new QueryCommand({
-      TableName: TABLE_NAME,
-      IndexName: 'StatusIndex',
-      KeyConditionExpression: '#status = :status',
-      ExpressionAttributeNames: { '#status': 'status' },
-      ExpressionAttributeValues: { ':status': { S: 'Bound' } },
-      Limit: count
-    }));
-    
-    return result.Items.map(item => item.soulId.S);
+    const { items } = await dynamo.listByStatus('Bound', { limit: count });
+    return items.map(contract => contract.soulId);
   }
 }
 
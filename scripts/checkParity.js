@@ -1,17 +1,28 @@
 #!/usr/bin/env node
 
 require('dotenv').config();
-const {
-  DynamoDBClient,
-  ScanCommand,
-  QueryCommand
-} = require('@aws-sdk/client-dynamodb');
-const { DsqlSigner } = require('@aws-sdk/dsql-signer');
-const { Client } = require('pg');
+const { createHash } = require('crypto');
+const fs = require('fs');
+const { runBatches, chunk } = require('../src/lib/batches');
+const { CHECK_TYPES, CheckReport, defaultReportPath, parseReportFormat } = require('../src/lib/checkReport');
+const { createDsqlPool } = require('../src/lib/dsqlPool');
+const { describeDsqlTarget, isLocal } = require('../src/lib/environment');
+const { isEmptyPlan, planActions, planRepair } = require('../src/lib/parityRepair');
+const { ParityRules } = require('../src/lib/parityRules');
+const { DsqlSoulRepository, DynamoSoulRepository } = require('../src/lib/soulRepository');
 
 const DSQL_ENDPOINT = process.env.DSQL_ENDPOINT;
 const AWS_REGION = process.env.AWS_REGION || 'us-east-1';
 const TABLE_NAME = process.env.TABLE_NAME || 'DevilSoulTracker';
+const DEFAULT_SEGMENTS = 8;
+const DEFAULT_BATCH_SIZE = 500;
+const DEFAULT_DETAIL_LIMIT = 100;
+const DETAIL_CONCURRENCY = 4;
+const PROGRESS_INTERVAL_MS = 2000;
+const DEFAULT_AUDIT_FILE = 'parity-repairs.ndjson';
+const BACKEND_LABELS = { dynamo: 'DynamoDB', dsql: 'DSQL' };
+const COLLECTION_LABELS = { events: 'events', ledger: 'ledger entries' };
+const CONTRACT_FIELDS = ['status', 'soulType', 'contractLocation'];
 
 class DataParityChecker {
   constructor(options = {}) {
@@ -19,36 +30,46 @@ class DataParityChecker {
       sampleSize: coercePositiveInt(options.sampleSize) ?? coercePositiveInt(options.souls) ?? 25,
       soulIds: Array.isArray(options.soulsList) ? options.soulsList : [],
       includeEvents: options.skipEvents ? false : true,
-      includeLedger: options.skipLedger ? false : true
+      includeLedger: options.skipLedger ? false : true,
+      full: Boolean(options.full),
+      segments: coercePositiveInt(options.segments) ?? DEFAULT_SEGMENTS,
+      batchSize: coercePositiveInt(options.batchSize) ?? DEFAULT_BATCH_SIZE,
+      detailLimit: coercePositiveInt(options.detailLimit) ?? DEFAULT_DETAIL_LIMIT,
+      repair: Boolean(options.repair),
+      source: typeof options.source === 'string' ? options.source.toLowerCase() : null,
+      dryRun: Boolean(options.dryRun),
+      removeExtras: Boolean(options.removeExtras),
+      auditFile: typeof options.auditFile === 'string' ? options.auditFile : DEFAULT_AUDIT_FILE,
+      format: parseReportFormat(options.format),
+      out: typeof options.out === 'string' ? options.out : null
     };
+    if (this.config.out && !this.config.format) {
+      this.config.format = this.config.out.endsWith('.xml') ? 'junit' : 'json';
+    }
+
+    this.rules = ParityRules.load(typeof options.rules === 'string' ? options.rules : undefined);
+
+    if (this.config.repair && !BACKEND_LABELS[this.config.source]) {
+      throw new Error('--repair needs --source dynamo or --source dsql (the backend to treat as correct)');
+    }
 
-    if (!DSQL_ENDPOINT) {
+    if (!DSQL_ENDPOINT && !isLocal()) {
       throw new Error('DSQL_ENDPOINT must be set to run the parity checker');
     }
 
-    this.dynamoClient = new DynamoDBClient({ region: AWS_REGION });
-    this.dsqlClientPromise = null;
+    this.dynamo = new DynamoSoulRepository({ region: AWS_REGION, tableName: TABLE_NAME });
+    this.dsqlPool = null;
     this.mismatches = [];
     this.checkedSouls = 0;
+    this.repairs = { souls: 0, actions: 0, unresolved: [] };
+    this.report = new CheckReport('parity');
   }
 
-  async connectDSQL() {
-    if (!this.dsqlClientPromise) {
-      const signer = new DsqlSigner({ hostname: DSQL_ENDPOINT, region: AWS_REGION });
-      this.dsqlClientPromise = signer.getDbConnectAdminAuthToken()
-        .then(token => {
-          const client = new Client({
-            host: DSQL_ENDPOINT,
-            port: 5432,
-            user: 'admin',
-            password: token,
-            database: 'postgres',
-            ssl: { rejectUnauthorized: false }
-          });
-          return client.connect().then(() => client);
-        });
+  connectDSQL() {
+    if (!this.dsqlPool) {
+      this.dsqlPool = createDsqlPool({ endpoint: DSQL_ENDPOINT, region: AWS_REGION });
     }
-    return this.dsqlClientPromise;
+    return this.dsqlPool;
   }
 
   async resolveSoulIds() {
@@ -57,177 +78,256 @@ class DataParityChecker {
     }
 
     const soulIds = [];
-    let lastEvaluatedKey;
-
-    while (soulIds.length < this.config.sampleSize) {
-      const response = await this.dynamoClient.send(new ScanCommand({
-        TableName: TABLE_NAME,
-        ProjectionExpression: 'PK',
-        FilterExpression: 'SK = :sk',
-        ExpressionAttributeValues: {
-          ':sk': { S: 'CONTRACT' }
-        },
-        ExclusiveStartKey: lastEvaluatedKey
-      }));
-
-      const items = response.Items || [];
-      for (const item of items) {
-        if (!item.PK?.S?.startsWith('SOUL#')) {
-          continue;
-        }
-        const soulId = item.PK.S.replace('SOUL#', '');
-        soulIds.push(soulId);
-        if (soulIds.length >= this.config.sampleSize) {
-          break;
-        }
-      }
-
-      if (!response.LastEvaluatedKey || soulIds.length >= this.config.sampleSize) {
-        break;
-      }
-      lastEvaluatedKey = response.LastEvaluatedKey;
-    }
-
-    return soulIds;
+    let cursor;
+
+    do {
+      const page = await this.dynamo.listContracts({
+        limit: this.config.sampleSize - soulIds.length,
+        cursor
+      });
+      soulIds.push(...page.items.map(contract => contract.soulId));
+      cursor = page.nextCursor;
+    } while (cursor && soulIds.length < this.config.sampleSize);
+
+    return soulIds.slice(0, this.config.sampleSize);
   }
 
-  async fetchDynamoSoul(soulId) {
-    const response = await this.dynamoClient.send(new QueryCommand({
-      TableName: TABLE_NAME,
-      KeyConditionExpression: 'PK = :pk',
-      ExpressionAttributeValues: {
-        ':pk': { S: `SOUL#${soulId}` }
-      },
-      ScanIndexForward: true
-    }));
-
-    const contractItem = response.Items.find(item => item.SK?.S === 'CONTRACT');
-    const events = [];
-    const ledger = [];
-
-    for (const item of response.Items) {
-      const sortKey = item.SK?.S || '';
-      if (sortKey === 'CONTRACT') {
-        continue;
-      }
-      if (sortKey.startsWith('EVENT#')) {
-        events.push(this.parseDynamoEventItem(item));
-      } else if (sortKey.startsWith('LEDGER#')) {
-        ledger.push(this.parseDynamoLedgerItem(item));
-      }
-    }
-
+  async fetchSoul(repository, soulId) {
+    const profile = await repository.getProfile(soulId);
     return {
       soulId,
-      contract: contractItem ? this.parseDynamoContractItem(contractItem) : null,
-      events: events.sort((a, b) => a.timestamp.localeCompare(b.timestamp)),
-      ledger: ledger.sort((a, b) => a.timestamp.localeCompare(b.timestamp))
+      contract: profile ? profile.contract : null,
+      events: profile && this.config.includeEvents ? profile.events : [],
+      ledger: profile && this.config.includeLedger ? profile.ledger : []
     };
   }
 
-  parseDynamoContractItem(item) {
-    return {
-      soulId: item.soulId?.S || item.PK?.S?.replace('SOUL#', ''),
-      status: item.status?.S || item.contract_status?.S || 'Unknown',
-      soulType: item.soul_type?.S || item.soulType?.S || null,
-      contractLocation: item.contract_location?.S || item.contractLocation?.S || null,
-      updatedAt: item.updatedAt?.S || item.createdAt?.S || null,
-      createdAt: item.createdAt?.S || null
-    };
+  /**
+   * Content hash of the fields compareSoul() checks, after the rules'
+   * normalization. Events and ledger entries are hashed in a canonical
+   * order, so rows that tie on timestamp don't produce false mismatches.
+   * Amounts are hashed exactly; souls that differ only within the amount
+   * tolerance are cleared by the detail pass.
+   *
+   * @param {import('../src/lib/soulRepository').SoulProfile} profile
+   * @returns {string}
+   */
+  soulDigest(profile) {
+    const hash = createHash('sha1');
+    const fields = CONTRACT_FIELDS.map(field => normalizeValue(this.rules.field(profile.contract, field)));
+    hash.update(JSON.stringify(fields));
+    if (this.config.includeEvents) {
+      const events = profile.events.map(event => this.rules.entry(event))
+        .map(event => JSON.stringify([event.timestamp, event.description || '']))
+        .sort();
+      hash.update(`\nevents:${events.join('\n')}`);
+    }
+    if (this.config.includeLedger) {
+      const ledger = profile.ledger.map(entry => this.rules.entry(entry))
+        .map(entry => JSON.stringify([entry.timestamp, entry.description || '', entry.amount]))
+        .sort();
+      hash.update(`\nledger:${ledger.join('\n')}`);
+    }
+    return hash.digest('hex');
   }
 
-  parseDynamoEventItem(item) {
-    const timestamp = item.timestamp?.S || item.SK?.S?.replace('EVENT#', '') || null;
-    return {
-      timestamp,
-      description: item.description?.S || null
-    };
-  }
+  /**
+   * Compares the sampled (or --soul) souls one full profile at a time.
+   */
+  async checkSample(dsql) {
+    const soulIds = await this.resolveSoulIds();
+    if (!soulIds.length) {
+      console.log('No souls found to compare.');
+      return;
+    }
 
-  parseDynamoLedgerItem(item) {
-    const timestamp = item.timestamp?.S || item.SK?.S?.replace('LEDGER#', '') || null;
-    const amountValue = item.amount?.N ? Number(item.amount.N) : null;
-    return {
-      timestamp,
-      description: item.description?.S || null,
-      amount: Number.isFinite(amountValue) ? amountValue : null
-    };
+    for (const soulId of soulIds) {
+      await this.checkSoul(dsql, soulId);
+      this.checkedSouls += 1;
+    }
   }
 
-  async fetchDsqlSoul(client, soulId) {
-    const contractResult = await client.query(
-      `SELECT id, contract_status, soul_type, contract_location, updated_at
-         FROM soul_contracts
-        WHERE id = $1`,
-      [soulId]
-    );
-
-    let events = [];
-    let ledger = [];
+  async checkSoul(dsql, soulId) {
+    const [dynamoSoul, dsqlSoul] = await Promise.all([
+      this.fetchSoul(this.dynamo, soulId),
+      this.fetchSoul(dsql, soulId)
+    ]);
 
-    if (this.config.includeEvents) {
-      const eventsResult = await client.query(
-        `SELECT soul_contract_id, event_time, description
-           FROM soul_contract_events
-          WHERE soul_contract_id = $1
-          ORDER BY event_time`,
-        [soulId]
-      );
-      events = eventsResult.rows.map(row => ({
-        timestamp: row.event_time ? toIsoString(row.event_time) : null,
-        description: row.description || null
-      }));
+    const issues = this.compareSoul(dynamoSoul, dsqlSoul);
+    this.report.soul(soulId);
+    if (issues.length === 0) {
+      console.log(`✓ Soul ${soulId}: parity ok`);
+    } else {
+      console.log(`⚠ Soul ${soulId}: ${issues.length} issue(s)`);
+      issues.forEach(issue => {
+        console.log(`   - ${issue.message}`);
+        this.report.fail(issue);
+      });
+      this.mismatches.push(...issues);
+      if (this.config.repair) {
+        await this.repairSoul(dsql, dynamoSoul, dsqlSoul);
+      }
     }
+    return issues;
+  }
 
-    if (this.config.includeLedger) {
-      const ledgerResult = await client.query(
-        `SELECT soul_contract_id, amount, transaction_time, description
-           FROM soul_ledger
-          WHERE soul_contract_id = $1
-          ORDER BY transaction_time`,
-        [soulId]
-      );
-      ledger = ledgerResult.rows.map(row => ({
-        timestamp: row.transaction_time ? toIsoString(row.transaction_time) : null,
-        description: row.description || null,
-        amount: row.amount !== null && row.amount !== undefined ? Number(row.amount) : null
-      }));
+  /**
+   * Plans the changes that make the target backend's copy of a soul match
+   * the --source copy, prints them, applies them unless --dry-run, and
+   * appends every action to the audit file. A failed repair is recorded
+   * as unresolved instead of stopping the run.
+   */
+  async repairSoul(dsql, dynamoSoul, dsqlSoul) {
+    const { source, dryRun, removeExtras } = this.config;
+    const target = source === 'dynamo' ? 'dsql' : 'dynamo';
+    const soulId = dynamoSoul.soulId;
+    const match = { key: this.rules.keyFor(), accept: this.rules.accepts() };
+    const { plan, unresolved } = source === 'dynamo'
+      ? planRepair(dynamoSoul, dsqlSoul, { removeExtras, ...match })
+      : planRepair(dsqlSoul, dynamoSoul, { removeExtras, ...match });
+    unresolved.forEach(reason => this.repairs.unresolved.push(`Soul ${soulId}: ${reason} (use --remove-extras)`));
+    if (isEmptyPlan(plan)) return;
+
+    const actions = planActions(plan);
+    const verb = dryRun ? 'would apply' : 'applying';
+    console.log(`   🔧 ${verb} ${actions.length} change(s) to ${BACKEND_LABELS[target]}:`);
+    actions.forEach(({ action, detail }) => console.log(`      ${action} ${JSON.stringify(detail)}`));
+
+    let error = null;
+    if (!dryRun) {
+      try {
+        await (target === 'dsql' ? dsql : this.dynamo).applyRepair(plan);
+        this.repairs.souls += 1;
+        this.repairs.actions += actions.length;
+      } catch (err) {
+        error = err.message;
+        this.repairs.unresolved.push(`Soul ${soulId}: repair failed (${error})`);
+        console.log(`   ❌ repair failed: ${error}`);
+      }
     }
 
-    return {
-      soulId,
-      contract: contractResult.rows[0] ? this.parseDsqlContractRow(contractResult.rows[0]) : null,
-      events,
-      ledger
-    };
+    const at = new Date().toISOString();
+    const lines = actions.map(({ action, detail }) =>
+      JSON.stringify({ at, source, target, dryRun, action, soulId, detail, ...(error ? { error } : {}) })
+    );
+    await fs.promises.appendFile(this.config.auditFile, `${lines.join('\n')}\n`);
   }
 
-  parseDsqlContractRow(row) {
-    return {
-      soulId: row.id,
-      status: row.contract_status || 'Unknown',
-      soulType: row.soul_type || null,
-      contractLocation: row.contract_location || null,
-      updatedAt: row.updated_at ? toIsoString(row.updated_at) : null
+  /**
+   * Compares every soul. Both sides are streamed at once (a parallel Scan
+   * and a keyset cursor) and reduced to per-soul hashes; a soul is
+   * compared as soon as both sides have produced it, so only souls seen on
+   * one side so far are held in memory. Souls whose hashes differ are
+   * then fetched and compared field by field, up to `detailLimit`.
+   */
+  async checkFull(dsql) {
+    const { segments, batchSize, detailLimit } = this.config;
+    const pending = { dynamo: new Map(), dsql: new Map() };
+    const seen = { dynamo: 0, dsql: 0 };
+    const differing = [];
+    let identical = 0;
+    const started = Date.now();
+    let reportedAt = started;
+
+    const report = (force = false) => {
+      if (!force && Date.now() - reportedAt < PROGRESS_INTERVAL_MS) return;
+      reportedAt = Date.now();
+      console.log(
+        `  … DynamoDB ${seen.dynamo} souls, DSQL ${seen.dsql} souls: ` +
+        `${identical} identical, ${differing.length} differing (${((reportedAt - started) / 1000).toFixed(1)}s)`
+      );
     };
+    const arrive = (side, other) => profile => {
+      seen[side] += 1;
+      const digest = this.soulDigest(profile);
+      const otherDigest = pending[other].get(profile.soulId);
+      if (otherDigest === undefined) {
+        pending[side].set(profile.soulId, digest);
+      } else {
+        pending[other].delete(profile.soulId);
+        if (otherDigest === digest) identical += 1;
+        else differing.push(profile.soulId);
+      }
+      report();
+    };
+
+    console.log(`Streaming both databases (${segments} DynamoDB scan segments, DSQL batches of ${batchSize})...`);
+    const [dynamoScan, dsqlScan] = await Promise.all([
+      this.dynamo.scanProfiles({ segments, onProfile: arrive('dynamo', 'dsql'), onPage: () => report() }),
+      dsql.scanProfiles({ batchSize, onProfile: arrive('dsql', 'dynamo') })
+    ]);
+    report(true);
+    console.log(
+      `  DynamoDB: ${dynamoScan.souls} souls from ${dynamoScan.items} items in ${dynamoScan.pages} scan pages, ` +
+      `${(dynamoScan.elapsedMs / 1000).toFixed(2)}s`
+    );
+    console.log(`  DSQL: ${dsqlScan.souls} souls in ${dsqlScan.queries} queries, ${(dsqlScan.elapsedMs / 1000).toFixed(2)}s\n`);
+
+    const missing = [...pending.dynamo.keys(), ...pending.dsql.keys()];
+    this.checkedSouls = identical + differing.length + missing.length;
+    if (this.config.repair) {
+      // Repairing needs the full profiles, so missing souls join the detail pass.
+      differing.push(...missing);
+    } else {
+      for (const soulId of pending.dynamo.keys()) {
+        this.mismatches.push({ check: CHECK_TYPES.MISSING_CONTRACT, soulId, dsql: null, message: `Soul ${soulId}: contract missing in DSQL` });
+      }
+      for (const soulId of pending.dsql.keys()) {
+        this.mismatches.push({ check: CHECK_TYPES.MISSING_CONTRACT, soulId, dynamo: null, message: `Soul ${soulId}: contract missing in DynamoDB` });
+      }
+      this.mismatches.forEach(issue => {
+        console.log(`⚠ ${issue.message}`);
+        this.report.fail(issue);
+      });
+    }
+    console.log(`✓ ${identical} souls identical by hash`);
+    this.report.check('content_hash', { identical, differing: differing.length, missing: missing.length });
+
+    if (differing.length === 0) {
+      return;
+    }
+    const detailed = differing.sort().slice(0, detailLimit);
+    console.log(`\nFetching ${detailed.length} of ${differing.length} souls whose hashes differ or are missing on one side...`);
+    // A soul that matches now was written to while the scans ran.
+    await runBatches(chunk(detailed, 1), {
+      concurrency: DETAIL_CONCURRENCY,
+      run: ([soulId]) => this.checkSoul(dsql, soulId)
+    });
+    if (differing.length > detailed.length) {
+      const skipped = differing.length - detailed.length;
+      const issue = {
+        check: CHECK_TYPES.DETAIL_LIMIT,
+        message: `${skipped} more soul(s) with differing hashes not fetched (raise --detail-limit)`,
+        soulIds: differing.slice(detailLimit)
+      };
+      this.mismatches.push(issue);
+      this.report.fail(issue);
+      if (this.config.repair) {
+        this.repairs.unresolved.push(`${skipped} soul(s) not repaired (raise --detail-limit)`);
+      }
+      console.log(`⚠ ${issue.message}`);
+    }
   }
 
+  /**
+   * @returns {import('../src/lib/checkReport').CheckIssue[]}
+   */
   compareSoul(dynamoSoul, dsqlSoul) {
     const issues = [];
     const soulId = dynamoSoul?.soulId || dsqlSoul?.soulId || 'unknown';
 
     if (!dynamoSoul.contract && !dsqlSoul.contract) {
-      issues.push(`Soul ${soulId}: missing in both databases`);
+      issues.push({ check: CHECK_TYPES.MISSING_CONTRACT, soulId, message: `Soul ${soulId}: missing in both databases` });
       return issues;
     }
 
     if (!dynamoSoul.contract) {
-      issues.push(`Soul ${soulId}: contract missing in DynamoDB`);
+      issues.push({ check: CHECK_TYPES.MISSING_CONTRACT, soulId, dynamo: null, message: `Soul ${soulId}: contract missing in DynamoDB` });
       return issues;
     }
 
     if (!dsqlSoul.contract) {
-      issues.push(`Soul ${soulId}: contract missing in DSQL`);
+      issues.push({ check: CHECK_TYPES.MISSING_CONTRACT, soulId, dsql: null, message: `Soul ${soulId}: contract missing in DSQL` });
       return issues;
     }
 
@@ -249,7 +349,7 @@ class DataParityChecker {
         dynamoSoul.ledger,
         dsqlSoul.ledger,
         soulId,
-        'ledger entries'
+        'ledger'
       );
       issues.push(...ledgerDiffs);
     }
@@ -258,117 +358,207 @@ class DataParityChecker {
   }
 
   compareContracts(dynamoContract, dsqlContract, soulId) {
-    const fields = ['status', 'soulType', 'contractLocation'];
     const diffs = [];
 
-    for (const field of fields) {
-      const dynamoValue = normalizeValue(dynamoContract[field]);
-      const dsqlValue = normalizeValue(dsqlContract[field]);
+    for (const field of CONTRACT_FIELDS) {
+      const dynamoValue = normalizeValue(this.rules.field(dynamoContract, field));
+      const dsqlValue = normalizeValue(this.rules.field(dsqlContract, field));
       if (dynamoValue !== dsqlValue) {
-        diffs.push(
-          `Soul ${soulId}: contract ${field} mismatch (DynamoDB=${dynamoValue || 'null'}, DSQL=${dsqlValue || 'null'})`
-        );
+        diffs.push({
+          check: CHECK_TYPES.CONTRACT_FIELD,
+          soulId,
+          field,
+          dynamo: dynamoValue,
+          dsql: dsqlValue,
+          message: `Soul ${soulId}: contract ${field} mismatch (DynamoDB=${dynamoValue || 'null'}, DSQL=${dsqlValue || 'null'})`
+        });
       }
     }
 
     return diffs;
   }
 
-  compareCollections(dynamoCollection, dsqlCollection, soulId, label) {
+  /**
+   * Pairs entries by content rather than by position, in passes that
+   * relax the key: timestamp and description with an equal amount, then
+   * timestamp and description (amount differs), then timestamp alone
+   * (description differs), then description and amount (timestamp
+   * differs). Whatever is left exists on one side only, so a single
+   * missing row is one issue instead of a mismatch at every later index.
+   * `index` on an issue is the entry's position on the DynamoDB side.
+   *
+   * @param {'events' | 'ledger'} field
+   */
+  compareCollections(dynamoCollection, dsqlCollection, soulId, field) {
+    const label = COLLECTION_LABELS[field];
+    const rules = this.rules;
     const diffs = [];
 
     if (dynamoCollection.length !== dsqlCollection.length) {
-      diffs.push(
-        `Soul ${soulId}: ${label} count mismatch (DynamoDB=${dynamoCollection.length}, DSQL=${dsqlCollection.length})`
-      );
+      diffs.push({
+        check: CHECK_TYPES.COLLECTION_COUNT,
+        soulId,
+        field,
+        dynamo: dynamoCollection.length,
+        dsql: dsqlCollection.length,
+        message: `Soul ${soulId}: ${label} count mismatch (DynamoDB=${dynamoCollection.length}, DSQL=${dsqlCollection.length})`
+      });
     }
 
-    const maxComparisons = Math.min(dynamoCollection.length, dsqlCollection.length);
-
-    for (let i = 0; i < maxComparisons; i++) {
-      const dyn = dynamoCollection[i];
-      const sql = dsqlCollection[i];
-
+    const dynamoLeft = dynamoCollection.map((entry, index) => ({ index, ...rules.entry(entry) }));
+    const dsqlLeft = dsqlCollection.map((entry, index) => ({ index, ...rules.entry(entry) }));
+    const passes = [
+      { key: entry => [entry.timestamp, entry.description], accept: (a, b) => rules.amountsEqual(a.amount, b.amount) },
+      { key: entry => [entry.timestamp, entry.description] },
+      { key: entry => [entry.timestamp] },
+      { key: entry => [entry.description, entry.amount] }
+    ];
+    const pairs = passes.flatMap(({ key, accept }) => pairByKey(dynamoLeft, dsqlLeft, key, accept));
+    pairs.sort((a, b) => a[0].index - b[0].index);
+
+    for (const [dyn, sql] of pairs) {
+      const at = { soulId, field, index: dyn.index, dsqlIndex: sql.index };
       if (dyn.timestamp !== sql.timestamp) {
-        diffs.push(
-          `Soul ${soulId}: ${label} timestamp mismatch at index ${i} (DynamoDB=${dyn.timestamp || 'null'}, DSQL=${sql.timestamp || 'null'})`
-        );
+        diffs.push({
+          check: CHECK_TYPES.TIMESTAMP,
+          ...at,
+          dynamo: dyn.timestamp,
+          dsql: sql.timestamp,
+          message: `Soul ${soulId}: ${label} timestamp mismatch at index ${dyn.index} (DynamoDB=${dyn.timestamp || 'null'}, DSQL=${sql.timestamp || 'null'})`
+        });
       }
 
       if ((dyn.description || '') !== (sql.description || '')) {
-        diffs.push(
-          `Soul ${soulId}: ${label} description mismatch at index ${i}`
-        );
+        diffs.push({
+          check: CHECK_TYPES.DESCRIPTION,
+          ...at,
+          dynamo: dyn.description,
+          dsql: sql.description,
+          message: `Soul ${soulId}: ${label} description mismatch at index ${dyn.index}`
+        });
       }
 
-      if (typeof dyn.amount === 'number' || typeof sql.amount === 'number') {
-        const dynAmount = Number.isFinite(dyn.amount) ? dyn.amount : null;
-        const sqlAmount = Number.isFinite(sql.amount) ? sql.amount : null;
-        if (dynAmount !== sqlAmount) {
-          diffs.push(
-            `Soul ${soulId}: ${label} amount mismatch at index ${i} (DynamoDB=${dynAmount ?? 'null'}, DSQL=${sqlAmount ?? 'null'})`
-          );
-        }
+      if (!rules.amountsEqual(dyn.amount, sql.amount)) {
+        diffs.push({
+          check: CHECK_TYPES.AMOUNT,
+          ...at,
+          dynamo: dyn.amount,
+          dsql: sql.amount,
+          message: `Soul ${soulId}: ${label} amount mismatch at index ${dyn.index} (DynamoDB=${dyn.amount ?? 'null'}, DSQL=${sql.amount ?? 'null'})`
+        });
+      }
+    }
+
+    for (const [entries, present, absent] of [[dynamoLeft, 'DynamoDB', 'DSQL'], [dsqlLeft, 'DSQL', 'DynamoDB']]) {
+      for (const entry of entries) {
+        const { index, ...content } = entry;
+        diffs.push({
+          check: CHECK_TYPES.MISSING_ENTRY,
+          soulId,
+          field,
+          ...(present === 'DynamoDB' ? { index, dynamo: content, dsql: null } : { dsqlIndex: index, dynamo: null, dsql: content }),
+          message: `Soul ${soulId}: ${label} entry at ${content.timestamp || 'null'} ('${content.description || ''}') in ${present} is missing in ${absent}`
+        });
       }
     }
 
     return diffs;
   }
 
+  /**
+   * Writes the --format report. A run that failed part-way still gets a
+   * report, with `error` set, so CI can tell a crash from a clean pass.
+   *
+   * @param {string | null} failure
+   */
+  async writeReport(failure) {
+    const { format, full, repair, dryRun, source } = this.config;
+    const out = this.config.out || defaultReportPath('parity', format);
+    const summary = {
+      mode: full ? 'full' : 'sample',
+      soulsChecked: this.checkedSouls,
+      mismatches: this.mismatches.length,
+      error: failure
+    };
+    if (repair) {
+      summary.repair = { source, dryRun, ...this.repairs };
+    }
+    try {
+      await this.report.write(format, out, summary);
+      console.log(`📄 ${format === 'junit' ? 'JUnit' : 'JSON'} report written to ${out}`);
+    } catch (err) {
+      console.error(`❌ Could not write report to ${out}:`, err.message);
+      process.exitCode = 1;
+    }
+  }
+
   async run() {
     console.log('=== DATA PARITY CHECK ===\n');
     console.log(`AWS Region: ${AWS_REGION}`);
     console.log(`DynamoDB Table: ${TABLE_NAME}`);
-    console.log(`DSQL Endpoint: ${DSQL_ENDPOINT}`);
-    console.log(`Comparing up to ${this.config.sampleSize} souls`);
+    console.log(`DSQL Endpoint: ${describeDsqlTarget(DSQL_ENDPOINT)}`);
+    console.log(this.config.full ? 'Comparing every soul (--full)' : `Comparing up to ${this.config.sampleSize} souls`);
     console.log(`Include events: ${this.config.includeEvents ? 'yes' : 'no'}`);
-    console.log(`Include ledger: ${this.config.includeLedger ? 'yes' : 'no'}\n`);
+    console.log(`Include ledger: ${this.config.includeLedger ? 'yes' : 'no'}`);
+    const { precision, timeZone } = this.rules.timestamps;
+    console.log(
+      `Rules: ${this.rules.source || 'built-in defaults'} (timestamps to the ${precision}, naive times in ${timeZone}, ` +
+      `amount tolerance ${this.rules.amount.tolerance})`
+    );
+    if (this.config.repair) {
+      const { source, dryRun, removeExtras, auditFile } = this.config;
+      const target = source === 'dynamo' ? 'dsql' : 'dynamo';
+      console.log(
+        `Repair: ${BACKEND_LABELS[source]} → ${BACKEND_LABELS[target]}${dryRun ? ' (dry run)' : ''}` +
+        `${removeExtras ? ', removing extras' : ''}, audit log ${auditFile}`
+      );
+    }
+    console.log('');
 
+    const started = Date.now();
+    let failure = null;
     try {
-      const soulIds = await this.resolveSoulIds();
-      if (!soulIds.length) {
-        console.log('No souls found to compare.');
-        return;
-      }
-
-      const client = await this.connectDSQL();
-
-      for (const soulId of soulIds) {
-        const [dynamoSoul, dsqlSoul] = await Promise.all([
-          this.fetchDynamoSoul(soulId),
-          this.fetchDsqlSoul(client, soulId)
-        ]);
-
-        const issues = this.compareSoul(dynamoSoul, dsqlSoul);
-        if (issues.length === 0) {
-          console.log(`✓ Soul ${soulId}: parity ok`);
-        } else {
-          console.log(`⚠ Soul ${soulId}: ${issues.length} issue(s)`);
-          issues.forEach(issue => console.log(`   - ${issue}`));
-          this.mismatches.push(...issues);
-        }
-
-        this.checkedSouls += 1;
+      const dsql = new DsqlSoulRepository(this.connectDSQL());
+      if (this.config.full) {
+        await this.checkFull(dsql);
+      } else {
+        await this.checkSample(dsql);
       }
 
       console.log('\n=== SUMMARY ===');
       console.log(`Souls checked: ${this.checkedSouls}`);
       console.log(`Mismatches: ${this.mismatches.length}`);
+      const seconds = (Date.now() - started) / 1000;
+      if (this.config.repair) {
+        const { souls, actions, unresolved } = this.repairs;
+        if (!this.config.dryRun) console.log(`Souls repaired: ${souls} (${actions} changes)`);
+        console.log(`Unresolved: ${unresolved.length}`);
+        unresolved.forEach(reason => console.log(`   - ${reason}`));
+      }
+      console.log(`Elapsed: ${seconds.toFixed(2)}s (${(this.checkedSouls / Math.max(seconds, 0.001)).toFixed(0)} souls/sec)`);
 
       if (this.mismatches.length === 0) {
-        console.log('\n🎉 DynamoDB and DSQL are returning matching results for the sampled souls.');
+        console.log(`\n🎉 DynamoDB and DSQL are returning matching results for ${this.config.full ? 'every soul' : 'the sampled souls'}.`);
+      } else if (this.config.repair && !this.config.dryRun && this.repairs.unresolved.length === 0) {
+        console.log(`\n🔧 Every difference was repaired from ${BACKEND_LABELS[this.config.source]}; re-run without --repair to confirm.`);
+      } else if (this.config.repair && this.config.dryRun) {
+        console.log(`\n📝 Dry run: nothing was written. Planned changes are listed above and in ${this.config.auditFile}.`);
+        process.exitCode = 1;
       } else {
         console.log('\n🚨 Parity differences detected. See details above.');
         process.exitCode = 1;
       }
     } catch (error) {
+      failure = error.message;
       console.error('\n❌ Parity check failed:', error.message);
       process.exitCode = 1;
     } finally {
-      if (this.dsqlClientPromise) {
+      if (this.config.format) {
+        await this.writeReport(failure);
+      }
+      if (this.dsqlPool) {
         try {
-          const client = await this.dsqlClientPromise;
-          await client.end();
+          await this.dsqlPool.end();
         } catch (err) {
           // ignore close errors
         }
@@ -377,11 +567,41 @@ class DataParityChecker {
   }
 }
 
-function toIsoString(value) {
-  if (!value) return null;
-  if (typeof value === 'string') return value;
-  if (value instanceof Date) return value.toISOString();
-  return new Date(value).toISOString();
+/**
+ * Removes and returns the pairs of `left` and `right` entries that share
+ * `key` (and pass `accept`, when given), first come first served.
+ *
+ * @template T
+ * @param {T[]} left
+ * @param {T[]} right
+ * @param {(entry: T) => unknown[]} key
+ * @param {(a: T, b: T) => boolean} [accept]
+ * @returns {[T, T][]}
+ */
+function pairByKey(left, right, key, accept = () => true) {
+  const candidates = new Map();
+  right.forEach(entry => {
+    const k = JSON.stringify(key(entry));
+    if (!candidates.has(k)) candidates.set(k, []);
+    candidates.get(k).push(entry);
+  });
+
+  const pairs = [];
+  const paired = new Set();
+  for (const entry of left) {
+    const group = candidates.get(JSON.stringify(key(entry)));
+    const position = group ? group.findIndex(other => accept(entry, other)) : -1;
+    if (position === -1) continue;
+    const [other] = group.splice(position, 1);
+    pairs.push([entry, other]);
+    paired.add(entry).add(other);
+  }
+  // Compact both arrays in place so the next pass sees only what is left.
+  for (const list of [left, right]) {
+    const rest = list.filter(entry => !paired.has(entry));
+    list.splice(0, list.length, ...rest);
+  }
+  return pairs;
 }
 
 function normalizeValue(value) {
@@ -428,9 +648,15 @@ function parseArgs(argv) {
 }
 
 if (require.main === module) {
-  const args = parseArgs(process.argv.slice(2));
-  const checker = new DataParityChecker(args);
-  checker.run();
+  // Invalid options (--source, --format, --rules) fail the run like any other error.
+  let checker;
+  try {
+    checker = new DataParityChecker(parseArgs(process.argv.slice(2)));
+  } catch (error) {
+    console.error('\n❌ Parity check failed:', error.message);
+    process.exitCode = 1;
+  }
+  if (checker) checker.run();
 }
 
 module.exports = DataParityChecker;
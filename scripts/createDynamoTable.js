@@ -0,0 +1,339 @@
+#!/usr/bin/env node
+/**
+ * createDynamoTable.js
+ *
+ * Creates the DevilSoulTracker single table outside SAM (DynamoDB Local,
+ * throwaway test tables). The key schema, attribute definitions, GSIs,
+ * billing mode and TTL attribute are read from the SoulsTable resource in
+ * template.yaml, so the two can't drift apart.
+ *
+ *   - Missing table: CreateTable, wait for the table and its GSIs to be
+ *     ACTIVE, then enable TTL.
+ *   - Existing table: wait for ACTIVE and report any drift from the
+ *     template. Drift is only reported; pass --strict to exit 1 on it.
+ *
+ * Usage:
+ *   node scripts/createDynamoTable.js [--table <name>] [--strict] [--local]
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const {
+  DynamoDBClient,
+  CreateTableCommand,
+  DescribeTableCommand,
+  DescribeTimeToLiveCommand,
+  UpdateTimeToLiveCommand
+} = require('@aws-sdk/client-dynamodb');
+const { dynamoClientConfig } = require('../src/lib/environment');
+
+const AWS_REGION = process.env.AWS_REGION || 'us-east-1';
+const TEMPLATE_PATH = path.join(__dirname, '..', 'template.yaml');
+const TABLE_RESOURCE = 'SoulsTable';
+const WAIT_TIMEOUT_MS = 5 * 60 * 1000;
+const POLL_INTERVAL_MS = 2000;
+
+class DynamoTableBootstrap {
+  constructor(options = {}) {
+    this.expected = loadTableDefinition(options.templatePath || TEMPLATE_PATH);
+    this.tableName = options.table || process.env.TABLE_NAME || this.expected.defaultTableName;
+    this.strict = Boolean(options.strict);
+    this.client = new DynamoDBClient(dynamoClientConfig({ region: AWS_REGION }));
+  }
+
+  async describeTable() {
+    try {
+      const { Table } = await this.client.send(new DescribeTableCommand({ TableName: this.tableName }));
+      return Table;
+    } catch (error) {
+      if (error.name === 'ResourceNotFoundException') return null;
+      throw error;
+    }
+  }
+
+  async createTable() {
+    const { attributeDefinitions, keySchema, globalSecondaryIndexes, billingMode } = this.expected;
+    console.log(`🏗️  Creating table '${this.tableName}' (${globalSecondaryIndexes.length} GSIs)...`);
+    await this.client.send(new CreateTableCommand({
+      TableName: this.tableName,
+      AttributeDefinitions: attributeDefinitions,
+      KeySchema: keySchema,
+      GlobalSecondaryIndexes: globalSecondaryIndexes,
+      BillingMode: billingMode
+    }));
+  }
+
+  /**
+   * Polls DescribeTable until the table and every GSI report ACTIVE.
+   */
+  async waitForActive() {
+    const deadline = Date.now() + WAIT_TIMEOUT_MS;
+    for (;;) {
+      const table = await this.describeTable();
+      const pending = [];
+      if (!table) {
+        pending.push('table');
+      } else {
+        if (table.TableStatus !== 'ACTIVE') pending.push(`table ${table.TableStatus}`);
+        for (const index of table.GlobalSecondaryIndexes || []) {
+          if (index.IndexStatus && index.IndexStatus !== 'ACTIVE') {
+            pending.push(`${index.IndexName} ${index.IndexStatus}`);
+          }
+        }
+      }
+      if (pending.length === 0) return table;
+      if (Date.now() > deadline) {
+        throw new Error(`Timed out waiting for '${this.tableName}' to become ACTIVE (${pending.join(', ')})`);
+      }
+      console.log(`  ⏳ Waiting for ACTIVE: ${pending.join(', ')}`);
+      await new Promise(resolve => setTimeout(resolve, POLL_INTERVAL_MS));
+    }
+  }
+
+  async describeTtl() {
+    try {
+      const { TimeToLiveDescription } = await this.client.send(
+        new DescribeTimeToLiveCommand({ TableName: this.tableName })
+      );
+      return TimeToLiveDescription || null;
+    } catch (error) {
+      console.log(`  ⚠ Could not read TTL settings: ${error.message}`);
+      return null;
+    }
+  }
+
+  async enableTtl() {
+    const { ttlAttribute } = this.expected;
+    if (!ttlAttribute) return;
+    await this.client.send(new UpdateTimeToLiveCommand({
+      TableName: this.tableName,
+      TimeToLiveSpecification: { AttributeName: ttlAttribute, Enabled: true }
+    }));
+    console.log(`  ✅ TTL enabled on '${ttlAttribute}'`);
+  }
+
+  /**
+   * Differences between the live table and the template, one line each.
+   *
+   * @param {Record<string, any>} table - DescribeTable output
+   * @param {Record<string, any> | null} ttl - DescribeTimeToLive output
+   * @returns {string[]}
+   */
+  diffSchema(table, ttl) {
+    const { attributeDefinitions, keySchema, globalSecondaryIndexes, billingMode, ttlAttribute } = this.expected;
+    const drift = [];
+
+    const actualKeys = formatKeySchema(table.KeySchema);
+    if (actualKeys !== formatKeySchema(keySchema)) {
+      drift.push(`key schema is ${actualKeys}, expected ${formatKeySchema(keySchema)}`);
+    }
+
+    const actualTypes = new Map((table.AttributeDefinitions || []).map(a => [a.AttributeName, a.AttributeType]));
+    for (const { AttributeName, AttributeType } of attributeDefinitions) {
+      const actual = actualTypes.get(AttributeName);
+      if (!actual) {
+        drift.push(`attribute '${AttributeName}' is not defined (expected ${AttributeType})`);
+      } else if (actual !== AttributeType) {
+        drift.push(`attribute '${AttributeName}' has type ${actual}, expected ${AttributeType}`);
+      }
+    }
+
+    const actualIndexes = new Map((table.GlobalSecondaryIndexes || []).map(i => [i.IndexName, i]));
+    for (const index of globalSecondaryIndexes) {
+      const actual = actualIndexes.get(index.IndexName);
+      actualIndexes.delete(index.IndexName);
+      if (!actual) {
+        drift.push(`GSI ${index.IndexName} is missing`);
+        continue;
+      }
+      if (formatKeySchema(actual.KeySchema) !== formatKeySchema(index.KeySchema)) {
+        drift.push(
+          `GSI ${index.IndexName} key schema is ${formatKeySchema(actual.KeySchema)}, expected ${formatKeySchema(index.KeySchema)}`
+        );
+      }
+      const projection = actual.Projection?.ProjectionType;
+      if (projection !== index.Projection.ProjectionType) {
+        drift.push(`GSI ${index.IndexName} projects ${projection}, expected ${index.Projection.ProjectionType}`);
+      }
+    }
+    for (const name of actualIndexes.keys()) {
+      drift.push(`GSI ${name} is not declared in template.yaml`);
+    }
+
+    // DynamoDB Local omits BillingModeSummary, so only compare when present.
+    const actualBilling = table.BillingModeSummary?.BillingMode;
+    if (billingMode && actualBilling && actualBilling !== billingMode) {
+      drift.push(`billing mode is ${actualBilling}, expected ${billingMode}`);
+    }
+
+    if (ttlAttribute && ttl) {
+      const enabled = ['ENABLED', 'ENABLING'].includes(ttl.TimeToLiveStatus);
+      if (!enabled) {
+        drift.push(`TTL is ${ttl.TimeToLiveStatus}, expected enabled on '${ttlAttribute}'`);
+      } else if (ttl.AttributeName !== ttlAttribute) {
+        drift.push(`TTL attribute is '${ttl.AttributeName}', expected '${ttlAttribute}'`);
+      }
+    }
+
+    return drift;
+  }
+
+  async run() {
+    console.log('=== DYNAMODB TABLE BOOTSTRAP ===\n');
+    console.log(`Table: ${this.tableName} (schema from template.yaml ${TABLE_RESOURCE})`);
+
+    try {
+      const existing = await this.describeTable();
+      if (!existing) {
+        await this.createTable();
+        await this.waitForActive();
+        await this.enableTtl();
+        console.log(`\n✅ Table '${this.tableName}' created and ACTIVE`);
+        return;
+      }
+
+      console.log(`ℹ️  Table '${this.tableName}' already exists (${existing.TableStatus})`);
+      const table = await this.waitForActive();
+      const drift = this.diffSchema(table, await this.describeTtl());
+      if (drift.length === 0) {
+        console.log('✅ Table matches template.yaml');
+        return;
+      }
+
+      console.log(`⚠ Schema drift (${drift.length}):`);
+      drift.forEach(line => console.log(`   - ${line}`));
+      console.log('   Recreate the table or update template.yaml to resolve it.');
+      if (this.strict) {
+        process.exitCode = 1;
+      }
+    } catch (error) {
+      console.error('❌ Table bootstrap failed:', error.message);
+      process.exitCode = 1;
+    }
+  }
+}
+
+/**
+ * Reads the SoulsTable properties and the TableName parameter default from
+ * template.yaml. Only the SoulsTable block is parsed; it uses plain block
+ * maps and lists, so a small indentation parser is enough.
+ *
+ * @param {string} templatePath
+ */
+function loadTableDefinition(templatePath) {
+  const text = fs.readFileSync(templatePath, 'utf8');
+  const resource = parseBlock(extractBlock(text, TABLE_RESOURCE));
+  const props = resource.Properties || {};
+  const defaultTableName = (text.match(/^  TableName:\s*\n(?:    .*\n)*?    Default:\s*(\S+)/m) || [])[1];
+
+  return {
+    defaultTableName: defaultTableName || 'DevilSoulTracker',
+    attributeDefinitions: props.AttributeDefinitions || [],
+    keySchema: props.KeySchema || [],
+    globalSecondaryIndexes: (props.GlobalSecondaryIndexes || []).map(index => ({
+      IndexName: index.IndexName,
+      KeySchema: index.KeySchema,
+      Projection: index.Projection
+    })),
+    billingMode: props.BillingMode,
+    ttlAttribute: props.TimeToLiveSpecification?.Enabled === 'true'
+      ? props.TimeToLiveSpecification.AttributeName
+      : undefined
+  };
+}
+
+/**
+ * Lines nested under `  <resource>:` with comments stripped.
+ */
+function extractBlock(text, resource) {
+  const lines = text.split('\n');
+  const start = lines.findIndex(line => line.trimEnd() === `  ${resource}:`);
+  if (start === -1) {
+    throw new Error(`Resource ${resource} not found in template.yaml`);
+  }
+  const block = [];
+  for (const line of lines.slice(start + 1)) {
+    const content = line.replace(/\s+#.*$/, '').replace(/^\s*#.*$/, '');
+    if (!content.trim()) continue;
+    if (indentOf(content) <= 2) break;
+    block.push(content);
+  }
+  return block;
+}
+
+function parseBlock(lines) {
+  let i = 0;
+
+  function parseNode(indent) {
+    return lines[i].trim().startsWith('- ') ? parseList(indent) : parseMap(indent);
+  }
+
+  function parseMap(indent) {
+    const map = {};
+    while (i < lines.length && indentOf(lines[i]) === indent && !lines[i].trim().startsWith('- ')) {
+      const [, key, rest] = lines[i].trim().match(/^([^:]+):\s*(.*)$/);
+      i += 1;
+      if (rest) {
+        map[key] = parseScalar(rest);
+      } else if (i < lines.length && indentOf(lines[i]) >= indent && (indentOf(lines[i]) > indent || lines[i].trim().startsWith('- '))) {
+        map[key] = parseNode(indentOf(lines[i]));
+      } else {
+        map[key] = null;
+      }
+    }
+    return map;
+  }
+
+  function parseList(indent) {
+    const list = [];
+    while (i < lines.length && indentOf(lines[i]) === indent && lines[i].trim().startsWith('- ')) {
+      const content = lines[i].trim().slice(2);
+      if (/^[^:'"]+:(\s|$)/.test(content)) {
+        // "- Key: value" starts a map indented two past the dash.
+        lines[i] = `${' '.repeat(indent + 2)}${content}`;
+        list.push(parseMap(indent + 2));
+      } else {
+        list.push(parseScalar(content));
+        i += 1;
+      }
+    }
+    return list;
+  }
+
+  return parseMap(indentOf(lines[0]));
+}
+
+function parseScalar(raw) {
+  const value = raw.trim();
+  if (/^(['"]).*\1$/.test(value)) return value.slice(1, -1);
+  return value;
+}
+
+function indentOf(line) {
+  return line.length - line.trimStart().length;
+}
+
+function formatKeySchema(keySchema = []) {
+  return keySchema.map(k => `${k.AttributeName}(${k.KeyType})`).join(', ') || '(none)';
+}
+
+function parseArgs(argv) {
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--strict') {
+      options.strict = true;
+    } else if (arg === '--table' && argv[i + 1]) {
+      options.table = argv[i + 1];
+      i += 1;
+    }
+  }
+  return options;
+}
+
+if (require.main === module) {
+  new DynamoTableBootstrap(parseArgs(process.argv.slice(2))).run();
+}
+
+module.exports = DynamoTableBootstrap;
@@ -5,14 +5,12 @@
  */
 
 require('dotenv').config();
-const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
-const { DynamoDBDocumentClient, GetCommand, QueryCommand, BatchGetCommand, TransactWriteCommand } = require('@aws-sdk/lib-dynamodb');
-const { DsqlSigner } = require("@aws-sdk/dsql-signer");
-const { Client } = require("pg");
+const { createDsqlPool } = require('../src/lib/dsqlPool');
+const { LOCAL_FLAG } = require('../src/lib/environment');
+const { ARTIFACT_PREFIX } = require('../src/lib/benchmarkArtifacts');
+const { DsqlSoulRepository, DynamoSoulRepository } = require('../src/lib/soulRepository');
 
-const client = new DynamoDBClient({});
-const dynamodb = DynamoDBDocumentClient.from(client);
-const TABLE_NAME = 'DevilSoulTracker';
+const dynamo = new DynamoSoulRepository();
 
 function startTimer() {
   return process.hrtime.bigint();
@@ -27,24 +25,15 @@ function elapsedMs(start) {
 
 class MainDemo {
   constructor() {
-    this.dsqlClient = null;
+    this.dsqlPool = null;
+    this.dsql = null;
   }
 
   async setupDSQL() {
-    const endpoint = process.env.DSQL_ENDPOINT;
-    const region = process.env.AWS_REGION || "us-east-1";
-    
-    const signer = new DsqlSigner({ hostname: endpoint, region });
-    const token = await signer.getDbConnectAdminAuthToken();
-    
-    this.dsqlClient = new Client({
-      host: endpoint,
-      user: "admin", 
-      database: "postgres",
-      password: token,
-      ssl: { rejectUnauthorized: false }
-    });
-    await this.dsqlClient.connect();
+    // A single pooled connection keeps every timing on one warm session,
+    // the same as a warm Lambda container.
+    this.dsqlPool = createDsqlPool({ max: 1 });
+    this.dsql = new DsqlSoulRepository(this.dsqlPool);
   }
 
   async runDemo() {
@@ -64,7 +53,7 @@ class MainDemo {
     // Natural Strengths Demo
     await this.demoStrengths();
 
-    await this.dsqlClient.end();
+    await this.dsqlPool.end();
   }
 
   async runScenario(scenarioKey) {
@@ -124,8 +113,8 @@ class MainDemo {
 
       await this[methodName]();
     } finally {
-      if (this.dsqlClient) {
-        await this.dsqlClient.end();
+      if (this.dsqlPool) {
+        await this.dsqlPool.end();
       }
     }
   }
@@ -133,21 +122,14 @@ class MainDemo {
   async warmupConnections() {
     // Warm up DynamoDB
     try {
-      await dynamodb.send(new QueryCommand({
-        TableName: TABLE_NAME,
-        IndexName: 'StatusIndex',
-        KeyConditionExpression: '#status = :status',
-        ExpressionAttributeNames: { '#status': 'status' },
-        ExpressionAttributeValues: { ':status': 'Bound' },
-        Limit: 1
-      }));
+      await dynamo.listByStatus('Bound', { limit: 1 });
     } catch (e) {
       // Ignore warmup errors
     }
 
     // Warm up DSQL with simple query
     try {
-      await this.dsqlClient.query('SELECT COUNT(*) FROM soul_contracts LIMIT 1');
+      await this.dsql.query('SELECT COUNT(*) FROM soul_contracts LIMIT 1');
     } catch (e) {
       // Ignore warmup errors
     }
@@ -164,35 +146,6 @@ class MainDemo {
     console.log('==================================\n');
   }
 
-  async fetchSoulPartition(soulId) {
-    const baseParams = {
-      TableName: TABLE_NAME,
-      KeyConditionExpression: 'PK = :pk',
-      ExpressionAttributeValues: { ':pk': `SOUL#${soulId}` },
-      ScanIndexForward: true
-    };
-
-    const items = [];
-    let lastEvaluatedKey;
-
-    do {
-      const params = { ...baseParams };
-      if (lastEvaluatedKey) {
-        params.ExclusiveStartKey = lastEvaluatedKey;
-      }
-
-      const response = await dynamodb.send(new QueryCommand(params));
-
-      if (response.Items && response.Items.length) {
-        items.push(...response.Items);
-      }
-
-      lastEvaluatedKey = response.LastEvaluatedKey;
-    } while (lastEvaluatedKey);
-
-    return items;
-  }
-
   async demoPhilosophy() {
     this.printPhilosophyHeading();
     await this.scenario1CompleteSoulProfile();
@@ -217,55 +170,28 @@ class MainDemo {
 
     for (let i = 0; i < runs; i++) {
       const dynamoStart = startTimer();
-      const dynamoItems = await this.fetchSoulPartition(soulId);
+      const dynamoProfile = await dynamo.getProfile(soulId);
       const dynamoTime = elapsedMs(dynamoStart);
       dynamoTimes.push(dynamoTime);
 
       const dsqlStart = startTimer();
       // DSQL: Return the contract row plus all events and ledger entries
-      const dsqlContract = await this.dsqlClient.query(
-        `SELECT id, contract_status, soul_type, contract_location, updated_at
-         FROM soul_contracts
-         WHERE id = $1`,
-        [soulId]
-      );
-
-      const dsqlEvents = await this.dsqlClient.query(
-        `SELECT soul_contract_id, event_time, description
-         FROM soul_contract_events
-         WHERE soul_contract_id = $1
-         ORDER BY event_time`,
-        [soulId]
-      );
-
-      const dsqlLedger = await this.dsqlClient.query(
-        `SELECT soul_contract_id, transaction_time, amount, description
-         FROM soul_ledger
-         WHERE soul_contract_id = $1
-         ORDER BY transaction_time`,
-        [soulId]
-      );
-
+      const dsqlProfile = await this.dsql.getProfile(soulId);
       const dsqlTime = elapsedMs(dsqlStart);
       dsqlTimes.push(dsqlTime);
 
-      if (i === 0) {
-        this.dsqlContract = dsqlContract.rows[0] || null;
-        this.dsqlEvents = dsqlEvents.rows;
-        this.dsqlLedger = dsqlLedger.rows;
-        this.dsqlRowCount = (dsqlContract.rowCount || 0) + (dsqlEvents.rowCount || 0) + (dsqlLedger.rowCount || 0);
-      }
-
       // Store result info from first run
       if (i === 0) {
-        this.dynamoItemCount = dynamoItems.length;
-        this.dsqlEventCount = this.dsqlEvents.length;
-        this.dsqlLedgerCount = this.dsqlLedger.length;
-        // Log sample data that frontend would receive
-        this.dynamoSampleData = dynamoItems;
+        this.dynamoItemCount = dynamoProfile ? dynamoProfile.stats.items : 0;
+        this.dsqlProfile = dsqlProfile;
+        this.dsqlRowCount = dsqlProfile ? dsqlProfile.stats.rows : 0;
       }
     }
 
+    // Raw items, to show what the single-table layout looks like on the wire
+    const { items: dynamoSampleData } = await dynamo.fetchPartition(soulId);
+    this.dynamoSampleData = dynamoSampleData;
+
     const dynamoStats = this.calculateStats(dynamoTimes);
     const dsqlStats = this.calculateStats(dsqlTimes);
 
@@ -307,18 +233,16 @@ class MainDemo {
     });
 
     console.log('DSQL Result (normalized tables rendered as list):');
-    if (this.dsqlContract) {
-      const { id, contract_status, soul_type, contract_location } = this.dsqlContract;
-      console.log(`   Contract: ${id} - Status: ${contract_status}, Type: ${soul_type}, Location: ${contract_location}`);
+    if (this.dsqlProfile) {
+      const { contract, events, ledger } = this.dsqlProfile;
+      console.log(`   Contract: ${contract.soulId} - Status: ${contract.status}, Type: ${contract.soulType}, Location: ${contract.contractLocation}`);
+      events.forEach((event, i) => {
+        console.log(`   Event ${i + 1}: ${event.timestamp} - ${event.description}`);
+      });
+      ledger.forEach((entry, i) => {
+        console.log(`   Ledger ${i + 1}: ${entry.timestamp} - ${entry.amount} (${entry.description})`);
+      });
     }
-    this.dsqlEvents.forEach((row, i) => {
-      const timestamp = row.event_time instanceof Date ? row.event_time.toISOString() : row.event_time;
-      console.log(`   Event ${i + 1}: ${timestamp} - ${row.description}`);
-    });
-    this.dsqlLedger.forEach((row, i) => {
-      const timestamp = row.transaction_time instanceof Date ? row.transaction_time.toISOString() : row.transaction_time;
-      console.log(`   Ledger ${i + 1}: ${timestamp} - ${row.amount} (${row.description})`);
-    });
     console.log('');
   }
 
@@ -328,41 +252,14 @@ class MainDemo {
     console.log('    Use case: Executive dashboard showing business metrics\n');
     
     const analyticsStart = startTimer();
-    // DSQL: Complex business analytics - executive dashboard query
-    const analyticsResult = await this.dsqlClient.query(`
-      WITH ledger_totals AS (
-        SELECT
-          soul_contract_id,
-          SUM(amount) AS total_power_per_soul
-        FROM soul_ledger
-        GROUP BY soul_contract_id
-      )
-      SELECT 
-        sc.contract_location,                           -- Group results by location (crossroads, highway, etc.)
-        
-        -- Basic counts and statistics
-        COUNT(*) as soul_count,                         -- Total souls at this location
-        COUNT(CASE WHEN sc.contract_status = 'Redeemed' THEN 1 END) as redeemed,  -- Conditional count: only redeemed souls
-        
-        -- Power calculations with per-soul totals to match DynamoDB logic
-        SUM(COALESCE(lt.total_power_per_soul, 0)) as total_power,     -- Total power at location
-        AVG(COALESCE(lt.total_power_per_soul, 0)) as avg_power_per_soul,  -- Average power per soul
-        
-        -- Business metric: redemption rate as percentage
-        ROUND(COUNT(CASE WHEN sc.contract_status = 'Redeemed' THEN 1 END) * 100.0 / COUNT(*), 1) as redemption_rate
-        -- Formula: (redeemed_count / total_count) * 100, rounded to 1 decimal place
-        
-      FROM soul_contracts sc                            -- Main contracts table
-      LEFT JOIN ledger_totals lt ON lt.soul_contract_id = sc.id
-      
-      GROUP BY sc.contract_location                     -- Aggregate by location
-      ORDER BY total_power DESC                         -- Show highest power locations first
-      -- This single query replaces 35+ separate DynamoDB queries + client-side calculations
-    `);
+    // DSQL: one query - per-soul ledger totals in a CTE, then GROUP BY location
+    // with COUNT, conditional COUNT and SUM (see locationAnalytics in
+    // src/lib/dsqlSoulRepository.js)
+    const dsqlReport = await this.dsql.locationAnalytics();
     const analyticsTime = elapsedMs(analyticsStart);
 
     console.log(` DSQL: ${analyticsTime}ms - Complex analytics in single query`);
-    console.log(`    Analyzed ${analyticsResult.rows.length} locations with aggregations`);
+    console.log(`    Analyzed ${dsqlReport.locations.length} locations with aggregations`);
     console.log('    How: JOIN + GROUP BY + multiple aggregations + calculations');
     console.log('    Features: COUNT, SUM, AVG, conditional aggregation, percentage calc');
     console.log('    Result: Complete business intelligence in one query\n');
@@ -370,93 +267,31 @@ class MainDemo {
     // Now show the DynamoDB equivalent implementation
     console.log('DynamoDB: Implementing equivalent analytics with multiple operations');
     const dynamoAnalyticsStart = startTimer();
-    
-    // Step 1: Get all contracts by location using LocationIndex
-    const locations = ['Highway_66', 'Desert_Crossroads', 'Abandoned_Church', 'City_Alley', 'Graveyard', 'Hell_Gate'];
-    const locationData = {};
-    let totalDynamoQueries = 0;
-
-    for (const location of locations) {
-      // Query 1: Get contracts by location
-      const locationContracts = await dynamodb.send(new QueryCommand({
-        TableName: TABLE_NAME,
-        IndexName: 'LocationIndex',
-        KeyConditionExpression: 'contract_location = :location',
-        ExpressionAttributeValues: { ':location': location }
-      }));
-      totalDynamoQueries++;
-
-      if (locationContracts.Items.length > 0) {
-        locationData[location] = {
-          soul_count: 0,
-          redeemed: 0,
-          total_power: 0,
-          contracts: []
-        };
-
-        // Process each contract
-        for (const item of locationContracts.Items) {
-          if (item.SK === 'CONTRACT') {
-            locationData[location].soul_count++;
-            if (item.status === 'Redeemed') {
-              locationData[location].redeemed++;
-            }
-            locationData[location].contracts.push(item.soulId);
-          }
-        }
-
-        // Step 2: Get ledger entries for each soul (additional queries)
-        for (const soulId of locationData[location].contracts) {
-          const ledgerEntries = await dynamodb.send(new QueryCommand({
-            TableName: TABLE_NAME,
-            KeyConditionExpression: 'PK = :pk AND begins_with(SK, :sk)',
-            ExpressionAttributeValues: { 
-              ':pk': `SOUL#${soulId}`,
-              ':sk': 'LEDGER#'
-            }
-          }));
-          totalDynamoQueries++;
-
-          // Sum up the power for this soul
-          for (const ledger of ledgerEntries.Items) {
-            locationData[location].total_power += (ledger.amount || 0);
-          }
-        }
-
-        // Calculate derived metrics: average ledger power per soul and percentage redeemed.
-        locationData[location].avg_power_per_soul = locationData[location].soul_count > 0
-          ? locationData[location].total_power / locationData[location].soul_count
-          : 0;
-        locationData[location].redemption_rate = locationData[location].soul_count > 0
-          ? (locationData[location].redeemed / locationData[location].soul_count) * 100
-          : 0;
-      }
-    }
 
+    // Step 1: a scan projecting contract locations finds the locations
+    // Step 2: contracts per location from LocationIndex
+    // Step 3: a LEDGER# query per soul, summed client-side
+    const dynamoReport = await dynamo.locationAnalytics();
     const dynamoAnalyticsTime = elapsedMs(dynamoAnalyticsStart);
-
-    // Sort by total power (client-side)
-    const sortedLocations = Object.entries(locationData)
-      .filter(([_, data]) => data.soul_count > 0)
-      .sort(([,a], [,b]) => b.total_power - a.total_power);
+    const totalDynamoQueries = dynamoReport.roundTrips;
 
     console.log(`    Completed in ${dynamoAnalyticsTime}ms using ${totalDynamoQueries} separate queries`);
-    console.log(`    Analyzed ${sortedLocations.length} locations`);
-    console.log('    How: Multiple GSI queries + client-side aggregation + sorting');
-    console.log('    Complexity: N+M queries (N locations + M souls) + application logic');
+    console.log(`    Analyzed ${dynamoReport.locations.length} locations`);
+    console.log('    How: Location scan + multiple GSI queries + client-side aggregation + sorting');
+    console.log('    Complexity: S+N+M requests (S scan pages + N locations + M souls) + application logic');
     console.log(`    Cost: ${totalDynamoQueries} read operations vs 1 DSQL query`);
     console.log(`    Performance ratio: ${(dynamoAnalyticsTime/analyticsTime).toFixed(1)}x slower than DSQL`);
     
     // Show analytics results that frontend would receive
     console.log('\nANALYTICS RESULTS FOR FRONTEND:');
     console.log('DSQL Business Intelligence (ready for dashboard):');
-    analyticsResult.rows.forEach((row, i) => {
-      console.log(`   Location ${i + 1}: ${row.contract_location} - ${row.soul_count} souls, ${row.redeemed} redeemed (${row.redemption_rate}%), Power: ${row.total_power}`);
+    dsqlReport.locations.forEach((row, i) => {
+      console.log(`   Location ${i + 1}: ${row.location} - ${row.soulCount} souls, ${row.redeemed} redeemed (${row.redemptionRate}%), Power: ${row.totalPower}`);
     });
     
     console.log('DynamoDB Equivalent (required client processing):');
-    sortedLocations.forEach(([location, data], i) => {
-      console.log(`   Location ${i + 1}: ${location} - ${data.soul_count} souls, ${data.redeemed} redeemed (${data.redemption_rate.toFixed(1)}%), Power: ${data.total_power}`);
+    dynamoReport.locations.forEach((row, i) => {
+      console.log(`   Location ${i + 1}: ${row.location} - ${row.soulCount} souls, ${row.redeemed} redeemed (${row.redemptionRate}%), Power: ${row.totalPower}`);
     });
     console.log('');
   }
@@ -470,69 +305,28 @@ class MainDemo {
     const soulId = await this.getSampleSoulId();
     const newStatus = 'Redeemed';
     const amount = 500;
-    const eventDescription = 'Soul redeemed by Ghost Rider';
-    const currentTime = new Date().toISOString();
 
     // Test DynamoDB transaction
     console.log('DynamoDB Transaction:');
     const dynamoWriteStart = startTimer();
     let dynamoWriteTime = null;
     try {
-      // DynamoDB: Single atomic transaction across multiple items in same partition
-      await dynamodb.send(new TransactWriteCommand({
-        TransactItems: [
-          {
-            // Operation 1: Update the main contract status
-            Update: {
-              TableName: TABLE_NAME,
-              Key: { 
-                PK: `SOUL#${soulId}`,     // Partition key: groups all soul data
-                SK: 'CONTRACT'            // Sort key: identifies the main contract record
-              },
-              UpdateExpression: 'SET #status = :status, updated_at = :timestamp',
-              ExpressionAttributeNames: { '#status': 'status' },  // 'status' is reserved word
-              ExpressionAttributeValues: { 
-                ':status': newStatus,
-                ':timestamp': currentTime
-              }
-            }
-          },
-          {
-            // Operation 2: Add new event record
-            Put: {
-              TableName: TABLE_NAME,
-              Item: {
-                PK: `SOUL#${soulId}`,                    // Same partition as contract
-                SK: `EVENT#${currentTime}`,              // Sort key: chronological ordering
-                description: eventDescription,
-                timestamp: currentTime
-              }
-            }
-          },
-          {
-            // Operation 3: Add new ledger entry for power transaction
-            Put: {
-              TableName: TABLE_NAME,
-              Item: {
-                PK: `SOUL#${soulId}`,                    // Same partition as contract
-                SK: `LEDGER#${currentTime}`,             // Sort key: chronological ordering
-                amount: amount,
-                transaction_type: 'redemption',
-                timestamp: currentTime
-              }
-            }
-          }
-        ]
-      }));
-      
+      // DynamoDB: one TransactWrite in the soul's partition - contract update
+      // (conditioned on the status state machine) + event put + ledger put
+      const outcome = await dynamo.updateStatus({ soulId, newStatus, amount, descriptionPrefix: ARTIFACT_PREFIX });
       dynamoWriteTime = elapsedMs(dynamoWriteStart);
-      console.log(`   Transaction completed in ${dynamoWriteTime}ms`);
-      console.log('   How: TransactWrite with 3 operations (1 update + 2 inserts)');
-      console.log('   Operations: Contract status updated, event logged, ledger entry added');
-      console.log('   ACID: Strong consistency within partition (all items share PK)');
-      console.log('   Constraint: All operations must be in same partition for ACID guarantees');
 
-      const dynamoPartition = await this.fetchSoulPartition(soulId);
+      if (outcome.kind === 'illegal-transition') {
+        console.log(`   Rejected in ${dynamoWriteTime}ms: ${outcome.currentStatus} -> ${newStatus} is not an allowed move`);
+      } else {
+        console.log(`   Transaction completed in ${dynamoWriteTime}ms`);
+        console.log('   How: TransactWrite with 3 operations (1 update + 2 inserts)');
+        console.log('   Operations: Contract status updated, event logged, ledger entry added');
+        console.log('   ACID: Strong consistency within partition (all items share PK)');
+        console.log('   Constraint: All operations must be in same partition for ACID guarantees');
+      }
+
+      const { items: dynamoPartition } = await dynamo.fetchPartition(soulId);
       const dynamoContract = dynamoPartition.find(item => item.SK === 'CONTRACT');
       const latestEvent = dynamoPartition
         .filter(item => item.SK?.startsWith('EVENT#'))
@@ -560,87 +354,37 @@ class MainDemo {
     const dsqlWriteStart = startTimer();
     let dsqlWriteTime = null;
     try {
-      // DSQL: Full ACID transaction across multiple normalized tables
-      await this.dsqlClient.query('BEGIN');  // Start transaction
-      
-      // Operation 1: Update contract status in main table
-      await this.dsqlClient.query(
-        'UPDATE soul_contracts SET contract_status = $1, updated_at = $2 WHERE id = $3',
-        [newStatus, currentTime, soulId]
-      );
-      
-      // Operation 2: Insert event record in events table
-      // Note: Using 'event_time' column name (not 'timestamp' - that was the bug!)
-      await this.dsqlClient.query(
-        'INSERT INTO soul_contract_events (soul_contract_id, description, event_time) VALUES ($1, $2, $3)',
-        [soulId, eventDescription, currentTime]
-      );
-      
-      // Operation 3: Insert ledger entry in ledger table  
-      // Note: Using 'transaction_time' column name (not 'timestamp')
-      await this.dsqlClient.query(
-        'INSERT INTO soul_ledger (soul_contract_id, amount, transaction_time, description) VALUES ($1, $2, $3, $4)',
-        [soulId, amount, currentTime, `Redemption power bonus: ${amount}`]
-      );
-      
-      await this.dsqlClient.query('COMMIT');  // Commit all changes atomically
-      
+      // DSQL: BEGIN, read the status FOR UPDATE, upsert soul_contracts,
+      // insert into soul_contract_events and soul_ledger, COMMIT - replayed
+      // automatically if COMMIT reports an OCC conflict
+      const outcome = await this.dsql.updateStatus({ soulId, newStatus, amount, descriptionPrefix: ARTIFACT_PREFIX });
       dsqlWriteTime = elapsedMs(dsqlWriteStart);
-      console.log(`   Transaction completed in ${dsqlWriteTime}ms`);
-      console.log('   How: SQL transaction with BEGIN/COMMIT across 3 normalized tables');
-      console.log('   Operations: Contract updated, event inserted, ledger entry inserted');
-      console.log('   ACID: Full transaction isolation across any tables (not limited by partitions)');
-      console.log('   Flexibility: Can include complex business logic, joins, constraints');
-
-      const dsqlAudit = await this.dsqlClient.query(
-        `SELECT
-           sc.contract_status,
-           sc.updated_at,
-           sce.description AS last_event,
-           sce.event_time AS last_event_time,
-           sl.amount AS last_amount,
-           sl.transaction_time AS last_amount_time
-         FROM soul_contracts sc
-         LEFT JOIN LATERAL (
-           SELECT description, event_time
-           FROM soul_contract_events
-           WHERE soul_contract_id = sc.id
-           ORDER BY event_time DESC
-           LIMIT 1
-         ) sce ON true
-         LEFT JOIN LATERAL (
-           SELECT amount, transaction_time
-           FROM soul_ledger
-           WHERE soul_contract_id = sc.id
-           ORDER BY transaction_time DESC
-           LIMIT 1
-         ) sl ON true
-         WHERE sc.id = $1`,
-        [soulId]
-      );
-
-      const auditRow = dsqlAudit.rows[0];
-      if (auditRow) {
-        const updatedAt = auditRow.updated_at instanceof Date ? auditRow.updated_at.toISOString() : auditRow.updated_at;
-        const lastEventTime = auditRow.last_event_time instanceof Date ? auditRow.last_event_time.toISOString() : auditRow.last_event_time;
-        const lastAmountTime = auditRow.last_amount_time instanceof Date ? auditRow.last_amount_time.toISOString() : auditRow.last_amount_time;
+
+      if (outcome.kind === 'illegal-transition') {
+        console.log(`   Rejected in ${dsqlWriteTime}ms: ${outcome.currentStatus} -> ${newStatus} is not an allowed move`);
+      } else {
+        console.log(`   Transaction completed in ${dsqlWriteTime}ms (${outcome.attempts} attempt${outcome.attempts === 1 ? '' : 's'})`);
+        console.log('   How: SQL transaction with BEGIN/COMMIT across 3 normalized tables');
+        console.log('   Operations: Contract updated, event inserted, ledger entry inserted');
+        console.log('   ACID: Full transaction isolation across any tables (not limited by partitions)');
+        console.log('   Flexibility: Can include complex business logic, joins, constraints');
+      }
+
+      const profile = await this.dsql.getProfile(soulId);
+      if (profile) {
+        const lastEvent = profile.events[profile.events.length - 1];
+        const lastLedger = profile.ledger[profile.ledger.length - 1];
         console.log('   Rows touched (DSQL normalized view):');
-        console.log(`     - soul_contracts -> status=${auditRow.contract_status} updated_at=${updatedAt}`);
-        if (auditRow.last_event) {
-          console.log(`     - soul_contract_events -> ${lastEventTime}: "${auditRow.last_event}"`);
+        console.log(`     - soul_contracts -> status=${profile.contract.status} updated_at=${profile.contract.updatedAt}`);
+        if (lastEvent) {
+          console.log(`     - soul_contract_events -> ${lastEvent.timestamp}: "${lastEvent.description}"`);
         }
-        if (typeof auditRow.last_amount === 'number') {
-          console.log(`     - soul_ledger -> ${lastAmountTime}: amount=${auditRow.last_amount}`);
+        if (lastLedger) {
+          console.log(`     - soul_ledger -> ${lastLedger.timestamp}: amount=${lastLedger.amount}`);
         }
       }
     } catch (error) {
-      console.log(`   DSQL transaction failed: ${error.message}`);
-      try {
-        await this.dsqlClient.query('ROLLBACK');  // Rollback on failure
-        console.log('   Transaction rolled back successfully');
-      } catch (rollbackError) {
-        console.log('   Rollback also failed');
-      }
+      console.log(`   DSQL transaction failed (rolled back): ${error.message}`);
     }
 
     console.log('\nWRITE OPERATIONS STATISTICAL SUMMARY:');
@@ -683,42 +427,33 @@ class MainDemo {
     console.log('    Testing: Compare batch vs individual operations\n');
     
     const soulIds = await this.getMultipleSoulIds(10);
-    const keys = soulIds.map(id => ({ PK: `SOUL#${id}`, SK: 'CONTRACT' }));
 
     // DynamoDB BatchGetItem (optimized)
     const batchStart = startTimer();
-    const batchResult = await dynamodb.send(new BatchGetCommand({
-      RequestItems: {
-        [TABLE_NAME]: { Keys: keys }
-      }
-    }));
+    const batchContracts = await dynamo.getContracts(soulIds);
     const batchTime = elapsedMs(batchStart);
     
     // Store batch result for frontend data display
-    this.batchResult = batchResult;
+    this.batchContracts = batchContracts;
 
-    console.log(`    DynamoDB BatchGetItem: ${batchTime}ms for ${keys.length} contracts`);
+    console.log(`    DynamoDB BatchGetItem: ${batchTime}ms for ${soulIds.length} contracts`);
     console.log(`    How: Single API call retrieves all items simultaneously`);
-    console.log(`    Per-item cost: ${(batchTime/keys.length).toFixed(1)}ms per contract`);
-    console.log(`    Network efficiency: 1 round-trip vs ${keys.length} individual calls\n`);
+    console.log(`    Per-item cost: ${(batchTime/soulIds.length).toFixed(1)}ms per contract`);
+    console.log(`    Network efficiency: 1 round-trip vs ${soulIds.length} individual calls\n`);
 
     // Compare with individual DynamoDB queries
     console.log('    COMPARISON: Individual DynamoDB queries (inefficient approach)');
     const individualStart = startTimer();
     const individualResults = [];
     
-    for (const key of keys) {
-      const result = await dynamodb.send(new GetCommand({
-        TableName: TABLE_NAME,
-        Key: key
-      }));
-      individualResults.push(result.Item);
+    for (const soulId of soulIds) {
+      individualResults.push(await dynamo.getContract(soulId));
     }
     const individualTime = elapsedMs(individualStart);
 
-    console.log(`    Individual queries: ${individualTime}ms for ${keys.length} contracts`);
-    console.log(`    Per-item cost: ${(individualTime/keys.length).toFixed(1)}ms per contract`);
-    console.log(`    Network overhead: ${keys.length} round-trips vs 1 batch call`);
+    console.log(`    Individual queries: ${individualTime}ms for ${soulIds.length} contracts`);
+    console.log(`    Per-item cost: ${(individualTime/soulIds.length).toFixed(1)}ms per contract`);
+    console.log(`    Network overhead: ${soulIds.length} round-trips vs 1 batch call`);
     console.log(`    Efficiency gain: ${(individualTime/batchTime).toFixed(1)}x faster with batching\n`);
 
     // Compare with DSQL equivalent - show both approaches
@@ -726,30 +461,24 @@ class MainDemo {
     
     // Approach 1: SQL IN clause (proper SQL batching)
     const dsqlInStart = startTimer();
-    const dsqlInResult = await this.dsqlClient.query(
-      'SELECT * FROM soul_contracts WHERE id = ANY($1::text[])', 
-      [soulIds]
-    );
+    this.dsqlBatchContracts = await this.dsql.getContracts(soulIds);
     const dsqlInTime = elapsedMs(dsqlInStart);
-    this.dsqlBatchRows = dsqlInResult.rows;
 
-    console.log(`    DSQL IN clause: ${dsqlInTime}ms for ${keys.length} contracts`);
+    console.log(`    DSQL IN clause: ${dsqlInTime}ms for ${soulIds.length} contracts`);
     console.log(`    How: Single query with ANY($1::text[]) - proper SQL batching`);
-    console.log(`    Per-item cost: ${(dsqlInTime/keys.length).toFixed(1)}ms per contract`);
+    console.log(`    Per-item cost: ${(dsqlInTime/soulIds.length).toFixed(1)}ms per contract`);
     console.log(`    Native SQL set operation - database optimized\n`);
 
     // Approach 2: Parallel individual queries (what we tested before)
     console.log('    COMPARISON: DSQL parallel queries (suboptimal approach)');
     const dsqlParallelStart = startTimer();
-    const dsqlPromises = soulIds.map(id => 
-      this.dsqlClient.query('SELECT * FROM soul_contracts WHERE id = $1', [id])
-    );
+    const dsqlPromises = soulIds.map(id => this.dsql.getContract(id));
     await Promise.all(dsqlPromises);
     const dsqlParallelTime = elapsedMs(dsqlParallelStart);
 
-    console.log(`     DSQL parallel queries: ${dsqlParallelTime}ms for ${keys.length} contracts`);
-    console.log(`    How: ${keys.length} parallel SELECT statements`);
-    console.log(`    Per-item cost: ${(dsqlParallelTime/keys.length).toFixed(1)}ms per contract`);
+    console.log(`     DSQL parallel queries: ${dsqlParallelTime}ms for ${soulIds.length} contracts`);
+    console.log(`    How: ${soulIds.length} parallel SELECT statements`);
+    console.log(`    Per-item cost: ${(dsqlParallelTime/soulIds.length).toFixed(1)}ms per contract`);
     console.log(`    Suboptimal - forces multiple connections and queries\n`);
 
     console.log('    BATCH OPERATIONS ANALYSIS:');
@@ -764,20 +493,19 @@ class MainDemo {
     // Show batch results that frontend would receive
     console.log('\nBATCH OPERATION RESULTS FOR FRONTEND:');
     console.log('Sample contracts retrieved:');
-    const sampleContracts = this.batchResult.Responses[TABLE_NAME];
-    sampleContracts.forEach((contract, i) => {
-      console.log(`   Contract ${i + 1}: ${contract.soulId} - ${contract.status} at ${contract.contract_location}`);
+    this.batchContracts.forEach((contract, i) => {
+      console.log(`   Contract ${i + 1}: ${contract.soulId} - ${contract.status} at ${contract.contractLocation}`);
     });
-    if (this.dsqlBatchRows && this.dsqlBatchRows.length) {
+    if (this.dsqlBatchContracts && this.dsqlBatchContracts.length) {
       console.log('DSQL Batch result (normalized rows):');
-      this.dsqlBatchRows.forEach((row, i) => {
-        console.log(`   Contract ${i + 1}: ${row.id} - ${row.contract_status} at ${row.contract_location}`);
+      this.dsqlBatchContracts.forEach((contract, i) => {
+        console.log(`   Contract ${i + 1}: ${contract.soulId} - ${contract.status} at ${contract.contractLocation}`);
       });
     }
     console.log('');
     return {
       batchTime,
-      itemCount: keys.length,
+      itemCount: soulIds.length,
       dsqlInTime,
       individualTime,
       dsqlParallelTime
@@ -795,7 +523,7 @@ class MainDemo {
     
     for (let i = 0; i < 5; i++) {
       const complexStart = startTimer();
-      complexResult = await this.dsqlClient.query(`
+      complexResult = await this.dsql.query(`
         WITH soul_metrics AS (
           SELECT 
             sc.id,
@@ -1022,24 +750,15 @@ class MainDemo {
 
   async getSampleSoulId() {
     // Get a soul ID that exists in both databases
-    const dynamoResult = await dynamodb.send(new QueryCommand({
-      TableName: TABLE_NAME,
-      IndexName: 'StatusIndex',
-      KeyConditionExpression: '#status = :status',
-      ExpressionAttributeNames: { '#status': 'status' },
-      ExpressionAttributeValues: { ':status': 'Bound' },
-      Limit: 10  // Get multiple to find one that exists in both
-    }));
+    const { items } = await dynamo.listByStatus('Bound', { limit: 10 });  // Get multiple to find one that exists in both
     
-    if (dynamoResult.Items.length === 0) throw new Error('No sample data found in DynamoDB');
+    if (items.length === 0) throw new Error('No sample data found in DynamoDB');
     
     // Check which souls exist in DSQL
-    for (const item of dynamoResult.Items) {
-      const soulId = item.soulId;
+    for (const contract of items) {
       try {
-        const dsqlCheck = await this.dsqlClient.query('SELECT id FROM soul_contracts WHERE id = $1', [soulId]);
-        if (dsqlCheck.rows.length > 0) {
-          return soulId;  // Found a soul that exists in both databases
+        if (await this.dsql.getContract(contract.soulId)) {
+          return contract.soulId;  // Found a soul that exists in both databases
         }
       } catch (error) {
         // Continue to next soul if this one fails
@@ -1050,26 +769,18 @@ class MainDemo {
     // If no matching soul found, just return the first DynamoDB soul
     // This will demonstrate the data consistency issue
     console.log('    Warning: Using soul that may not exist in DSQL (data consistency issue)');
-    return dynamoResult.Items[0].soulId;
+    return items[0].soulId;
   }
 
   async getMultipleSoulIds(count) {
-    const result = await dynamodb.send(new QueryCommand({
-      TableName: TABLE_NAME,
-      IndexName: 'StatusIndex',
-      KeyConditionExpression: '#status = :status',
-      ExpressionAttributeNames: { '#status': 'status' },
-      ExpressionAttributeValues: { ':status': 'Bound' },
-      Limit: count
-    }));
-    
-    return result.Items.map(item => item.soulId);
+    const { items } = await dynamo.listByStatus('Bound', { limit: count });
+    return items.map(contract => contract.soulId);
   }
 }
 
 async function main() {
   const demo = new MainDemo();
-  const scenarioArg = process.argv[2];
+  const scenarioArg = process.argv.slice(2).find(arg => arg !== LOCAL_FLAG);
 
   if (scenarioArg) {
     await demo.runScenario(scenarioArg);
@@ -0,0 +1,328 @@
+#!/usr/bin/env node
+/**
+ * migrate.js
+ *
+ * Versioned schema migrations for Aurora DSQL (and local PostgreSQL).
+ *
+ * Migrations live in migrations/ as NNNN_name.js modules exporting
+ * `{ description, up, down }`, where `up` and `down` are one SQL statement
+ * each. DSQL allows a single DDL statement per transaction and no DML next
+ * to it, so every migration runs in its own transaction and the
+ * schema_migrations row is written in a second one. Statements should be
+ * idempotent (IF [NOT] EXISTS) so a run interrupted between the two can be
+ * repeated. A migration without `down` is irreversible.
+ *
+ * CREATE INDEX ASYNC returns a job_id; the runner polls sys.jobs until the
+ * job completes before recording the migration.
+ *
+ * Usage:
+ *   node scripts/migrate.js up [--to <version>]
+ *   node scripts/migrate.js status
+ *   node scripts/migrate.js down [--steps <n> | --to <version>]
+ *   (add --local for DynamoDB Local + PostgreSQL mode)
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { createDsqlPool } = require('../src/lib/dsqlPool');
+const { withOccRetry, sleep } = require('../src/lib/dsqlRetry');
+const { describeDsqlTarget } = require('../src/lib/environment');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const FILE_PATTERN = /^(\d+)_([\w-]+)\.js$/;
+const JOB_POLL_INTERVAL_MS = 2000;
+const JOB_TIMEOUT_MS = 30 * 60 * 1000;
+const JOB_FAILED_STATUSES = ['failed', 'cancelled'];
+
+/**
+ * @typedef {Object} Migration
+ * @property {string} version - zero-padded number from the file name
+ * @property {string} name
+ * @property {string} description
+ * @property {string} up
+ * @property {string} [down]
+ */
+
+class MigrationRunner {
+  /**
+   * @param {{ pool?: import('pg').Pool, directory?: string }} [options]
+   */
+  constructor(options = {}) {
+    this.pool = options.pool || null;
+    this.ownsPool = !options.pool;
+    this.directory = options.directory || MIGRATIONS_DIR;
+  }
+
+  connect() {
+    if (!this.pool) {
+      this.pool = createDsqlPool({ max: 1 });
+    }
+    return this.pool;
+  }
+
+  async close() {
+    if (this.pool && this.ownsPool) {
+      await this.pool.end();
+      this.pool = null;
+    }
+  }
+
+  /**
+   * @returns {Migration[]} sorted by version
+   */
+  loadMigrations() {
+    const migrations = fs.readdirSync(this.directory)
+      .map(file => ({ file, match: file.match(FILE_PATTERN) }))
+      .filter(({ match }) => match)
+      .map(({ file, match }) => {
+        const definition = require(path.join(this.directory, file));
+        if (typeof definition.up !== 'string' || !definition.up.trim()) {
+          throw new Error(`Migration ${file} must export an 'up' SQL statement`);
+        }
+        return {
+          version: match[1],
+          name: match[2],
+          description: definition.description || match[2],
+          up: definition.up,
+          down: definition.down
+        };
+      })
+      .sort((a, b) => Number(a.version) - Number(b.version));
+
+    const seen = new Set();
+    for (const { version } of migrations) {
+      if (seen.has(Number(version))) {
+        throw new Error(`Duplicate migration version ${version}`);
+      }
+      seen.add(Number(version));
+    }
+    return migrations;
+  }
+
+  async ensureTrackingTable() {
+    await this.execute(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version VARCHAR PRIMARY KEY,
+        name VARCHAR NOT NULL,
+        applied_at TIMESTAMP NOT NULL
+      )`);
+  }
+
+  /**
+   * @returns {Promise<Map<string, { name: string, appliedAt: Date }>>}
+   */
+  async appliedMigrations() {
+    const { rows } = await this.connect().query(
+      'SELECT version, name, applied_at FROM schema_migrations ORDER BY version'
+    );
+    return new Map(rows.map(row => [row.version, { name: row.name, appliedAt: row.applied_at }]));
+  }
+
+  /**
+   * Runs one statement in its own transaction, retrying OCC conflicts
+   * (concurrent DDL on DSQL surfaces as OC001 at COMMIT).
+   */
+  async execute(statement, params = []) {
+    const pool = this.connect();
+    const { result } = await withOccRetry(async () => {
+      const client = await pool.connect();
+      try {
+        await client.query('BEGIN;');
+        const res = await client.query(statement, params);
+        await client.query('COMMIT;');
+        return res;
+      } catch (err) {
+        try { await client.query('ROLLBACK;'); } catch {}
+        throw err;
+      } finally {
+        client.release();
+      }
+    }, { label: 'migration' });
+    return result;
+  }
+
+  /**
+   * Polls sys.jobs until an async index build finishes.
+   *
+   * @param {string} jobId
+   */
+  async waitForJob(jobId) {
+    const started = Date.now();
+    for (;;) {
+      const { rows } = await this.connect().query(
+        'SELECT status, details FROM sys.jobs WHERE job_id = $1',
+        [jobId]
+      );
+      const status = rows[0] ? String(rows[0].status).toLowerCase() : 'unknown';
+      if (status === 'completed') {
+        return;
+      }
+      if (JOB_FAILED_STATUSES.includes(status)) {
+        throw new Error(`Job ${jobId} ${status}: ${rows[0].details || 'no details'}`);
+      }
+      if (Date.now() - started > JOB_TIMEOUT_MS) {
+        throw new Error(`Timed out waiting for job ${jobId} (last status: ${status})`);
+      }
+      console.log(`    ⏳ job ${jobId}: ${status}`);
+      await sleep(JOB_POLL_INTERVAL_MS);
+    }
+  }
+
+  async runStatement(statement) {
+    const res = await this.execute(statement);
+    const jobId = res.rows && res.rows[0] && res.rows[0].job_id;
+    if (jobId) {
+      console.log(`    ➡️  async job ${jobId} started`);
+      await this.waitForJob(jobId);
+    }
+  }
+
+  /**
+   * Applies pending migrations in order, up to and including `to`.
+   *
+   * @param {{ to?: string }} [options]
+   * @returns {Promise<Migration[]>} the migrations applied
+   */
+  async up({ to } = {}) {
+    await this.ensureTrackingTable();
+    const applied = await this.appliedMigrations();
+    const pending = this.loadMigrations().filter(
+      m => !applied.has(m.version) && (to === undefined || Number(m.version) <= Number(to))
+    );
+
+    if (pending.length === 0) {
+      console.log('✅ Schema is up to date');
+      return [];
+    }
+
+    for (const migration of pending) {
+      console.log(`⬆️  ${migration.version}_${migration.name}: ${migration.description}`);
+      const started = Date.now();
+      await this.runStatement(migration.up);
+      await this.execute(
+        `INSERT INTO schema_migrations (version, name, applied_at) VALUES ($1, $2, NOW())
+         ON CONFLICT (version) DO NOTHING`,
+        [migration.version, migration.name]
+      );
+      console.log(`    ✓ applied in ${Date.now() - started} ms`);
+    }
+    console.log(`✅ Applied ${pending.length} migration${pending.length === 1 ? '' : 's'}`);
+    return pending;
+  }
+
+  /**
+   * Reverts applied migrations newest first: `steps` of them (default 1),
+   * or every one above version `to`.
+   *
+   * @param {{ steps?: number, to?: string }} [options]
+   * @returns {Promise<Migration[]>} the migrations reverted
+   */
+  async down({ steps, to } = {}) {
+    await this.ensureTrackingTable();
+    const applied = await this.appliedMigrations();
+    const byVersion = new Map(this.loadMigrations().map(m => [m.version, m]));
+    const versions = Array.from(applied.keys()).sort((a, b) => Number(b) - Number(a));
+    const targets = to !== undefined
+      ? versions.filter(version => Number(version) > Number(to))
+      : versions.slice(0, steps ?? 1);
+
+    if (targets.length === 0) {
+      console.log('ℹ️  Nothing to revert');
+      return [];
+    }
+
+    const reverted = [];
+    for (const version of targets) {
+      const migration = byVersion.get(version);
+      if (!migration) {
+        throw new Error(`Migration ${version} is applied but its file is missing from ${this.directory}`);
+      }
+      if (typeof migration.down !== 'string' || !migration.down.trim()) {
+        throw new Error(`Migration ${version}_${migration.name} is irreversible (no 'down')`);
+      }
+      console.log(`⬇️  ${version}_${migration.name}: ${migration.description}`);
+      await this.runStatement(migration.down);
+      await this.execute('DELETE FROM schema_migrations WHERE version = $1', [version]);
+      reverted.push(migration);
+    }
+    console.log(`✅ Reverted ${reverted.length} migration${reverted.length === 1 ? '' : 's'}`);
+    return reverted;
+  }
+
+  /**
+   * @returns {Promise<{ version: string, name: string, state: 'applied' | 'pending' | 'missing', appliedAt?: Date }[]>}
+   */
+  async status() {
+    await this.ensureTrackingTable();
+    const applied = await this.appliedMigrations();
+    const rows = this.loadMigrations().map(m => {
+      const record = applied.get(m.version);
+      applied.delete(m.version);
+      return record
+        ? { version: m.version, name: m.name, state: 'applied', appliedAt: record.appliedAt }
+        : { version: m.version, name: m.name, state: 'pending' };
+    });
+    for (const [version, record] of applied) {
+      rows.push({ version, name: record.name, state: 'missing', appliedAt: record.appliedAt });
+    }
+    rows.sort((a, b) => Number(a.version) - Number(b.version));
+
+    for (const row of rows) {
+      const icon = { applied: '✓', pending: '…', missing: '⚠' }[row.state];
+      const when = row.appliedAt ? `  ${new Date(row.appliedAt).toISOString()}` : '';
+      console.log(`  ${icon} ${row.version}_${row.name}  ${row.state}${when}`);
+    }
+    const pending = rows.filter(row => row.state === 'pending').length;
+    console.log(`\n${rows.length - pending} applied, ${pending} pending`);
+    return rows;
+  }
+
+  async run(command, options = {}) {
+    console.log('=== DSQL SCHEMA MIGRATIONS ===\n');
+    console.log(`Target: ${describeDsqlTarget(process.env.DSQL_ENDPOINT)}`);
+    console.log(`Migrations: ${path.relative(process.cwd(), this.directory) || '.'}\n`);
+
+    try {
+      if (command === 'up') {
+        await this.up({ to: options.to });
+      } else if (command === 'down') {
+        await this.down({ steps: options.steps, to: options.to });
+      } else if (command === 'status') {
+        await this.status();
+      } else {
+        throw new Error(`Unknown command '${command}'. Use up, status or down.`);
+      }
+    } catch (error) {
+      console.error('❌ Migration failed:', error.message);
+      process.exitCode = 1;
+    } finally {
+      await this.close();
+    }
+  }
+}
+
+function parseArgs(argv) {
+  const options = { command: 'up' };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--to' && argv[i + 1]) {
+      options.to = argv[i + 1];
+      i += 1;
+    } else if (arg === '--steps' && argv[i + 1]) {
+      const steps = parseInt(argv[i + 1], 10);
+      options.steps = Number.isFinite(steps) && steps > 0 ? steps : 1;
+      i += 1;
+    } else if (!arg.startsWith('--')) {
+      options.command = arg;
+    }
+  }
+  return options;
+}
+
+if (require.main === module) {
+  const { command, ...options } = parseArgs(process.argv.slice(2));
+  new MigrationRunner().run(command, options);
+}
+
+module.exports = MigrationRunner;
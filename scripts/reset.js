@@ -0,0 +1,191 @@
+#!/usr/bin/env node
+/**
+ * reset.js
+ *
+ * Empties both databases, or strips only what demo.js and benchmark.js
+ * wrote into the seeded souls (--only-benchmark-artifacts).
+ *
+ *   DynamoDB     parallel Scan for SOUL# items, deleted with BatchWriteItem
+ *   Aurora DSQL  soul_contract_events, soul_ledger, soul_contracts deleted
+ *                in chunks below the 3,000-row transaction limit
+ *
+ * Destructive, so it asks for confirmation on a terminal and refuses to
+ * run non-interactively (e.g. from server.js) without --yes.
+ *
+ * Usage:
+ *   node scripts/reset.js [--only-benchmark-artifacts] [--target dynamo|dsql]
+ *                         [--segments <n>] [--chunk-rows <n>] [--yes] [--local]
+ */
+
+require('dotenv').config();
+const readline = require('readline');
+const { createDsqlPool } = require('../src/lib/dsqlPool');
+const { describeDsqlTarget, isLocal } = require('../src/lib/environment');
+const { DsqlSoulRepository, DynamoSoulRepository } = require('../src/lib/soulRepository');
+
+const DSQL_ENDPOINT = process.env.DSQL_ENDPOINT;
+const AWS_REGION = process.env.AWS_REGION || 'us-east-1';
+const CONFIRMATION_WORD = 'reset';
+const DEFAULT_SEGMENTS = 4;
+const DEFAULT_CHUNK_ROWS = 1000;
+
+class DatabaseReset {
+  /**
+   * @param {{
+   *   target?: string,
+   *   onlyBenchmarkArtifacts?: boolean,
+   *   yes?: boolean,
+   *   segments?: number,
+   *   chunkRows?: number
+   * }} [options]
+   */
+  constructor(options = {}) {
+    const target = typeof options.target === 'string' ? options.target.toLowerCase() : 'both';
+    if (!['dynamo', 'dsql', 'both'].includes(target)) {
+      throw new Error(`--target must be dynamo, dsql or both, got '${options.target}'`);
+    }
+    this.targets = { dynamo: target !== 'dsql', dsql: target !== 'dynamo' };
+    this.onlyBenchmarkArtifacts = Boolean(options.onlyBenchmarkArtifacts);
+    this.yes = Boolean(options.yes);
+    this.segments = options.segments || DEFAULT_SEGMENTS;
+    this.chunkRows = options.chunkRows || DEFAULT_CHUNK_ROWS;
+    this.dynamoRepository = new DynamoSoulRepository({ region: AWS_REGION });
+  }
+
+  describePlan() {
+    const what = this.onlyBenchmarkArtifacts
+      ? "benchmark events and demo redemption rows (descriptions starting '[artifact] ')"
+      : 'ALL soul contracts, events and ledger entries';
+    const lines = [`This will delete ${what} from:`];
+    if (this.targets.dynamo) {
+      lines.push(`  - DynamoDB table ${this.dynamoRepository.tableName}${isLocal() ? ' (DynamoDB Local)' : ''}`);
+    }
+    if (this.targets.dsql) {
+      lines.push(`  - Aurora DSQL ${describeDsqlTarget(DSQL_ENDPOINT)}`);
+    }
+    return lines.join('\n');
+  }
+
+  /**
+   * @returns {Promise<boolean>}
+   */
+  async confirm() {
+    console.log(`${this.describePlan()}\n`);
+    if (this.yes) {
+      return true;
+    }
+    if (!process.stdin.isTTY) {
+      throw new Error('Refusing to reset without confirmation; re-run with --yes');
+    }
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+    try {
+      const answer = await new Promise(resolve => rl.question(`Type '${CONFIRMATION_WORD}' to continue: `, resolve));
+      return answer.trim() === CONFIRMATION_WORD;
+    } finally {
+      rl.close();
+    }
+  }
+
+  async resetDynamoDB() {
+    console.log(`🧹 DynamoDB: scanning ${this.dynamoRepository.tableName} with ${this.segments} parallel segments...`);
+    let reported = 0;
+    const { scanned, deleted, consumedWcu, throttleRetries, elapsedMs } = await this.dynamoRepository.purge({
+      onlyBenchmarkArtifacts: this.onlyBenchmarkArtifacts,
+      segments: this.segments,
+      onProgress: progress => {
+        if (progress.deleted - reported >= 500) {
+          reported = progress.deleted;
+          console.log(`  Deleted ${progress.deleted} items (${progress.scanned} scanned)`);
+        }
+      }
+    });
+    console.log(
+      `✓ DynamoDB: deleted ${deleted} of ${scanned} scanned items in ${(elapsedMs / 1000).toFixed(2)}s ` +
+      `(${consumedWcu.toFixed(1)} WCUs, ${throttleRetries} throttling retr${throttleRetries === 1 ? 'y' : 'ies'})`
+    );
+  }
+
+  async resetDSQL() {
+    if (!DSQL_ENDPOINT && !isLocal()) {
+      console.log('⚠ Skipping Aurora DSQL: DSQL_ENDPOINT not set');
+      return;
+    }
+    console.log(`🧹 Aurora DSQL: deleting in chunks of ${this.chunkRows} rows...`);
+    const pool = createDsqlPool({ endpoint: DSQL_ENDPOINT, region: AWS_REGION, max: 1 });
+    try {
+      const { deleted, transactions, retries, elapsedMs } = await new DsqlSoulRepository(pool).purge({
+        onlyBenchmarkArtifacts: this.onlyBenchmarkArtifacts,
+        chunkRows: this.chunkRows,
+        onProgress: (table, count) => console.log(`  ${table}: ${count} rows deleted`)
+      });
+      const summary = Object.entries(deleted).map(([table, count]) => `${table} ${count}`).join(', ');
+      console.log(
+        `✓ Aurora DSQL: ${summary} in ${transactions} transaction${transactions === 1 ? '' : 's'}, ` +
+        `${(elapsedMs / 1000).toFixed(2)}s, ${retries} OCC retr${retries === 1 ? 'y' : 'ies'}`
+      );
+    } finally {
+      await pool.end();
+    }
+  }
+
+  async run() {
+    console.log(`=== DATABASE RESET${this.onlyBenchmarkArtifacts ? ' (benchmark artifacts only)' : ''} ===\n`);
+    try {
+      if (!(await this.confirm())) {
+        console.log('Aborted; nothing was deleted.');
+        return;
+      }
+      if (this.targets.dynamo) {
+        await this.resetDynamoDB();
+      }
+      if (this.targets.dsql) {
+        await this.resetDSQL();
+      }
+      console.log(
+        this.onlyBenchmarkArtifacts
+          ? '\n✅ Benchmark artifacts removed'
+          : '\n✅ Databases reset; run `npm run seed` to repopulate'
+      );
+    } catch (error) {
+      console.error('❌ Reset failed:', error.message);
+      process.exitCode = 1;
+    }
+  }
+}
+
+function parseArgs(argv) {
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--only-benchmark-artifacts') {
+      options.onlyBenchmarkArtifacts = true;
+    } else if (arg === '--yes' || arg === '-y') {
+      options.yes = true;
+    } else if (arg === '--target' && argv[i + 1]) {
+      options.target = argv[i + 1];
+      i += 1;
+    } else if ((arg === '--segments' || arg === '--chunk-rows') && argv[i + 1]) {
+      const value = parseInt(argv[i + 1], 10);
+      if (!Number.isFinite(value) || value < 1) {
+        throw new Error(`${arg} must be a positive integer`);
+      }
+      options[arg === '--segments' ? 'segments' : 'chunkRows'] = value;
+      i += 1;
+    }
+  }
+  return options;
+}
+
+if (require.main === module) {
+  // Bad flags are reported like a failed reset rather than as a stack trace.
+  let reset;
+  try {
+    reset = new DatabaseReset(parseArgs(process.argv.slice(2)));
+  } catch (error) {
+    console.error('❌ Reset failed:', error.message);
+    process.exitCode = 1;
+  }
+  if (reset) reset.run();
+}
+
+module.exports = DatabaseReset;
@@ -1,31 +1,70 @@
 #!/usr/bin/env node
 
 require('dotenv').config();
-const { DynamoDBClient, BatchWriteItemCommand } = require('@aws-sdk/client-dynamodb');
-const { DsqlSigner } = require('@aws-sdk/dsql-signer');
-const { Client } = require('pg');
+const { createDsqlPool } = require('../src/lib/dsqlPool');
+const { isLocal } = require('../src/lib/environment');
+const { createRng, resolveSeed, stableUuid } = require('../src/lib/random');
+const { SeedCheckpoint, DEFAULT_CHECKPOINT_PATH } = require('../src/lib/seedCheckpoint');
+const { createProfile, DEFAULT_PROFILE, PROFILE_DESCRIPTIONS } = require('../src/lib/seedProfiles');
+const { readDataset, writeDataset } = require('../src/lib/datasetFile');
+const { DsqlSoulRepository, DynamoSoulRepository } = require('../src/lib/soulRepository');
 
 const DSQL_ENDPOINT = process.env.DSQL_ENDPOINT;
 const AWS_REGION = process.env.AWS_REGION || 'us-east-1';
-const TABLE_NAME = process.env.TABLE_NAME || 'DevilSoulTracker';
 
 const DEFAULT_SOULS = 1000;
 const DEFAULT_EVENTS_PER_SOUL = 50;
 const DEFAULT_LEDGER_ENTRIES = 5000;
+// All generated timestamps are offsets back from this instant, so a seed
+// reproduces the same dataset whenever it is run.
+const DEFAULT_REFERENCE_TIME = '2025-01-01T00:00:00.000Z';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_DSQL_CONCURRENCY = 4;
+const DEFAULT_DSQL_BATCH_ROWS = 1000;
+const DEFAULT_DYNAMO_CONCURRENCY = 4;
+// A new on-demand table absorbs up to 4,000 WCU/s; stay well below that.
+const DEFAULT_DYNAMO_WCU_PER_SECOND = 1000;
 
 class SeedData {
   constructor(options = {}) {
+    this.checkpointPath = typeof options.checkpoint === 'string' ? options.checkpoint : DEFAULT_CHECKPOINT_PATH;
+    // On --resume the checkpoint supplies whatever the command line leaves out.
+    this.checkpoint = options.resume ? SeedCheckpoint.load(this.checkpointPath) : null;
+    const saved = this.checkpoint ? this.checkpoint.dataset : {};
+
     this.config = {
-      soulCount: coercePositiveInt(options.soulCount) ?? coercePositiveInt(process.env.SOULS_COUNT) ?? DEFAULT_SOULS,
-      eventsPerSoul: coerceNonNegativeInt(options.eventsPerSoul) ?? coerceNonNegativeInt(process.env.EVENTS_PER_SOUL) ?? DEFAULT_EVENTS_PER_SOUL,
-      ledgerEntries: coerceNonNegativeInt(options.ledgerEntries) ?? coerceNonNegativeInt(process.env.LEDGER_ENTRIES) ?? DEFAULT_LEDGER_ENTRIES
+      soulCount: coercePositiveInt(options.soulCount) ?? saved.soulCount ?? coercePositiveInt(process.env.SOULS_COUNT) ?? DEFAULT_SOULS,
+      eventsPerSoul: coerceNonNegativeInt(options.eventsPerSoul) ?? saved.eventsPerSoul ?? coerceNonNegativeInt(process.env.EVENTS_PER_SOUL) ?? DEFAULT_EVENTS_PER_SOUL,
+      ledgerEntries: coerceNonNegativeInt(options.ledgerEntries) ?? saved.ledgerEntries ?? coerceNonNegativeInt(process.env.LEDGER_ENTRIES) ?? DEFAULT_LEDGER_ENTRIES,
+      dsqlConcurrency: coercePositiveInt(options.concurrency) ?? DEFAULT_DSQL_CONCURRENCY,
+      dsqlBatchRows: coercePositiveInt(options.batchRows) ?? DEFAULT_DSQL_BATCH_ROWS,
+      dynamoConcurrency: coercePositiveInt(options.dynamoConcurrency) ?? DEFAULT_DYNAMO_CONCURRENCY,
+      dynamoWcuPerSecond: coerceNonNegativeInt(options.wcuPerSecond) ?? DEFAULT_DYNAMO_WCU_PER_SECOND,
+      seed: resolveSeed(options.seed ?? saved.seed),
+      referenceTime: parseReferenceTime(options.referenceTime ?? saved.referenceTime ?? DEFAULT_REFERENCE_TIME),
+      profile: options.profile ?? saved.profile ?? DEFAULT_PROFILE,
+      from: typeof options.from === 'string' ? options.from : saved.from,
+      exportPath: typeof options.export === 'string' ? options.export : undefined
     };
+    this.profile = createProfile(this.config.profile, this.config);
+
+    if (this.checkpoint) {
+      const identity = this.datasetIdentity();
+      for (const [key, value] of Object.entries(saved)) {
+        if (identity[key] !== value) {
+          throw new Error(
+            `--resume: ${key} is ${identity[key]} but the checkpoint was written for ${value}; ` +
+            'drop the option or start a fresh run without --resume'
+          );
+        }
+      }
+    }
 
     if (!this.config.soulCount || this.config.soulCount <= 0) {
       throw new Error('soulCount must be a positive integer');
     }
 
-    this.dynamoClient = new DynamoDBClient({ region: AWS_REGION });
+    this.dynamoRepository = new DynamoSoulRepository({ region: AWS_REGION });
 
     const target = typeof options.target === 'string' ? options.target.toLowerCase() : undefined;
     let seedDynamo = true;
@@ -57,28 +96,87 @@ class SeedData {
       seedDynamo = false;
     }
 
-    this.targets = {
-      dynamo: seedDynamo,
-      dsql: seedDsql
-    };
+    this.targets = this.checkpoint
+      ? { dynamo: Boolean(this.checkpoint.progress('dynamo')), dsql: Boolean(this.checkpoint.progress('dsql')) }
+      : { dynamo: seedDynamo, dsql: seedDsql };
+  }
+
+  /**
+   * @returns {import('../src/lib/seedCheckpoint').DatasetIdentity}
+   */
+  datasetIdentity() {
+    const { seed, referenceTime, soulCount, eventsPerSoul, ledgerEntries, profile, from } = this.config;
+    return { seed, referenceTime: referenceTime.toISOString(), soulCount, eventsPerSoul, ledgerEntries, profile, from };
   }
 
+  /**
+   * Generates the dataset, or reads it from the --from snapshot, in which
+   * case the snapshot's header replaces the generator settings.
+   *
+   * @returns {Promise<import('../src/lib/soulRepository').Dataset>}
+   */
+  async loadDataset() {
+    const { from } = this.config;
+    if (!from) {
+      return this.prepareDataset();
+    }
+
+    console.log(`Loading dataset from ${from}...`);
+    const { header, dataset } = await readDataset(from);
+    Object.assign(this.config, {
+      soulCount: dataset.souls.length,
+      ledgerEntries: dataset.ledgerEntries.length,
+      eventsPerSoul: header.eventsPerSoul ?? this.config.eventsPerSoul,
+      seed: header.seed ?? this.config.seed,
+      referenceTime: header.referenceTime ? parseReferenceTime(header.referenceTime) : this.config.referenceTime,
+      profile: header.profile ?? this.config.profile
+    });
+    console.log(`✓ Loaded ${header.counts.souls} souls, ${header.counts.events} events, ${header.counts.ledgerEntries} ledger entries (exported ${header.exportedAt})\n`);
+    return dataset;
+  }
+
+  async exportDataset(dataset) {
+    const { exportPath, seed, profile, referenceTime, eventsPerSoul } = this.config;
+    const started = Date.now();
+    const { counts } = await writeDataset(exportPath, dataset, {
+      seed,
+      profile,
+      referenceTime: referenceTime.toISOString(),
+      eventsPerSoul
+    });
+    console.log(
+      `✓ Exported ${counts.souls} souls, ${counts.events} events, ${counts.ledgerEntries} ledger entries ` +
+      `to ${exportPath} in ${((Date.now() - started) / 1000).toFixed(2)}s`
+    );
+    console.log(`   Load it with: node scripts/seedData.js --from ${exportPath}`);
+  }
+
+  /**
+   * Builds the dataset from the configured seed, reference time and
+   * profile. Every random choice comes from one PRNG stream in a fixed
+   * order, so equal seeds, counts and profiles give identical souls, events
+   * and ledger rows.
+   * Event and ledger ids are hashes of their content, so reloading the
+   * same rows (e.g. on --resume) never inserts them twice.
+   */
   prepareDataset() {
+    const rng = createRng(this.config.seed);
+    const now = this.config.referenceTime.getTime();
     const souls = [];
-    const statuses = ['Bound', 'Pending_Judgment', 'Redeemed', 'Condemned'];
+    const profile = this.profile;
     const soulTypes = ['Innocent', 'Sinner', 'Corrupt', 'Evil', 'Murderer', 'Betrayer'];
     const locations = ['Highway_66', 'Desert_Crossroads', 'Abandoned_Church', 'City_Alley', 'Graveyard', 'Hell_Gate'];
     const padSize = Math.max(3, String(this.config.soulCount).length);
 
     for (let i = 1; i <= this.config.soulCount; i++) {
-      const soulType = soulTypes[Math.floor(Math.random() * soulTypes.length)];
-      const location = locations[Math.floor(Math.random() * locations.length)];
+      const soulType = rng.pick(soulTypes);
+      const location = rng.pick(locations);
       const soulId = `${soulType.toLowerCase()}_${location.toLowerCase()}_${String(i).padStart(padSize, '0')}`;
-      const createdAt = new Date(Date.now() - Math.random() * 365 * 24 * 60 * 60 * 1000);
+      const createdAt = new Date(now - Math.floor(rng.next() * 365 * DAY_MS));
 
       const soul = {
         soulId,
-        status: statuses[Math.floor(Math.random() * statuses.length)],
+        status: profile.pickStatus(rng),
         soulType,
         contractLocation: location,
         createdAt,
@@ -86,11 +184,16 @@ class SeedData {
         ledgerEntries: []
       };
 
-      for (let j = 1; j <= this.config.eventsPerSoul; j++) {
-        const eventTime = new Date(createdAt.getTime() + j * 60000);
+      const eventCount = profile.eventCount(rng, i - 1);
+      let eventMs = createdAt.getTime();
+      for (let j = 1; j <= eventCount; j++) {
+        eventMs += profile.eventGapMs(rng);
+        const eventTime = new Date(eventMs);
+        const description = j === 1 ? 'Contract Created' : 'Status Change';
         soul.events.push({
+          id: stableUuid(soulId, 'event', j, eventTime.toISOString(), description),
           eventTime,
-          description: j === 1 ? 'Contract Created' : 'Status Change',
+          description,
           eventType: j === 1 ? 'Contract_Created' : 'Status_Change'
         });
       }
@@ -100,14 +203,15 @@ class SeedData {
 
     const ledgerEntries = [];
     for (let i = 0; i < this.config.ledgerEntries; i++) {
-      const soul = souls[Math.floor(Math.random() * souls.length)];
-      const amount = Math.floor(Math.random() * 1000) + 1;
-      const timestamp = new Date(Date.now() - Math.random() * 30 * 24 * 60 * 60 * 1000);
+      const soul = profile.pickLedgerSoul(rng, souls);
+      const { amount, transactionType, timestamp, description } = profile.ledgerEntry(rng, soul);
       const entry = {
+        id: stableUuid(soul.soulId, 'ledger', i, amount, timestamp.toISOString()),
         soulId: soul.soulId,
         amount,
+        transactionType,
         timestamp,
-        description: `Soul power transaction: ${amount}`
+        description
       };
       ledgerEntries.push(entry);
       soul.ledgerEntries.push(entry);
@@ -119,306 +223,282 @@ class SeedData {
   async seedDynamoDB(dataset) {
     const { souls, ledgerEntries } = dataset;
     const totalEvents = souls.reduce((acc, soul) => acc + soul.events.length, 0);
+    const { dynamoConcurrency, dynamoWcuPerSecond } = this.config;
     console.log(`Seeding DynamoDB with ${souls.length} souls, ${totalEvents} events, ${ledgerEntries.length} ledger entries...`);
-
-    const requests = [];
-
-    for (const soul of souls) {
-      requests.push({
-        PutRequest: {
-          Item: {
-            PK: { S: `SOUL#${soul.soulId}` },
-            SK: { S: 'CONTRACT' },
-            soulId: { S: soul.soulId },
-            status: { S: soul.status },
-            soul_type: { S: soul.soulType },
-            contract_location: { S: soul.contractLocation },
-            createdAt: { S: soul.createdAt.toISOString() },
-            GSI1PK: { S: `STATUS#${soul.status}` },
-            GSI1SK: { S: soul.createdAt.toISOString() }
-          }
+    console.log(
+      `  ${dynamoConcurrency} concurrent batch writer${dynamoConcurrency === 1 ? '' : 's'}, ` +
+      (dynamoWcuPerSecond > 0 ? `limited to ${dynamoWcuPerSecond} WCU/s` : 'no rate limit')
+    );
+    const startOffset = this.resumeOffset('dynamo', 'items');
+
+    let batches = 0;
+    const { items, consumedWcu, throttleRetries, elapsedMs } = await this.dynamoRepository.bulkLoad(dataset, {
+      concurrency: dynamoConcurrency,
+      writeCapacityPerSecond: dynamoWcuPerSecond,
+      startOffset,
+      onCheckpoint: committed => this.recordProgress('dynamo', committed),
+      onProgress: (written, total) => {
+        if (batches++ % 20 === 0 || written === total) {
+          console.log(`  Processed ${written}/${total} DynamoDB items`);
         }
-      });
-
-      for (const event of soul.events) {
-        requests.push({
-          PutRequest: {
-            Item: {
-              PK: { S: `SOUL#${soul.soulId}` },
-              SK: { S: `EVENT#${event.eventTime.toISOString()}` },
-              eventType: { S: event.eventType },
-              timestamp: { S: event.eventTime.toISOString() },
-              description: { S: event.description },
-              GSI1PK: { S: `EVENT#${event.eventTime.toISOString().split('T')[0]}` },
-              GSI1SK: { S: event.eventTime.toISOString() }
-            }
-          }
-        });
-      }
-    }
-
-    for (const entry of ledgerEntries) {
-      requests.push({
-        PutRequest: {
-          Item: {
-            PK: { S: `SOUL#${entry.soulId}` },
-            SK: { S: `LEDGER#${entry.timestamp.toISOString()}` },
-            amount: { N: entry.amount.toString() },
-            timestamp: { S: entry.timestamp.toISOString() },
-            description: { S: entry.description },
-            GSI1PK: { S: `LEDGER#${entry.timestamp.toISOString().split('T')[0]}` },
-            GSI1SK: { S: entry.timestamp.toISOString() }
-          }
-        }
-      });
-    }
-
-    const batchSize = 25;
-    for (let i = 0; i < requests.length; i += batchSize) {
-      let chunk = requests.slice(i, i + batchSize);
-      let attempt = 0;
-
-      while (chunk.length > 0) {
-        const response = await this.dynamoClient.send(new BatchWriteItemCommand({
-          RequestItems: { [TABLE_NAME]: chunk }
-        }));
-
-        const unprocessed = response.UnprocessedItems?.[TABLE_NAME] || [];
-        if (!unprocessed.length) {
-          break;
-        }
-
-        attempt += 1;
-        const delay = Math.min(1000, 50 * attempt);
-        await wait(delay);
-        chunk = unprocessed;
-      }
-
-      if ((i / batchSize) % 20 === 0) {
-        console.log(`  Processed ${Math.min(i + batchSize, requests.length)}/${requests.length} DynamoDB items`);
       }
-    }
+    });
 
-    console.log(`✓ DynamoDB seeding complete (${requests.length} items written)`);
+    this.checkpoint.complete('dynamo');
+    const itemsPerSecond = items / Math.max(elapsedMs / 1000, 0.001);
+    console.log(`✓ DynamoDB seeding complete (${items} items written)`);
+    console.log(
+      `  ${itemsPerSecond.toFixed(0)} items/sec over ${(elapsedMs / 1000).toFixed(2)}s, ` +
+      `${consumedWcu.toFixed(1)} WCUs consumed, ${throttleRetries} throttling retr${throttleRetries === 1 ? 'y' : 'ies'}`
+    );
   }
 
   async seedDSQL(dataset) {
-    if (!DSQL_ENDPOINT) {
+    if (!DSQL_ENDPOINT && !isLocal()) {
       console.log('⚠ Skipping Aurora DSQL seeding: DSQL_ENDPOINT not set');
       return;
     }
 
     const { souls, ledgerEntries } = dataset;
-    const client = await this.connectDSQL();
-    await client.connect();
+    const { dsqlConcurrency, dsqlBatchRows } = this.config;
+    const pool = createDsqlPool({ endpoint: DSQL_ENDPOINT, region: AWS_REGION, max: dsqlConcurrency });
 
     const totalEvents = souls.reduce((acc, soul) => acc + soul.events.length, 0);
     console.log(`Seeding Aurora DSQL with ${souls.length} souls, ${totalEvents} events, ${ledgerEntries.length} ledger entries...`);
+    console.log(`  ${dsqlBatchRows} rows per transaction, ${dsqlConcurrency} parallel connection${dsqlConcurrency === 1 ? '' : 's'}`);
+    const startOffset = this.resumeOffset('dsql', 'rows');
 
-    const ROW_LIMIT = 3000;
-    let rowsInTransaction = 0;
-    let inTransaction = false;
-    let transactionsCommitted = 0;
-    let totalRowsCommitted = 0;
-    let soulsInserted = 0;
-    let eventsInserted = 0;
-    let ledgerInserted = 0;
-
-    const SOUL_LOG_INTERVAL = souls.length ? Math.max(10, Math.ceil(souls.length / 10)) : Infinity;
-    const EVENT_LOG_INTERVAL = totalEvents ? Math.max(50, Math.ceil(totalEvents / 10)) : Infinity;
-    const LEDGER_LOG_INTERVAL = ledgerEntries.length ? Math.max(50, Math.ceil(ledgerEntries.length / 10)) : Infinity;
-
-    const nextLogThreshold = {
-      souls: SOUL_LOG_INTERVAL,
-      events: EVENT_LOG_INTERVAL,
-      ledger: LEDGER_LOG_INTERVAL
-    };
-
-    const maybeLogProgress = (reason = 'Progress', force = false) => {
-      const shouldLogSouls = soulsInserted >= nextLogThreshold.souls;
-      const shouldLogEvents = eventsInserted >= nextLogThreshold.events;
-      const shouldLogLedger = ledgerInserted >= nextLogThreshold.ledger;
-
-      if (!force && !shouldLogSouls && !shouldLogEvents && !shouldLogLedger) {
-        return;
-      }
-
-      const prefix = reason ? `  [DSQL] ${reason}` : '  [DSQL]';
+    try {
+      let commits = 0;
+      const { rows, transactions, retries, elapsedMs } = await new DsqlSoulRepository(pool).bulkLoad(dataset, {
+        batchRows: dsqlBatchRows,
+        concurrency: dsqlConcurrency,
+        startOffset,
+        onCheckpoint: committed => this.recordProgress('dsql', committed),
+        onProgress: (written, total) => {
+          commits += 1;
+          console.log(`  [DSQL] Commit #${commits}: ${written}/${total} rows`);
+        }
+      });
+      this.checkpoint.complete('dsql');
+      const rowsPerSecond = rows / Math.max(elapsedMs / 1000, 0.001);
+      console.log(
+        `✓ Aurora DSQL seeding complete (${souls.length} souls, ${totalEvents} events, ${ledgerEntries.length} ledger entries across ${transactions || 1} transaction${transactions === 1 ? '' : 's'}, total rows ${rows})`
+      );
       console.log(
-        `${prefix}: souls ${soulsInserted}/${souls.length}, events ${eventsInserted}/${totalEvents}, ledger ${ledgerInserted}/${ledgerEntries.length}, rows this txn ${rowsInTransaction}, commits ${transactionsCommitted}`
+        `  ${rowsPerSecond.toFixed(0)} rows/sec over ${(elapsedMs / 1000).toFixed(2)}s, ${retries} OCC retr${retries === 1 ? 'y' : 'ies'}`
       );
+    } finally {
+      await pool.end();
+    }
+  }
 
-      if (shouldLogSouls && SOUL_LOG_INTERVAL !== Infinity) {
-        while (nextLogThreshold.souls <= soulsInserted) {
-          nextLogThreshold.souls += SOUL_LOG_INTERVAL;
-        }
-      }
+  /**
+   * Where a resumed target picks up: its last committed offset. Everything
+   * after it is rewritten, which is safe because seeded writes are
+   * idempotent.
+   *
+   * @param {'dynamo' | 'dsql'} target
+   * @param {string} unit
+   */
+  resumeOffset(target, unit) {
+    const { committed, total, position } = this.checkpoint.progress(target);
+    if (committed > 0) {
+      console.log(
+        `  Resuming after ${committed}/${total} ${unit} ` +
+        `(${position.souls} souls, ${position.events} events, ${position.ledgerEntries} ledger entries committed)`
+      );
+    }
+    return committed;
+  }
 
-      if (shouldLogEvents && EVENT_LOG_INTERVAL !== Infinity) {
-        while (nextLogThreshold.events <= eventsInserted) {
-          nextLogThreshold.events += EVENT_LOG_INTERVAL;
-        }
-      }
+  recordProgress(target, committed) {
+    this.checkpoint.record(target, committed, this.positionAt(committed));
+  }
 
-      if (shouldLogLedger && LEDGER_LOG_INTERVAL !== Infinity) {
-        while (nextLogThreshold.ledger <= ledgerInserted) {
-          nextLogThreshold.ledger += LEDGER_LOG_INTERVAL;
+  /**
+   * Creates the checkpoint for a fresh run, or checks that the regenerated
+   * dataset still has the shape the resumed checkpoint was written for.
+   */
+  openCheckpoint(dataset) {
+    const total = dataset.souls.reduce((acc, soul) => acc + 1 + soul.events.length, dataset.ledgerEntries.length);
+    this.positionAt = positionLookup(dataset);
+
+    if (this.checkpoint) {
+      for (const target of ['dynamo', 'dsql']) {
+        const progress = this.checkpoint.progress(target);
+        if (progress && progress.total !== total) {
+          throw new Error(
+            `--resume: dataset has ${total} rows but the checkpoint's ${target} target expects ${progress.total}; ` +
+            'was it written by a different version of the seeder?'
+          );
         }
       }
-    };
-
-    const begin = async () => {
-      if (!inTransaction) {
-        await client.query('BEGIN');
-        inTransaction = true;
-        rowsInTransaction = 0;
-        maybeLogProgress('Transaction started', true);
-      }
-    };
+      console.log(`Resuming from checkpoint ${this.checkpointPath} (last saved ${this.checkpoint.state.updatedAt})\n`);
+      return;
+    }
 
-    const commit = async (reason) => {
-      if (inTransaction) {
-        const rowsThisTxn = rowsInTransaction;
-        await client.query('COMMIT');
-        inTransaction = false;
-        rowsInTransaction = 0;
-        transactionsCommitted += 1;
-        totalRowsCommitted += rowsThisTxn;
-        const commitReason = reason ? ` (${reason})` : '';
-        console.log(`  [DSQL] Commit #${transactionsCommitted}: ${rowsThisTxn} rows${commitReason}`);
-        maybeLogProgress('Post-commit progress', true);
-      }
-    };
+    if (SeedCheckpoint.exists(this.checkpointPath)) {
+      console.log(`⚠ Replacing existing checkpoint ${this.checkpointPath} (use --resume to continue it instead)\n`);
+    }
+    const totals = {};
+    if (this.targets.dynamo) totals.dynamo = total;
+    if (this.targets.dsql) totals.dsql = total;
+    this.checkpoint = SeedCheckpoint.create(this.checkpointPath, this.datasetIdentity(), totals);
+    this.checkpoint.save();
+  }
 
-    const rollback = async () => {
-      if (inTransaction) {
-        await client.query('ROLLBACK');
-        inTransaction = false;
-        rowsInTransaction = 0;
-      }
-    };
+  async run() {
+    const start = Date.now();
 
-    const reserveRows = async (rowsNeeded) => {
-      await begin();
+    try {
+      const dataset = await this.loadDataset();
+      const { soulCount, eventsPerSoul, ledgerEntries, seed, referenceTime, profile, from, exportPath } = this.config;
 
-      if (rowsInTransaction + rowsNeeded > ROW_LIMIT) {
-        await commit('row limit reached');
-        await begin();
+      console.log('=== DATASET SEEDING ===');
+      if (from) {
+        console.log(`  Source: ${from}`);
       }
-
-      rowsInTransaction += rowsNeeded;
-    };
-
-    try {
-      for (const soul of souls) {
-        await reserveRows(1);
-        await client.query(
-          `INSERT INTO soul_contracts (id, contract_status, soul_type, contract_location, updated_at)
-           VALUES ($1, $2, $3, $4, $5)
-           ON CONFLICT (id) DO UPDATE SET
-             contract_status = EXCLUDED.contract_status,
-             soul_type = EXCLUDED.soul_type,
-             contract_location = EXCLUDED.contract_location,
-             updated_at = EXCLUDED.updated_at`,
-          [soul.soulId, soul.status, soul.soulType, soul.contractLocation, soul.createdAt]
-        );
-        soulsInserted += 1;
-        maybeLogProgress();
-
-        for (const event of soul.events) {
-          await reserveRows(1);
-          await client.query(
-            `INSERT INTO soul_contract_events (soul_contract_id, event_time, description)
-             VALUES ($1, $2, $3)`,
-            [soul.soulId, event.eventTime, event.description]
-          );
-          eventsInserted += 1;
-          maybeLogProgress();
-        }
+      console.log(`  Profile: ${profile}${PROFILE_DESCRIPTIONS[profile] ? ` (${PROFILE_DESCRIPTIONS[profile]})` : ''}`);
+      console.log(`  Souls: ${soulCount}`);
+      console.log(`  Events per soul: ${eventsPerSoul}${profile === 'uniform' ? '' : ' (mean)'}`);
+      console.log(`  Ledger entries: ${ledgerEntries}`);
+      console.log(`  Seed: ${seed}`);
+      console.log(`  Reference time: ${referenceTime.toISOString()}\n`);
+      if (profile !== 'uniform') {
+        printDistribution(dataset);
       }
 
-      for (const entry of ledgerEntries) {
-        await reserveRows(1);
-        await client.query(
-          `INSERT INTO soul_ledger (soul_contract_id, amount, transaction_time, description)
-           VALUES ($1, $2, $3, $4)`,
-          [entry.soulId, entry.amount, entry.timestamp, entry.description]
-        );
-        ledgerInserted += 1;
-        maybeLogProgress();
+      // --export only writes the snapshot; load it with --from.
+      if (exportPath) {
+        console.log('  Targets: none (export only)\n');
+        await this.exportDataset(dataset);
+        return;
       }
 
-      await commit('final flush');
-      maybeLogProgress('Final progress', true);
-      console.log(
-        `✓ Aurora DSQL seeding complete (${souls.length} souls, ${totalEvents} events, ${ledgerEntries.length} ledger entries across ${transactionsCommitted || 1} transaction${transactionsCommitted === 1 ? '' : 's'}, total rows ${totalRowsCommitted})`
-      );
-    } catch (error) {
-      console.log('  [DSQL] Rolling back active transaction');
-      maybeLogProgress('Progress before rollback', true);
-      await rollback();
-      throw error;
-    } finally {
-      await client.end();
-    }
-  }
-
-  async connectDSQL() {
-    if (!DSQL_ENDPOINT) {
-      throw new Error('DSQL_ENDPOINT is not defined in the environment');
-    }
-
-    const signer = new DsqlSigner({ hostname: DSQL_ENDPOINT, region: AWS_REGION });
-    const token = await signer.getDbConnectAdminAuthToken();
-
-    return new Client({
-      host: DSQL_ENDPOINT,
-      port: 5432,
-      user: 'admin',
-      password: token,
-      database: 'postgres',
-      ssl: { rejectUnauthorized: false }
-    });
-  }
-
-  async run() {
-    const { soulCount, eventsPerSoul, ledgerEntries } = this.config;
-
-    console.log('=== DATASET SEEDING ===');
-    console.log(`  Souls: ${soulCount}`);
-    console.log(`  Events per soul: ${eventsPerSoul}`);
-    console.log(`  Ledger entries: ${ledgerEntries}\n`);
-    const targets = [
-      this.targets.dynamo ? 'DynamoDB' : null,
-      this.targets.dsql ? 'Aurora DSQL' : null
-    ].filter(Boolean);
-    console.log(`  Targets: ${targets.length ? targets.join(', ') : 'none'}\n`);
+      const targets = [
+        this.targets.dynamo ? 'DynamoDB' : null,
+        this.targets.dsql ? 'Aurora DSQL' : null
+      ].filter(Boolean);
+      console.log(`  Targets: ${targets.length ? targets.join(', ') : 'none'}\n`);
 
-    const start = Date.now();
+      this.openCheckpoint(dataset);
 
-    try {
-      const dataset = this.prepareDataset();
-      if (this.targets.dynamo) {
-        await this.seedDynamoDB(dataset);
-      } else {
+      if (!this.targets.dynamo) {
         console.log('⚠ Skipping DynamoDB seeding (disabled by options)');
+      } else if (this.checkpoint.progress('dynamo').completedAt) {
+        console.log('✓ DynamoDB already seeded (per checkpoint)');
+      } else {
+        await this.seedDynamoDB(dataset);
       }
 
-      if (this.targets.dsql) {
+      if (!this.targets.dsql) {
+        console.log('⚠ Skipping Aurora DSQL seeding (disabled by options)');
+      } else if (this.checkpoint.progress('dsql').completedAt) {
+        console.log('✓ Aurora DSQL already seeded (per checkpoint)');
+      } else {
         await this.seedDSQL(dataset);
+      }
+
+      if (this.checkpoint.pendingTargets().length === 0) {
+        this.checkpoint.remove();
       } else {
-        console.log('⚠ Skipping Aurora DSQL seeding (disabled by options)');
+        console.log(`\n⚠ ${this.checkpoint.pendingTargets().join(', ')} not seeded; checkpoint kept at ${this.checkpointPath}`);
       }
 
       const duration = ((Date.now() - start) / 1000).toFixed(2);
       console.log(`\n✅ Dataset seeding completed in ${duration}s`);
+      if (from) {
+        console.log(`   Reload the same data with: --from ${from}`);
+      } else {
+        console.log(
+          `   Seed ${seed} – reproduce with: --seed ${seed} --souls ${soulCount} --events ${eventsPerSoul} --ledger ${ledgerEntries}` +
+          (referenceTime.toISOString() === DEFAULT_REFERENCE_TIME ? '' : ` --reference-time ${referenceTime.toISOString()}`) +
+          (profile === DEFAULT_PROFILE ? '' : ` --profile ${profile}`)
+        );
+      }
     } catch (error) {
       console.error('Seeding failed:', error);
+      if (this.checkpoint && SeedCheckpoint.exists(this.checkpointPath)) {
+        this.checkpoint.save();
+        const pathArg = this.checkpointPath === DEFAULT_CHECKPOINT_PATH ? '' : ` --checkpoint ${this.checkpointPath}`;
+        console.error(`Progress saved to ${this.checkpointPath}; continue with: node scripts/seedData.js --resume${pathArg}`);
+      }
       process.exit(1);
     }
   }
 }
 
+/**
+ * Summarizes what a skewed profile produced, so hot souls and the ledger
+ * mix are visible before anything is written.
+ *
+ * @param {import('../src/lib/soulRepository').Dataset} dataset
+ */
+function printDistribution({ souls, ledgerEntries }) {
+  const eventCounts = souls.map(soul => soul.events.length).sort((a, b) => b - a);
+  const median = eventCounts[Math.floor(eventCounts.length / 2)] ?? 0;
+  const hottest = souls.reduce((top, soul) => (soul.ledgerEntries.length > top.ledgerEntries.length ? soul : top), souls[0]);
+  const byType = {};
+  for (const entry of ledgerEntries) {
+    byType[entry.transactionType] = (byType[entry.transactionType] || 0) + 1;
+  }
+  const byStatus = {};
+  for (const soul of souls) {
+    byStatus[soul.status] = (byStatus[soul.status] || 0) + 1;
+  }
+  const format = counts => Object.entries(counts).map(([key, count]) => `${key} ${count}`).join(', ');
+
+  console.log('Distribution:');
+  console.log(`  Events per soul: max ${eventCounts[0] ?? 0}, median ${median}, min ${eventCounts[eventCounts.length - 1] ?? 0}`);
+  if (hottest) {
+    console.log(`  Hottest ledger soul: ${hottest.soulId} (${hottest.ledgerEntries.length} of ${ledgerEntries.length} entries)`);
+  }
+  console.log(`  Ledger: ${format(byType) || 'none'}`);
+  console.log(`  Statuses: ${format(byStatus)}\n`);
+}
+
+/**
+ * Maps a load-order offset (contract, its events, ..., then ledger
+ * entries) to how many souls, events and ledger entries it covers.
+ *
+ * @param {import('../src/lib/soulRepository').Dataset} dataset
+ * @returns {(offset: number) => { souls: number, events: number, ledgerEntries: number }}
+ */
+function positionLookup({ souls }) {
+  const starts = [];
+  let soulRows = 0;
+  for (const soul of souls) {
+    starts.push(soulRows);
+    soulRows += 1 + soul.events.length;
+  }
+  return offset => {
+    if (offset <= 0) {
+      return { souls: 0, events: 0, ledgerEntries: 0 };
+    }
+    if (offset >= soulRows) {
+      return { souls: souls.length, events: soulRows - souls.length, ledgerEntries: offset - soulRows };
+    }
+    // Last soul whose contract row falls before the offset.
+    let lo = 0;
+    let hi = starts.length - 1;
+    while (lo < hi) {
+      const mid = (lo + hi + 1) >> 1;
+      if (starts[mid] < offset) lo = mid;
+      else hi = mid - 1;
+    }
+    return { souls: lo + 1, events: offset - (lo + 1), ledgerEntries: 0 };
+  };
+}
+
+function parseReferenceTime(value) {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`--reference-time must be an ISO-8601 timestamp, got '${value}'`);
+  }
+  return date;
+}
+
 function coercePositiveInt(value) {
   const parsed = typeof value === 'number' ? value : parseInt(value, 10);
   return Number.isFinite(parsed) && parsed > 0 ? parsed : undefined;
@@ -450,10 +530,6 @@ function parseCliArgs(argv) {
   return result;
 }
 
-function wait(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
-}
-
 if (require.main === module) {
   const args = parseCliArgs(process.argv.slice(2));
   const seeder = new SeedData({
@@ -464,7 +540,18 @@ if (require.main === module) {
     dsqlOnly: args.dsqlOnly,
     dynamoOnly: args.dynamoOnly,
     skipDsql: args.skipDsql,
-    skipDynamo: args.skipDynamo
+    skipDynamo: args.skipDynamo,
+    concurrency: args.concurrency,
+    batchRows: args.batchRows,
+    dynamoConcurrency: args.dynamoConcurrency,
+    wcuPerSecond: args.wcuPerSecond,
+    seed: args.seed,
+    referenceTime: args.referenceTime,
+    profile: args.profile,
+    from: args.from,
+    export: args.export,
+    resume: args.resume,
+    checkpoint: args.checkpoint
   });
 
   seeder.run();
@@ -2,32 +2,50 @@
  * Setup - Complete database setup and verification
  * 
  * Required after SAM deployment to create DSQL tables and indexes
+ * (via the migration runner, scripts/migrate.js).
+ * Also creates (or checks for drift) the DynamoDB table from template.yaml,
+ * which is what DynamoDB Local and throwaway tables need.
  */
 
 require('dotenv').config();
 const { exec } = require('child_process');
 const { promisify } = require('util');
+const { describeDsqlTarget, exportLocalMode, isLocal } = require('../src/lib/environment');
 const execAsync = promisify(exec);
 
+// --local reaches every step below through DEVIL_ENV.
+exportLocalMode();
+
 async function runSetup() {
   console.log('🚀 DEVIL YOU NOSQL - COMPLETE SETUP');
   console.log('=====================================');
   console.log('Required after SAM deployment to initialize DSQL\n');
+  if (isLocal()) {
+    console.log(`🏠 Local mode: DynamoDB Local + ${describeDsqlTarget()}\n`);
+  }
 
   try {
-    console.log('🔍 Step 1: Verifying database connectivity...');
+    console.log('🗄️  Step 1: Creating DynamoDB table...');
+    console.log('(Skipped if SAM already created it; drift from template.yaml is reported)');
+    const { stdout: tableReport } = await execAsync('node scripts/createDynamoTable.js');
+    tableReport
+      .split('\n')
+      .filter(line => /already exists|drift|^\s+- /.test(line))
+      .forEach(line => console.log(line));
+    console.log('✅ DynamoDB table ready\n');
+
+    console.log('🔍 Step 2: Verifying database connectivity...');
     await execAsync('node scripts/verifyDatabases.js');
     console.log('✅ Database connectivity verified\n');
 
-    console.log('🏗️  Step 2: Creating DSQL tables...');
-    console.log('(Required: SAM only creates cluster, not tables)');
-    await execAsync('node scripts/createSoulTrackerTables.js');
-    console.log('✅ DSQL tables created\n');
-
-    console.log('📊 Step 3: Creating DSQL indexes...');
-    console.log('(Optional: For optimal performance)');
-    await execAsync('node scripts/createDsqlIndexes.js');
-    console.log('✅ DSQL indexes created\n');
+    console.log('🏗️  Step 3: Migrating DSQL schema...');
+    console.log('(Required: SAM only creates cluster, not tables; waits for async index jobs)');
+    const { stdout: migrationReport } = await execAsync('node scripts/migrate.js up');
+    migrationReport
+      .split('\n')
+      .filter(line => /^(⬆️|✅)/.test(line))
+      .forEach(line => console.log(line));
+    console.log('✅ DSQL tables and indexes up to date\n');
 
     console.log('🌱 Step 4: Seeding sample data...');
     await execAsync('node scripts/seedData.js --souls 10 --events 10 --ledger 50');
@@ -50,6 +68,11 @@ async function runSetup() {
   } catch (error) {
     console.error('❌ Setup failed:', error.message);
     console.log('\n🔧 Troubleshooting:');
+    if (isLocal()) {
+      console.log('   • Start DynamoDB Local and PostgreSQL: docker compose up -d');
+      console.log('   • Check DYNAMODB_ENDPOINT and LOCAL_DATABASE_URL');
+      process.exit(1);
+    }
     console.log('   • Ensure SAM stack is deployed: sam deploy');
     console.log('   • Check DSQL_ENDPOINT environment variable');
     console.log('   • Verify AWS credentials are configured');
@@ -1,101 +1,232 @@
 #!/usr/bin/env node
 
 require('dotenv').config();
-const { DynamoDBClient, QueryCommand, ScanCommand } = require('@aws-sdk/client-dynamodb');
-const { DsqlSigner } = require('@aws-sdk/dsql-signer');
-const { Client } = require('pg');
+const { CHECK_TYPES, CheckReport, defaultReportPath, parseReportFormat } = require('../src/lib/checkReport');
+const { createDsqlPool } = require('../src/lib/dsqlPool');
+const { ParityRules } = require('../src/lib/parityRules');
+const { DsqlSoulRepository, DynamoSoulRepository } = require('../src/lib/soulRepository');
 
 const DSQL_ENDPOINT = process.env.DSQL_ENDPOINT;
 const AWS_REGION = process.env.AWS_REGION || 'us-east-1';
-const TABLE_NAME = process.env.TABLE_NAME || 'DevilSoulTracker';
+const LOOKUP_THRESHOLDS_MS = { dynamo: 100, dsql: 500 };
+const DEFAULT_SEGMENTS = 8;
+const DEFAULT_BATCH_SIZE = 500;
+
+/**
+ * @typedef {Object} SoulSummary
+ * @property {string} status
+ * @property {string} location
+ * @property {number} events
+ * @property {number} ledgerEntries
+ * @property {number} ledgerSum
+ */
+
+/**
+ * @typedef {Object} LocationTotals
+ * @property {number} souls
+ * @property {number} events
+ * @property {number} ledgerEntries
+ * @property {number} ledgerSum
+ */
 
 class DataValidator {
-  constructor() {
-    this.dynamoClient = new DynamoDBClient({ region: AWS_REGION });
+  /**
+   * @param {{ format?: string, out?: string, rules?: string, segments?: number, batchSize?: number }} [options]
+   */
+  constructor(options = {}) {
+    this.dynamo = new DynamoSoulRepository({ region: AWS_REGION });
+    this.dsql = null;
     this.errors = [];
+    this.driftIssues = 0;
+    this.segments = options.segments || DEFAULT_SEGMENTS;
+    this.batchSize = options.batchSize || DEFAULT_BATCH_SIZE;
+    // Aliases and amount tolerance come from the same rules file as checkParity.js.
+    this.rules = ParityRules.load(options.rules);
+    this.format = parseReportFormat(options.format);
+    this.out = typeof options.out === 'string' ? options.out : null;
+    if (this.out && !this.format) {
+      this.format = this.out.endsWith('.xml') ? 'junit' : 'json';
+    }
+    this.report = new CheckReport('validation');
   }
 
-  async connectDSQL() {
-    const signer = new DsqlSigner({ 
-      hostname: DSQL_ENDPOINT,
-      region: AWS_REGION 
-    });
-    const token = await signer.getDbConnectAdminAuthToken();
-    
-    return new Client({
-      host: DSQL_ENDPOINT,
-      port: 5432,
-      user: 'admin',
-      password: token,
-      database: 'postgres',
-      ssl: { rejectUnauthorized: false }
-    });
+  /**
+   * @param {import('../src/lib/checkReport').CheckIssue} issue
+   * @param {string} [caseName]
+   */
+  recordError(issue, caseName) {
+    this.errors.push(issue.message);
+    this.report.fail(issue, caseName);
   }
 
+  /**
+   * Reads every soul on both backends (parallel Scan / keyset cursor),
+   * keeping a small summary per soul in a Map keyed by soul id, and joins
+   * the two maps. Per soul it checks status, location, event count and
+   * ledger sum; per location it compares souls, events, ledger entries and
+   * ledger totals, which is where benchmark or demo writes that reached
+   * only one side show up.
+   */
   async validateDataConsistency() {
     console.log('Validating data consistency between DynamoDB and DSQL...\n');
-    
-    // Get DynamoDB soul contracts
-    const dynamoContracts = await this.getDynamoContracts();
-    
-    // Get DSQL soul contracts
-    const dsqlContracts = await this.getDSQLContracts();
-    
+    const errorsBefore = this.errors.length;
+
+    const [dynamoSouls, dsqlSouls] = await Promise.all([
+      this.summarizeSouls(this.dynamo, 'dynamo'),
+      this.summarizeSouls(this.dsql, 'dsql')
+    ]);
+    console.log(`  DynamoDB: ${dynamoSouls.size} souls, DSQL: ${dsqlSouls.size} souls`);
+
     // Compare counts
-    if (dynamoContracts.length !== dsqlContracts.length) {
-      this.errors.push(`Contract count mismatch: DynamoDB=${dynamoContracts.length}, DSQL=${dsqlContracts.length}`);
+    this.report.check(CHECK_TYPES.CONTRACT_COUNT, { dynamo: dynamoSouls.size, dsql: dsqlSouls.size });
+    if (dynamoSouls.size !== dsqlSouls.size) {
+      this.recordError({
+        check: CHECK_TYPES.CONTRACT_COUNT,
+        dynamo: dynamoSouls.size,
+        dsql: dsqlSouls.size,
+        message: `Contract count mismatch: DynamoDB=${dynamoSouls.size}, DSQL=${dsqlSouls.size}`
+      });
     }
-    
-    // Validate individual contracts
-    for (const dynamo of dynamoContracts) {
-      const dsql = dsqlContracts.find(d => d.soul_id === dynamo.soul_id);
+
+    // Validate individual souls
+    for (const [soulId, dynamo] of dynamoSouls) {
+      const dsql = dsqlSouls.get(soulId);
       if (!dsql) {
-        this.errors.push(`Soul ${dynamo.soul_id} exists in DynamoDB but not DSQL`);
+        this.recordError({
+          check: CHECK_TYPES.MISSING_CONTRACT,
+          soulId,
+          dsql: null,
+          message: `Soul ${soulId} exists in DynamoDB but not DSQL`
+        });
         continue;
       }
-      
-      if (dynamo.status !== dsql.status) {
-        this.errors.push(`Status mismatch for ${dynamo.soul_id}: DynamoDB=${dynamo.status}, DSQL=${dsql.status}`);
+      this.compareSummaries(soulId, dynamo, dsql);
+    }
+    for (const soulId of dsqlSouls.keys()) {
+      if (!dynamoSouls.has(soulId)) {
+        this.recordError({
+          check: CHECK_TYPES.MISSING_CONTRACT,
+          soulId,
+          dynamo: null,
+          message: `Soul ${soulId} exists in DSQL but not DynamoDB`
+        });
       }
     }
-    
-    console.log(`✓ Validated ${dynamoContracts.length} soul contracts`);
+
+    this.validateLocationTotals(locationTotals(dynamoSouls), locationTotals(dsqlSouls));
+    this.driftIssues = this.errors.length - errorsBefore;
+
+    console.log(`✓ Validated ${dynamoSouls.size} soul contracts with their events and ledger entries`);
   }
 
-  async getDynamoContracts() {
-    const result = await this.dynamoClient.send(new ScanCommand({
-      TableName: TABLE_NAME,
-      FilterExpression: 'SK = :sk',
-      ExpressionAttributeValues: { ':sk': { S: 'CONTRACT' } }
-    }));
-    
-    return result.Items.map(item => ({
-      soul_id: item.PK.S.replace('SOUL#', ''),
-      status: item.status?.S || item.contract_status?.S || 'Unknown'
-    }));
+  /**
+   * @param {DynamoSoulRepository | DsqlSoulRepository} repository
+   * @param {'dynamo' | 'dsql'} side
+   * @returns {Promise<Map<string, SoulSummary>>}
+   */
+  async summarizeSouls(repository, side) {
+    const souls = new Map();
+    const onProfile = profile => {
+      const ledger = profile.ledger.map(entry => this.rules.amountValue(this.rules.field(entry, 'amount')) ?? 0);
+      souls.set(profile.soulId, {
+        status: this.rules.field(profile.contract, 'status') ?? 'Unknown',
+        location: this.rules.field(profile.contract, 'contractLocation') ?? 'Unknown',
+        events: profile.events.length,
+        ledgerEntries: ledger.length,
+        ledgerSum: roundAmount(ledger.reduce((sum, amount) => sum + amount, 0))
+      });
+    };
+    if (side === 'dynamo') {
+      await repository.scanProfiles({ segments: this.segments, onProfile });
+    } else {
+      await repository.scanProfiles({ batchSize: this.batchSize, onProfile });
+    }
+    return souls;
   }
 
-  async getDSQLContracts() {
-    const client = await this.connectDSQL();
-    await client.connect();
-    
-    const result = await client.query('SELECT id, contract_status FROM soul_contracts ORDER BY id');
-    await client.end();
-    
-    return result.rows.map(row => ({
-      soul_id: row.id,
-      status: row.contract_status
-    }));
+  /**
+   * @param {string} soulId
+   * @param {SoulSummary} dynamo
+   * @param {SoulSummary} dsql
+   */
+  compareSummaries(soulId, dynamo, dsql) {
+    for (const [field, label] of [['status', 'Status'], ['location', 'Location']]) {
+      if (dynamo[field] !== dsql[field]) {
+        this.recordError({
+          check: CHECK_TYPES.CONTRACT_FIELD,
+          soulId,
+          field: field === 'location' ? 'contractLocation' : field,
+          dynamo: dynamo[field],
+          dsql: dsql[field],
+          message: `${label} mismatch for ${soulId}: DynamoDB=${dynamo[field]}, DSQL=${dsql[field]}`
+        });
+      }
+    }
+    for (const [field, count] of [['events', 'events'], ['ledger', 'ledgerEntries']]) {
+      if (dynamo[count] !== dsql[count]) {
+        this.recordError({
+          check: CHECK_TYPES.COLLECTION_COUNT,
+          soulId,
+          field,
+          dynamo: dynamo[count],
+          dsql: dsql[count],
+          message: `${field === 'events' ? 'Event' : 'Ledger entry'} count mismatch for ${soulId}: DynamoDB=${dynamo[count]}, DSQL=${dsql[count]}`
+        });
+      }
+    }
+    if (!this.rules.amountsEqual(dynamo.ledgerSum, dsql.ledgerSum)) {
+      this.recordError({
+        check: CHECK_TYPES.LEDGER_SUM,
+        soulId,
+        field: 'ledger',
+        dynamo: dynamo.ledgerSum,
+        dsql: dsql.ledgerSum,
+        message: `Ledger sum mismatch for ${soulId}: DynamoDB=${formatAmount(dynamo.ledgerSum)}, DSQL=${formatAmount(dsql.ledgerSum)}`
+      });
+    }
+  }
+
+  /**
+   * @param {Map<string, LocationTotals>} dynamoTotals
+   * @param {Map<string, LocationTotals>} dsqlTotals
+   */
+  validateLocationTotals(dynamoTotals, dsqlTotals) {
+    const locations = Array.from(new Set([...dynamoTotals.keys(), ...dsqlTotals.keys()])).sort();
+    const empty = { souls: 0, events: 0, ledgerEntries: 0, ledgerSum: 0 };
+
+    console.log('\n  Location          Souls (Dynamo/DSQL)   Events (Dynamo/DSQL)   Ledger sum (Dynamo/DSQL)');
+    for (const location of locations) {
+      const dynamo = dynamoTotals.get(location) || empty;
+      const dsql = dsqlTotals.get(location) || empty;
+      const drifted = dynamo.souls !== dsql.souls ||
+        dynamo.events !== dsql.events ||
+        dynamo.ledgerEntries !== dsql.ledgerEntries ||
+        !this.rules.amountsEqual(dynamo.ledgerSum, dsql.ledgerSum);
+      console.log(
+        `  ${drifted ? '⚠' : '✓'} ${location.padEnd(15)} ${`${dynamo.souls}/${dsql.souls}`.padEnd(21)} ` +
+        `${`${dynamo.events}/${dsql.events}`.padEnd(22)} ${formatAmount(dynamo.ledgerSum)}/${formatAmount(dsql.ledgerSum)}`
+      );
+
+      const caseName = `location:${location}`;
+      this.report.check(caseName, { dynamo, dsql });
+      if (drifted) {
+        this.recordError({
+          check: CHECK_TYPES.LOCATION_TOTALS,
+          field: location,
+          dynamo,
+          dsql,
+          message: `Totals for ${location} differ: DynamoDB=${describeTotals(dynamo)}, DSQL=${describeTotals(dsql)}`
+        }, caseName);
+      }
+    }
+    console.log('');
   }
 
   async validateIndexes() {
     console.log('Validating DSQL indexes...\n');
     
-    const client = await this.connectDSQL();
-    await client.connect();
-    
     try {
-      const indexes = await client.query(`
+      const indexes = await this.dsql.query(`
         SELECT schemaname, tablename, indexname, indexdef 
         FROM pg_indexes 
         WHERE schemaname = 'public'
@@ -120,6 +251,15 @@ class DataValidator {
       const missingIndexes = recommendedIndexes.filter(
         ({ name }) => !actualIndexes.includes(name)
       );
+      // Missing indexes are recommendations, so they go in the report but not in this.errors.
+      recommendedIndexes.forEach(({ description, name }) => {
+        this.report.check(`index:${name}`, { description, present: actualIndexes.includes(name) });
+      });
+      missingIndexes.forEach(({ description, name }) => this.report.fail({
+        check: CHECK_TYPES.INDEX,
+        field: description,
+        message: `Recommended index ${name} on ${description} not found`
+      }, `index:${name}`));
       
       console.log(`✓ Found ${actualIndexes.length} indexes`);
       
@@ -128,51 +268,56 @@ class DataValidator {
         missingIndexes.forEach(({ description, name }) => {
           console.log(`   - ${description} (${name})`);
         });
-        console.log('   Run: node scripts/createDsqlIndexes.js to create them');
+        console.log('   Run: npm run migrate to create them');
       } else {
         console.log('✓ All recommended indexes present');
       }
       
     } catch (error) {
       console.log('⚠️  Could not validate indexes:', error.message);
+      this.report.fail({ check: CHECK_TYPES.INDEX, message: `Could not validate indexes: ${error.message}` });
     }
-    
-    await client.end();
   }
 
   async validatePerformance() {
     console.log('Validating performance characteristics...\n');
     
-    const start = Date.now();
-    
+    const [sample] = (await this.dsql.listContracts({ limit: 1 })).items;
+    if (!sample) {
+      console.log('⚠️  No contracts to look up, skipping performance validation');
+      return;
+    }
+
     // Test DynamoDB point lookup
     const dynamoStart = Date.now();
-    await this.dynamoClient.send(new QueryCommand({
-      TableName: TABLE_NAME,
-      KeyConditionExpression: 'PK = :pk',
-      ExpressionAttributeValues: { ':pk': { S: 'SOUL#soul-001' } }
-    }));
+    await this.dynamo.getContract(sample.soulId);
     const dynamoTime = Date.now() - dynamoStart;
     
     // Test DSQL point lookup
-    const client = await this.connectDSQL();
-    await client.connect();
-    
     const dsqlStart = Date.now();
-    await client.query('SELECT * FROM soul_contracts WHERE id = $1', ['innocent_highway_66_001']);
+    await this.dsql.getContract(sample.soulId);
     const dsqlTime = Date.now() - dsqlStart;
     
-    await client.end();
-    
     console.log(`DynamoDB lookup: ${dynamoTime}ms`);
     console.log(`DSQL lookup: ${dsqlTime}ms`);
     
-    if (dynamoTime > 100) {
-      this.errors.push(`DynamoDB lookup too slow: ${dynamoTime}ms`);
+    this.report.check('performance:dynamo', { lookupMs: dynamoTime, thresholdMs: LOOKUP_THRESHOLDS_MS.dynamo });
+    this.report.check('performance:dsql', { lookupMs: dsqlTime, thresholdMs: LOOKUP_THRESHOLDS_MS.dsql });
+
+    if (dynamoTime > LOOKUP_THRESHOLDS_MS.dynamo) {
+      this.recordError({
+        check: CHECK_TYPES.PERFORMANCE,
+        dynamo: dynamoTime,
+        message: `DynamoDB lookup too slow: ${dynamoTime}ms`
+      }, 'performance:dynamo');
     }
     
-    if (dsqlTime > 500) {
-      this.errors.push(`DSQL lookup too slow: ${dsqlTime}ms`);
+    if (dsqlTime > LOOKUP_THRESHOLDS_MS.dsql) {
+      this.recordError({
+        check: CHECK_TYPES.PERFORMANCE,
+        dsql: dsqlTime,
+        message: `DSQL lookup too slow: ${dsqlTime}ms`
+      }, 'performance:dsql');
     }
     
     console.log('✓ Performance validation complete');
@@ -181,6 +326,10 @@ class DataValidator {
   async run() {
     console.log('=== DATA VALIDATION SUITE ===\n');
     
+    const pool = createDsqlPool({ endpoint: DSQL_ENDPOINT, region: AWS_REGION });
+    this.dsql = new DsqlSoulRepository(pool);
+
+    let failure = null;
     try {
       await this.validateDataConsistency();
       await this.validateIndexes();
@@ -189,20 +338,99 @@ class DataValidator {
       if (this.errors.length === 0) {
         console.log('\n🎉 All validations passed!');
         console.log('✅ Your Devil You NoSQL setup is ready for demos');
+      } else if (this.driftIssues > 0) {
+        console.log(`\n🚨 DynamoDB and DSQL have drifted apart (${this.driftIssues} difference(s)):`);
+        this.errors.forEach(error => console.log(`  - ${error}`));
+        console.log('   Reset and reseed (npm run reset && npm run seed), or repair with checkParity.js --repair');
+        process.exitCode = 1;
       } else {
         console.log('\n💡 Validation completed with recommendations:');
         this.errors.forEach(error => console.log(`  - ${error}`));
         console.log('✅ Setup is functional - recommendations are for optimal performance');
       }
     } catch (error) {
+      failure = error.message;
       console.error('❌ Validation failed:', error);
-      process.exit(1);
+      process.exitCode = 1;
+    } finally {
+      if (this.format) {
+        await this.writeReport(failure);
+      }
+      await pool.end();
+    }
+  }
+
+  /**
+   * @param {string | null} failure
+   */
+  async writeReport(failure) {
+    const out = this.out || defaultReportPath('validation', this.format);
+    try {
+      await this.report.write(this.format, out, {
+        driftIssues: this.driftIssues,
+        recommendations: this.errors.length - this.driftIssues,
+        error: failure
+      });
+      console.log(`📄 ${this.format === 'junit' ? 'JUnit' : 'JSON'} report written to ${out}`);
+    } catch (err) {
+      console.error(`❌ Could not write report to ${out}:`, err.message);
+      process.exitCode = 1;
+    }
+  }
+}
+
+/**
+ * @param {Map<string, SoulSummary>} souls
+ * @returns {Map<string, LocationTotals>}
+ */
+function locationTotals(souls) {
+  const totals = new Map();
+  for (const soul of souls.values()) {
+    if (!totals.has(soul.location)) totals.set(soul.location, { souls: 0, events: 0, ledgerEntries: 0, ledgerSum: 0 });
+    const location = totals.get(soul.location);
+    location.souls += 1;
+    location.events += soul.events;
+    location.ledgerEntries += soul.ledgerEntries;
+    location.ledgerSum = roundAmount(location.ledgerSum + soul.ledgerSum);
+  }
+  return totals;
+}
+
+// Souls arrive in a different order on each side; rounding keeps
+// floating-point summation order from showing up as drift.
+function roundAmount(value) {
+  return Math.round(value * 1e6) / 1e6;
+}
+
+function describeTotals({ souls, events, ledgerEntries, ledgerSum }) {
+  return `${souls} souls/${events} events/${ledgerEntries} ledger entries/sum ${formatAmount(ledgerSum)}`;
+}
+
+function formatAmount(value) {
+  return Number.isInteger(value) ? String(value) : value.toFixed(2);
+}
+
+function parseArgs(argv) {
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if ((arg === '--format' || arg === '--out' || arg === '--rules') && argv[i + 1]) {
+      options[arg.slice(2)] = argv[i + 1];
+      i += 1;
+    } else if ((arg === '--segments' || arg === '--batch-size') && argv[i + 1]) {
+      const value = parseInt(argv[i + 1], 10);
+      if (!Number.isFinite(value) || value < 1) {
+        throw new Error(`${arg} must be a positive integer`);
+      }
+      options[arg === '--segments' ? 'segments' : 'batchSize'] = value;
+      i += 1;
     }
   }
+  return options;
 }
 
 if (require.main === module) {
-  new DataValidator().run();
+  new DataValidator(parseArgs(process.argv.slice(2))).run();
 }
 
 module.exports = DataValidator;
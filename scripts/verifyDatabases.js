@@ -2,8 +2,8 @@
 
 require('dotenv').config();
 const { DynamoDBClient, DescribeTableCommand, ScanCommand } = require('@aws-sdk/client-dynamodb');
-const { DsqlSigner } = require('@aws-sdk/dsql-signer');
-const { Client } = require('pg');
+const { createDsqlPool } = require('../src/lib/dsqlPool');
+const { describeDsqlTarget, dynamoClientConfig } = require('../src/lib/environment');
 
 const DSQL_ENDPOINT = process.env.DSQL_ENDPOINT;
 const AWS_REGION = process.env.AWS_REGION || 'us-east-1';
@@ -11,24 +11,7 @@ const TABLE_NAME = process.env.TABLE_NAME || 'DevilSoulTracker';
 
 class DatabaseVerifier {
   constructor() {
-    this.dynamoClient = new DynamoDBClient({ region: AWS_REGION });
-  }
-
-  async connectDSQL() {
-    const signer = new DsqlSigner({ 
-      hostname: DSQL_ENDPOINT,
-      region: AWS_REGION 
-    });
-    const token = await signer.getDbConnectAdminAuthToken();
-    
-    return new Client({
-      host: DSQL_ENDPOINT,
-      port: 5432,
-      user: 'admin',
-      password: token,
-      database: 'postgres',
-      ssl: { rejectUnauthorized: false }
-    });
+    this.dynamoClient = new DynamoDBClient(dynamoClientConfig({ region: AWS_REGION }));
   }
 
   async verifyDynamoDB() {
@@ -75,12 +58,13 @@ class DatabaseVerifier {
   async verifyDSQL() {
     console.log('🔍 Verifying Aurora DSQL...');
     
+    let pool;
     let client;
     try {
-      client = await this.connectDSQL();
-      await client.connect();
+      pool = createDsqlPool({ endpoint: DSQL_ENDPOINT, region: AWS_REGION, max: 1 });
+      client = await pool.connect();
       
-      console.log(`  ✅ Connected to DSQL endpoint: ${DSQL_ENDPOINT}`);
+      console.log(`  ✅ Connected to DSQL endpoint: ${describeDsqlTarget(DSQL_ENDPOINT)}`);
       
       // Check if tables exist
       const tablesResult = await client.query(`
@@ -133,7 +117,10 @@ class DatabaseVerifier {
       return false;
     } finally {
       if (client) {
-        await client.end();
+        client.release();
+      }
+      if (pool) {
+        await pool.end();
       }
     }
   }
@@ -3,6 +3,11 @@ const express = require('express');
 const { exec } = require('child_process');
 const path = require('path');
 const fs = require('fs');
+const { defaultReportPath } = require('./src/lib/checkReport');
+const { exportLocalMode, isLocal } = require('./src/lib/environment');
+
+// `node server.js --local` runs every script against the local stack.
+exportLocalMode();
 
 const app = express();
 const PORT = 3000;
@@ -29,7 +34,10 @@ app.post('/api/run-script', (req, res) => {
     'seedData.js',
     'verifyDatabases.js',
     'validate.js',
-    'benchmark.js'
+    'checkParity.js',
+    'benchmark.js',
+    // Refuses to run without --yes; the UI asks for confirmation first.
+    'reset.js'
   ];
 
   if (!allowedScripts.includes(script)) {
@@ -113,11 +121,28 @@ app.get('/api/benchmark-results/:filename', (req, res) => {
   }
 });
 
+// Latest JSON report from checkParity.js / validate.js (--format json)
+app.get('/api/reports/:name', (req, res) => {
+  const { name } = req.params;
+
+  if (!['parity', 'validation'].includes(name)) {
+    return res.status(400).json({ error: 'Unknown report' });
+  }
+
+  try {
+    const content = JSON.parse(fs.readFileSync(defaultReportPath(name, 'json'), 'utf8'));
+    res.json(content);
+  } catch (error) {
+    res.status(404).json({ error: `No ${name} report yet; run the check with --format json` });
+  }
+});
+
 // Get environment configuration
 app.get('/api/config', (req, res) => {
   res.json({ 
     dsqlEndpoint: process.env.DSQL_ENDPOINT || '',
     awsRegion: process.env.AWS_REGION || 'us-east-1',
+    environment: isLocal() ? 'local' : 'aws',
     status: 'ok',
     timestamp: new Date().toISOString()
   });
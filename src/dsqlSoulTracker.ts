@@ -1,10 +1,33 @@
 // src/dsqlSoulContract.ts
 
 import "dotenv/config";
-import { DsqlSigner } from "@aws-sdk/dsql-signer";
-import { Client } from "pg";
-import { APIGatewayProxyHandler } from "aws-lambda";
+import type { Pool } from "pg";
+import {
+  APIGatewayProxyEventHeaders,
+  APIGatewayProxyHandler,
+  APIGatewayProxyResult
+} from "aws-lambda";
 import { performance } from "perf_hooks";
+import { InvalidPageRequestError, parseLimit } from "./lib/pagination";
+import {
+  IDEMPOTENCY_WINDOW_SECONDS,
+  InvalidIdempotencyKeyError,
+  fingerprintRequest,
+  readIdempotencyKey,
+  replayStoredResponse
+} from "./idempotency";
+import { STATUSES, allowedTransitions, isKnownStatus } from "./lib/soulStatus";
+import { DsqlSoulRepository } from "./lib/dsqlSoulRepository";
+import { AuthTokenError, createDsqlPool } from "./lib/dsqlPool";
+import { describeDsqlTarget, isLocal } from "./lib/environment";
+
+// Warm-start state. Lambda keeps module scope alive between invocations on
+// the same instance, so each endpoint's pool (from lib/dsqlPool) keeps its
+// cached token and idle connection for the next request. The pool signs a
+// fresh token whenever it has to reconnect.
+const pools = new Map<string, ReturnType<typeof createDsqlPool>>();
+
+const LISTINGS = ["status", "location"];
 
 // —————————————————————————————————————————————————————————————
 // POST /dsql/souls
@@ -14,19 +37,73 @@ import { performance } from "perf_hooks";
 //   amount: number,
 //   endpoint?: string
 // }
+// Response includes `attempts`: OCC conflicts are retried by lib/dsqlRetry up
+// to DSQL_MAX_ATTEMPTS times (base/cap via DSQL_RETRY_BASE_MS / DSQL_RETRY_MAX_MS).
+// `executionMs.mode` is "cold" when this invocation opened a new connection
+// and "warm" when it reused one; token/connect/transaction timings follow
+// (token is 0 when the cached token was still valid).
+// The status move must be allowed by lib/soulStatus; the current status is
+// read inside the transaction and illegal moves return 409 with it.
+// An optional Idempotency-Key header is stored in idempotency_keys within the
+// same transaction; repeats inside IDEMPOTENCY_WINDOW_SECONDS get the stored
+// response back instead of a second event and ledger row.
+//
+// GET /dsql/souls/{soulId}[?endpoint=...]
+// Returns the contract, its events (by event_time), its ledger entries
+// (by transaction_time) and the summed power balance; 404 if no contract.
+//
+// GET /dsql/souls/status/{status}?limit=&cursor=
+// GET /dsql/souls/location/{location}?limit=&cursor=
+// Pages of contracts newest first, keyset-paginated on (updated_at, id).
+//
+// GET /dsql/analytics
+// Per-location soul count, redemptions and power in one GROUP BY query.
+// Queries live in lib/dsqlSoulRepository and connections in lib/dsqlPool;
+// this handler maps HTTP to repository calls.
 // Demo theme: Ghost Rider making deals with the devil.
 // —————————————————————————————————————————————————————————————
 export const handler: APIGatewayProxyHandler = async (event) => {
   const startAll = performance.now();
   console.log("🔥 [Ghost Rider] Soul-contract invocation at", new Date().toISOString());
 
+  // Parse path and remove "dsql" prefix if present.
+  const pathParts = (event.path || "/souls").split("/").filter(Boolean);
+  if (pathParts[0]?.toLowerCase() === "dsql") {
+    pathParts.shift();
+  }
+  if (pathParts[0] === "analytics" && pathParts.length === 1 && event.httpMethod === "GET") {
+    return getAnalytics(event.queryStringParameters?.endpoint, startAll);
+  }
+  if (pathParts[0] !== "souls") {
+    return { statusCode: 400, body: JSON.stringify({ error: "Unsupported route" }) };
+  }
+
+  if (event.httpMethod === "GET" && pathParts.length === 3 && LISTINGS.includes(pathParts[1])) {
+    const query = event.queryStringParameters || {};
+    return listSouls(pathParts[1], decodeURIComponent(pathParts[2]), query, startAll);
+  }
+  if (event.httpMethod === "GET" && pathParts.length === 2) {
+    const soulId = decodeURIComponent(pathParts[1]);
+    return getSoulProfile(soulId, event.queryStringParameters?.endpoint, startAll);
+  }
+  if (event.httpMethod === "POST" && pathParts.length === 1) {
+    return updateSoulContract(event.body, event.headers, startAll);
+  }
+  return { statusCode: 400, body: "Unsupported method or route" };
+};
+
+async function updateSoulContract(
+  rawBody: string | null,
+  headers: APIGatewayProxyEventHeaders | null,
+  startAll: number
+): Promise<APIGatewayProxyResult> {
   // 1) Validate & parse
-  if (event.httpMethod !== "POST" || !event.body) {
+  if (!rawBody) {
     return { statusCode: 400, body: "Only POST with JSON body is supported" };
   }
   let body: any;
   try {
-    body = JSON.parse(event.body);
+    body = JSON.parse(rawBody);
   } catch {
     return { statusCode: 400, body: "Invalid JSON" };
   }
@@ -34,88 +111,274 @@ export const handler: APIGatewayProxyHandler = async (event) => {
   if (!soulContractId || !newStatus || typeof amount !== "number") {
     return { statusCode: 400, body: "Missing soulContractId, newStatus, or amount" };
   }
+  if (!isKnownStatus(newStatus)) {
+    return {
+      statusCode: 400,
+      body: JSON.stringify({ error: `Unknown status '${newStatus}'`, allowedStatuses: STATUSES }),
+    };
+  }
+
+  let idempotencyKey: string | undefined;
+  try {
+    idempotencyKey = readIdempotencyKey(headers);
+  } catch (err: any) {
+    if (err instanceof InvalidIdempotencyKeyError) {
+      return { statusCode: 400, body: JSON.stringify({ error: err.message }) };
+    }
+    throw err;
+  }
+  const requestHash = fingerprintRequest({ soulId: soulContractId, newStatus, amount });
+  const storedBody = JSON.stringify({
+    message: "🔥 Soul contract processed by Ghost Rider!",
+    soulContractId,
+  });
 
   // 2) Determine DSQL endpoint
-  const dbEndpoint = endpoint || process.env.DSQL_ENDPOINT;
+  const dbEndpoint = resolveEndpoint(endpoint);
   if (!dbEndpoint) {
     return { statusCode: 400, body: "Missing DSQL endpoint" };
   }
-  console.log(`👹 [Devil’s Endpoint] ${dbEndpoint}`);
+  console.log(`👹 [Devil’s Endpoint] ${describeDsqlTarget(dbEndpoint)}`);
 
-  // 3) Generate IAM token
-  const region = process.env.AWS_REGION || "us-east-1";
-  const signer = new DsqlSigner({ hostname: dbEndpoint, region });
-  let token: string;
   try {
-    token = await signer.getDbConnectAdminAuthToken();
-  } catch (err) {
-    console.error("❌ Token generation failed:", err);
-    return { statusCode: 500, body: "Failed to generate auth token" };
+    // 3–4) Reuse the warm pooled connection or open one with a fresh IAM token
+    const { pool, timings } = await openSession(dbEndpoint);
+
+    const txStart = performance.now();
+    // 5) Run the transaction; the repository replays it on OCC conflicts
+    const outcome = await new DsqlSoulRepository(pool).updateStatus({
+      soulId: soulContractId,
+      newStatus,
+      amount,
+      idempotency: idempotencyKey
+        ? { key: idempotencyKey, requestHash, body: storedBody, windowSeconds: IDEMPOTENCY_WINDOW_SECONDS }
+        : undefined,
+    });
+    if (outcome.kind === "replay") {
+      return replayStoredResponse(outcome.stored, requestHash);
+    }
+    if (outcome.kind === "illegal-transition") {
+      console.warn(`🚫 Rejected ${outcome.currentStatus ?? "(new)"} -> ${newStatus} for '${soulContractId}'`);
+      return {
+        statusCode: 409,
+        body: JSON.stringify({
+          error: `Illegal status transition for '${soulContractId}'`,
+          currentStatus: outcome.currentStatus,
+          requestedStatus: newStatus,
+          allowedTransitions: allowedTransitions(outcome.currentStatus),
+        }),
+      };
+    }
+    const transactionMs = performance.now() - txStart;
+    const totalMs = (performance.now() - startAll).toFixed(1);
+    console.log(`✅ Transaction committed in ${totalMs} ms after ${outcome.attempts} attempt(s)`);
+
+    return {
+      statusCode: 200,
+      body: JSON.stringify({
+        ...JSON.parse(storedBody),
+        attempts: outcome.attempts,
+        executionMs: {
+          ...timings,
+          transaction: transactionMs.toFixed(1),
+          total: totalMs
+        }
+      }),
+    };
+  } catch (err: any) {
+    if (err instanceof AuthTokenError) {
+      return { statusCode: 500, body: err.message };
+    }
+    console.error("❌ Transaction failed:", err);
+    return {
+      statusCode: 500,
+      body: JSON.stringify({ error: err.message, attempts: err.attempts ?? 0 }),
+    };
   }
+}
 
-  // 4) Connect to DSQL
-  const client = new Client({
-    host: dbEndpoint,
-    user: "admin",
-    database: "postgres",
-    password: token,
-    ssl: { rejectUnauthorized: false },
-  });
+async function getSoulProfile(
+  soulId: string,
+  endpoint: string | undefined,
+  startAll: number
+): Promise<APIGatewayProxyResult> {
+  const dbEndpoint = resolveEndpoint(endpoint);
+  if (!dbEndpoint) {
+    return { statusCode: 400, body: "Missing DSQL endpoint" };
+  }
+  console.log(`👹 [Devil’s Endpoint] ${describeDsqlTarget(dbEndpoint)}`);
 
   try {
-    console.log("⛓️  Connecting to Aurora DSQL…");
-    const t0 = performance.now();
-    await client.connect();
-    console.log(`⛓️  Connected in ${(performance.now() - t0).toFixed(1)} ms`);
-
-    // 5) Begin transaction
-    await client.query("BEGIN;");
-
-    // 5a) Upsert the master soul_contract
-    console.log(`📝 Upserting soul_contract '${soulContractId}'…`);
-    await client.query(
-      `INSERT INTO soul_contracts(id, contract_status, updated_at)
-         VALUES($1, $2, NOW())
-         ON CONFLICT(id) DO UPDATE
-           SET contract_status = EXCLUDED.contract_status,
-               updated_at      = EXCLUDED.updated_at;`,
-      [soulContractId, newStatus]
-    );
-
-    // 5b) Log the contract event
-    console.log(`🗒  Logging event for '${soulContractId}'…`);
-    await client.query(
-      `INSERT INTO soul_contract_events(id, soul_contract_id, event_time, description)
-         VALUES(gen_random_uuid(), $1, NOW(), $2);`,
-      [soulContractId, `Contract updated to '${newStatus}'`]
-    );
-
-    // 5c) Record the ledger entry
-    console.log(`💰 Recording ledger entry for '${soulContractId}'…`);
-    await client.query(
-      `INSERT INTO soul_ledger(id, soul_contract_id, amount, transaction_time, description)
-         VALUES(gen_random_uuid(), $1, $2, NOW(), $3);`,
-      [soulContractId, amount, `Financial transaction: ${newStatus}`]
-    );
-
-    // 6) Commit
-    await client.query("COMMIT;");
-    const totalMs = (performance.now() - startAll).toFixed(1);
-    console.log(`✅ Transaction committed in ${totalMs} ms`);
+    const { pool, timings } = await openSession(dbEndpoint);
+
+    const queryStart = performance.now();
+    console.log(`📜 Loading soul profile '${soulId}'…`);
+    const profile = await new DsqlSoulRepository(pool).getProfile(soulId);
+    if (!profile) {
+      return { statusCode: 404, body: JSON.stringify({ error: `Soul '${soulId}' not found` }) };
+    }
+    const { stats, ...body } = profile;
+    const queryMs = performance.now() - queryStart;
 
     return {
       statusCode: 200,
       body: JSON.stringify({
-        message: "🔥 Soul contract processed by Ghost Rider!",
-        soulContractId,
-        executionMs: totalMs
+        ...body,
+        executionMs: {
+          ...timings,
+          query: queryMs.toFixed(1),
+          total: (performance.now() - startAll).toFixed(1)
+        }
       }),
     };
   } catch (err: any) {
-    console.error("❌ Transaction failed—rolling back:", err);
-    try { await client.query("ROLLBACK;"); } catch {}
+    if (err instanceof AuthTokenError) {
+      return { statusCode: 500, body: err.message };
+    }
+    console.error("❌ Profile lookup failed:", err);
     return { statusCode: 500, body: JSON.stringify({ error: err.message }) };
-  } finally {
-    await client.end();
   }
-};
+}
+
+async function listSouls(
+  listing: string,
+  value: string,
+  query: Record<string, string | undefined>,
+  startAll: number
+): Promise<APIGatewayProxyResult> {
+  let limit: number;
+  try {
+    limit = parseLimit(query.limit);
+  } catch (err: any) {
+    if (err instanceof InvalidPageRequestError) {
+      return { statusCode: 400, body: JSON.stringify({ error: err.message }) };
+    }
+    throw err;
+  }
+
+  const dbEndpoint = resolveEndpoint(query.endpoint);
+  if (!dbEndpoint) {
+    return { statusCode: 400, body: "Missing DSQL endpoint" };
+  }
+
+  try {
+    const { pool, timings } = await openSession(dbEndpoint);
+
+    const queryStart = performance.now();
+    const repository = new DsqlSoulRepository(pool);
+    const request = { limit, cursor: query.cursor };
+    const page = listing === "status"
+      ? await repository.listByStatus(value, request)
+      : await repository.listByLocation(value, request);
+
+    return {
+      statusCode: 200,
+      body: JSON.stringify({
+        ...page,
+        executionMs: {
+          ...timings,
+          query: (performance.now() - queryStart).toFixed(1),
+          total: (performance.now() - startAll).toFixed(1)
+        }
+      }),
+    };
+  } catch (err: any) {
+    if (err instanceof InvalidPageRequestError) {
+      return { statusCode: 400, body: JSON.stringify({ error: err.message }) };
+    }
+    if (err instanceof AuthTokenError) {
+      return { statusCode: 500, body: err.message };
+    }
+    console.error(`❌ Listing by ${listing} failed:`, err);
+    return { statusCode: 500, body: JSON.stringify({ error: err.message }) };
+  }
+}
+
+async function getAnalytics(
+  endpoint: string | undefined,
+  startAll: number
+): Promise<APIGatewayProxyResult> {
+  const dbEndpoint = resolveEndpoint(endpoint);
+  if (!dbEndpoint) {
+    return { statusCode: 400, body: "Missing DSQL endpoint" };
+  }
+
+  try {
+    const { pool, timings } = await openSession(dbEndpoint);
+
+    const queryStart = performance.now();
+    const report = await new DsqlSoulRepository(pool).locationAnalytics();
+
+    return {
+      statusCode: 200,
+      body: JSON.stringify({
+        ...report,
+        executionMs: {
+          ...timings,
+          query: (performance.now() - queryStart).toFixed(1),
+          total: (performance.now() - startAll).toFixed(1)
+        }
+      }),
+    };
+  } catch (err: any) {
+    if (err instanceof AuthTokenError) {
+      return { statusCode: 500, body: err.message };
+    }
+    console.error("❌ Analytics query failed:", err);
+    return { statusCode: 500, body: JSON.stringify({ error: err.message }) };
+  }
+}
+
+// DEVIL_ENV=local routes every request to the local PostgreSQL pool, so no
+// endpoint is needed there.
+function resolveEndpoint(requested: string | undefined): string | undefined {
+  if (isLocal()) return "local";
+  return requested || process.env.DSQL_ENDPOINT;
+}
+
+async function openSession(endpoint: string): Promise<{
+  pool: Pool;
+  timings: { mode: "cold" | "warm"; token: string; connect: string };
+}> {
+  let pool = pools.get(endpoint);
+  if (!pool) {
+    // One invocation at a time per instance, so one connection is enough.
+    // It stays open between invocations however long the gap: pg's default
+    // idle timeout would close it after 10 s, and maxLifetimeSeconds
+    // already recycles it before DSQL drops it.
+    pool = createDsqlPool({ endpoint, max: 1, idleTimeoutMillis: 0 });
+    pools.set(endpoint, pool);
+  }
+  const mode = pool.idleCount > 0 ? "warm" : "cold";
+
+  const signedBefore = pool.tokenStats.signed;
+  const t0 = performance.now();
+  await checkOut(pool);
+  const checkoutMs = performance.now() - t0;
+  // Only a connect that signed a new token spent time on it; a cached
+  // token costs nothing.
+  const tokenMs = pool.tokenStats.signed > signedBefore ? pool.tokenStats.lastSignMs : 0;
+  const connectMs = checkoutMs - tokenMs;
+  console.log(`⛓️  ${mode === "warm" ? "Reused warm" : "Opened cold"} connection in ${checkoutMs.toFixed(1)} ms`);
+
+  return {
+    pool,
+    timings: { mode, token: tokenMs.toFixed(1), connect: connectMs.toFixed(1) },
+  };
+}
+
+// Pings the pooled connection before the request uses it. A connection
+// whose socket died while the instance was frozen is destroyed and
+// replaced once; token errors surface as AuthTokenError.
+async function checkOut(pool: Pool, retried = false): Promise<void> {
+  const client = await pool.connect();
+  try {
+    await client.query("SELECT 1;");
+    client.release();
+  } catch (err) {
+    client.release(err as Error);
+    if (retried) throw err;
+    console.warn("⚠️  Warm connection failed liveness check, reconnecting:", err);
+    await checkOut(pool, true);
+  }
+}
@@ -1,31 +1,40 @@
 // src/dynamoSoulTracker.ts
 import "dotenv/config";
-import { APIGatewayProxyHandler } from "aws-lambda";
-import { DynamoDBClient } from "@aws-sdk/client-dynamodb";
-import {
-  DynamoDBDocumentClient,
-  TransactWriteCommand
-} from "@aws-sdk/lib-dynamodb";
-import { v4 as uuidv4 } from "uuid";
+import { APIGatewayProxyHandler, APIGatewayProxyResult } from "aws-lambda";
 import { performance } from "perf_hooks";
+import { InvalidPageRequestError, parseLimit } from "./lib/pagination";
+import { parseLocations } from "./lib/analytics";
+import {
+  IDEMPOTENCY_WINDOW_SECONDS,
+  InvalidIdempotencyKeyError,
+  fingerprintRequest,
+  readIdempotencyKey,
+  replayStoredResponse
+} from "./idempotency";
+import { STATUSES, allowedTransitions, isKnownStatus } from "./lib/soulStatus";
+import { DynamoSoulRepository } from "./lib/dynamoSoulRepository";
 
-const ddbClient = new DynamoDBClient({ region: process.env.AWS_REGION });
-const docClient = DynamoDBDocumentClient.from(ddbClient);
-const TABLE_NAME = process.env.TABLE_NAME || "DevilSoulTracker";
+const repository = new DynamoSoulRepository();
 
 /*
-  In our single-table design:
-  - The soul contract record has:
-      PK = `SOUL#{soulId}`
-      SK = "CONTRACT"
-  - An event record has:
-      PK = `SOUL#{soulId}`
-      SK = `EVENT#{uuid}`
-  - A ledger record has:
-      PK = `SOUL#{soulId}`
-      SK = `LEDGER#{uuid}`
+  Key layout and attribute names live in lib/dynamoSoulRepository; this
+  handler only maps HTTP to repository calls.
+
+  Routes:
+  - POST /dynamo/souls            update contract + log event + ledger entry;
+                                  the status move must be allowed by
+                                  lib/soulStatus (409 with the current status
+                                  otherwise), enforced by a ConditionExpression
+  - GET  /dynamo/souls/{soulId}   whole SOUL# partition as a soul profile,
+                                  same JSON shape as GET /dsql/souls/{soulId}
+  - GET  /dynamo/souls/status/{status}?limit=&cursor=       StatusIndex page
+  - GET  /dynamo/souls/location/{location}?limit=&cursor=   LocationIndex page
+  - GET  /dynamo/analytics[?locations=A,B]  per-location metrics aggregated
+                                  client-side from LocationIndex pages
 */
 
+const LISTINGS = ["status", "location"];
+
 export const handler: APIGatewayProxyHandler = async (event, _context) => {
   const startTime = performance.now();
   console.log("🔥 [Single Table] Soul Tracker invoked at", new Date().toISOString());
@@ -35,6 +44,12 @@ export const handler: APIGatewayProxyHandler = async (event, _context) => {
   if (pathParts[0].toLowerCase() === "dynamo") {
     pathParts.shift();
   }
+  if (pathParts[0] === "analytics" && pathParts.length === 1 && event.httpMethod === "GET") {
+    const requested = event.queryStringParameters?.locations;
+    const locations = requested ? parseLocations(requested) : undefined;
+    return getAnalytics(locations, startTime);
+  }
+
   // Our base route should now start with "souls"
   if (pathParts[0] !== "souls") {
     return {
@@ -43,7 +58,16 @@ export const handler: APIGatewayProxyHandler = async (event, _context) => {
     };
   }
   
-  // In this example, we assume a POST operation to manage a soul contract update.
+  if (event.httpMethod === "GET" && pathParts.length === 3 && LISTINGS.includes(pathParts[1])) {
+    const query = event.queryStringParameters || {};
+    return listSouls(pathParts[1], decodeURIComponent(pathParts[2]), query.limit, query.cursor, startTime);
+  }
+
+  if (event.httpMethod === "GET" && pathParts.length === 2) {
+    return getSoulProfile(decodeURIComponent(pathParts[1]), startTime);
+  }
+
+  // Otherwise we expect a POST operation to manage a soul contract update.
   if (event.httpMethod !== "POST") {
     return {
       statusCode: 400,
@@ -55,73 +79,67 @@ export const handler: APIGatewayProxyHandler = async (event, _context) => {
     return { statusCode: 400, body: "Missing request body" };
   }
   
-  const { soulId, newStatus, amount } = JSON.parse(event.body);
+  let body: any;
+  try {
+    body = JSON.parse(event.body);
+  } catch {
+    return { statusCode: 400, body: "Invalid JSON" };
+  }
+  const { soulId, newStatus, amount } = body || {};
   if (!soulId || !newStatus || amount === undefined) {
     return {
       statusCode: 400,
       body: JSON.stringify({ error: "Missing soulId, newStatus, or amount in request" }),
     };
   }
-  
-  // Build keys for the single table design.
-  const contractPK = `SOUL#${soulId}`;
-  const contractSK = "CONTRACT";
-  const eventSK = `EVENT#${uuidv4()}`;
-  const ledgerSK = `LEDGER#${uuidv4()}`;
-  
-  const params = {
-    TransactItems: [
-      {
-        // Update the soul contract record.
-        Update: {
-          TableName: TABLE_NAME,
-          Key: { PK: contractPK, SK: contractSK },
-          UpdateExpression: "SET #status = :newStatus, #updated = :now",
-          ExpressionAttributeNames: {
-            "#status": "contract_status",
-            "#updated": "updated_at"
-          },
-          ExpressionAttributeValues: {
-            ":newStatus": newStatus,
-            ":now": new Date().toISOString()
-          }
-        }
-      },
-      {
-        // Insert a contract event record.
-        Put: {
-          TableName: TABLE_NAME,
-          Item: {
-            PK: contractPK,
-            SK: eventSK,
-            event_time: new Date().toISOString(),
-            description: `Contract updated to '${newStatus}'`
-          }
-        }
-      },
-      {
-        // Insert a ledger record.
-        Put: {
-          TableName: TABLE_NAME,
-          Item: {
-            PK: contractPK,
-            SK: ledgerSK,
-            amount: amount,
-            transaction_time: new Date().toISOString(),
-            description: `Financial transaction for contract update: ${newStatus}`
-          }
-        }
-      }
-    ]
-  };
+  if (!isKnownStatus(newStatus)) {
+    return {
+      statusCode: 400,
+      body: JSON.stringify({ error: `Unknown status '${newStatus}'`, allowedStatuses: STATUSES }),
+    };
+  }
+
+  let idempotencyKey: string | undefined;
+  try {
+    idempotencyKey = readIdempotencyKey(event.headers);
+  } catch (err: any) {
+    if (err instanceof InvalidIdempotencyKeyError) {
+      return { statusCode: 400, body: JSON.stringify({ error: err.message }) };
+    }
+    throw err;
+  }
+  const requestHash = fingerprintRequest({ soulId, newStatus, amount });
+  const responseBody = JSON.stringify({ message: "Soul contract updated, event logged, and ledger entry recorded" });
 
   try {
-    await docClient.send(new TransactWriteCommand(params));
+    const outcome = await repository.updateStatus({
+      soulId,
+      newStatus,
+      amount,
+      idempotency: idempotencyKey
+        ? { key: idempotencyKey, requestHash, body: responseBody, windowSeconds: IDEMPOTENCY_WINDOW_SECONDS }
+        : undefined
+    });
+    if (outcome.kind === "replay") {
+      return replayStoredResponse(outcome.stored, requestHash);
+    }
+    if (outcome.kind === "illegal-transition") {
+      console.warn(`[Single Table] Rejected ${outcome.currentStatus ?? "(new)"} -> ${newStatus} for ${soulId}`);
+      return {
+        statusCode: 409,
+        body: JSON.stringify({
+          error: `Illegal status transition for '${soulId}'`,
+          currentStatus: outcome.currentStatus,
+          requestedStatus: newStatus,
+          allowedTransitions: allowedTransitions(outcome.currentStatus)
+        }),
+      };
+    }
     const endTime = performance.now();
     console.log(`[Single Table] Transaction completed in ${(endTime - startTime).toFixed(2)} ms`);
     return {
       statusCode: 200,
-      body: JSON.stringify({ message: "Soul contract updated, event logged, and ledger entry recorded" }),
+      body: responseBody,
     };
   } catch (err: any) {
     const endTime = performance.now();
@@ -132,3 +150,86 @@ export const handler: APIGatewayProxyHandler = async (event, _context) => {
     };
   }
 };
+
+async function getSoulProfile(soulId: string, startTime: number): Promise<APIGatewayProxyResult> {
+  try {
+    const profile = await repository.getProfile(soulId);
+    if (!profile) {
+      return {
+        statusCode: 404,
+        body: JSON.stringify({ error: `Soul '${soulId}' not found` }),
+      };
+    }
+
+    const { stats, ...body } = profile;
+    const endTime = performance.now();
+    console.log(`[Single Table] Profile for ${soulId}: ${stats.items} items in ${stats.pages} page(s), ${(endTime - startTime).toFixed(2)} ms`);
+
+    return {
+      statusCode: 200,
+      body: JSON.stringify({
+        ...body,
+        executionMs: { pages: stats.pages, total: (endTime - startTime).toFixed(1) }
+      }),
+    };
+  } catch (err: any) {
+    console.error(`[Single Table] Profile lookup for ${soulId} failed:`, err);
+    return {
+      statusCode: 500,
+      body: JSON.stringify({ error: err.message }),
+    };
+  }
+}
+
+async function listSouls(
+  listing: string,
+  value: string,
+  rawLimit: string | undefined,
+  cursor: string | undefined,
+  startTime: number
+): Promise<APIGatewayProxyResult> {
+  try {
+    const request = { limit: parseLimit(rawLimit), cursor };
+    const page = listing === "status"
+      ? await repository.listByStatus(value, request)
+      : await repository.listByLocation(value, request);
+
+    const endTime = performance.now();
+    console.log(`[Single Table] ${listing} page for ${value}: ${page.count} contracts in ${(endTime - startTime).toFixed(2)} ms`);
+    return {
+      statusCode: 200,
+      body: JSON.stringify({ ...page, executionMs: { total: (endTime - startTime).toFixed(1) } }),
+    };
+  } catch (err: any) {
+    if (err instanceof InvalidPageRequestError) {
+      return { statusCode: 400, body: JSON.stringify({ error: err.message }) };
+    }
+    console.error(`[Single Table] ${listing} query for ${value} failed:`, err);
+    return {
+      statusCode: 500,
+      body: JSON.stringify({ error: err.message }),
+    };
+  }
+}
+
+async function getAnalytics(locations: string[] | undefined, startTime: number): Promise<APIGatewayProxyResult> {
+  try {
+    const report = await repository.locationAnalytics({ locations });
+    const endTime = performance.now();
+    console.log(`[Single Table] Analytics over ${report.locations.length} locations: ${report.roundTrips} requests in ${(endTime - startTime).toFixed(2)} ms`);
+    if (report.skippedSouls) {
+      console.log(`[Single Table] ${report.skippedSouls} souls are outside the reported locations`);
+    }
+
+    return {
+      statusCode: 200,
+      body: JSON.stringify({ ...report, executionMs: { total: (endTime - startTime).toFixed(1) } }),
+    };
+  } catch (err: any) {
+    console.error(`[Single Table] Analytics failed after ${err.roundTrips ?? 0} queries:`, err);
+    return {
+      statusCode: 500,
+      body: JSON.stringify({ error: err.message, roundTrips: err.roundTrips ?? 0 }),
+    };
+  }
+}
@@ -0,0 +1,64 @@
+// src/idempotency.ts
+// Idempotency-Key support for the soul contract POST routes. Each backend
+// stores the key with the first response in the same transaction as the
+// contract update; repeats inside the window get that response back
+// instead of writing a second event and ledger entry.
+
+import { createHash } from "crypto";
+import { APIGatewayProxyEventHeaders, APIGatewayProxyResult } from "aws-lambda";
+
+export const IDEMPOTENCY_HEADER = "Idempotency-Key";
+export const IDEMPOTENCY_WINDOW_SECONDS = parseWindow(process.env.IDEMPOTENCY_WINDOW_SECONDS);
+const MAX_KEY_LENGTH = 255;
+
+export interface StoredResponse {
+  requestHash: string;
+  statusCode: number;
+  body: string;
+}
+
+export class InvalidIdempotencyKeyError extends Error {}
+
+// Header names are case-insensitive and API Gateway passes them through as sent.
+export function readIdempotencyKey(headers: APIGatewayProxyEventHeaders | null): string | undefined {
+  const name = Object.keys(headers || {}).find(
+    header => header.toLowerCase() === IDEMPOTENCY_HEADER.toLowerCase()
+  );
+  const value = name ? headers![name]?.trim() : undefined;
+  if (value === undefined) return undefined;
+  if (!value || value.length > MAX_KEY_LENGTH) {
+    throw new InvalidIdempotencyKeyError(
+      `${IDEMPOTENCY_HEADER} must be between 1 and ${MAX_KEY_LENGTH} characters`
+    );
+  }
+  return value;
+}
+
+// Hash of the fields that define the write, so a key reused with a
+// different request is rejected instead of silently replayed.
+export function fingerprintRequest(fields: Record<string, unknown>): string {
+  const canonical = JSON.stringify(Object.keys(fields).sort().map(key => [key, fields[key]]));
+  return createHash("sha256").update(canonical).digest("hex");
+}
+
+export function replayStoredResponse(stored: StoredResponse, requestHash: string): APIGatewayProxyResult {
+  if (stored.requestHash !== requestHash) {
+    return {
+      statusCode: 422,
+      body: JSON.stringify({
+        error: `${IDEMPOTENCY_HEADER} was already used for a different request`,
+      }),
+    };
+  }
+  console.log(`♻️  Replaying stored response for ${IDEMPOTENCY_HEADER}`);
+  return {
+    statusCode: stored.statusCode,
+    headers: { "Idempotent-Replayed": "true" },
+    body: stored.body,
+  };
+}
+
+function parseWindow(value: string | undefined): number {
+  const parsed = value ? parseInt(value, 10) : NaN;
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : 24 * 60 * 60;
+}
@@ -0,0 +1,70 @@
+/**
+ * analytics.js
+ *
+ * Shared shape for per-location analytics so both backends report the same
+ * metrics, whichever way they computed them.
+ */
+
+/**
+ * Limits DynamoDB analytics to SOUL_LOCATIONS when it is set. Null means
+ * every location, found with a projected scan of the contracts.
+ *
+ * @type {string[] | null}
+ */
+const CONFIGURED_LOCATIONS = process.env.SOUL_LOCATIONS
+  ? parseLocations(process.env.SOUL_LOCATIONS)
+  : null;
+
+/**
+ * @typedef {Object} LocationAnalytics
+ * @property {string | null} location
+ * @property {number} soulCount
+ * @property {number} redeemed
+ * @property {number} totalPower
+ * @property {number} avgPowerPerSoul
+ * @property {number} redemptionRate
+ */
+
+/**
+ * @typedef {Object} AnalyticsReport
+ * @property {string} strategy - how the backend computed the report
+ * @property {number} roundTrips - database requests it took
+ * @property {LocationAnalytics[]} locations
+ * @property {number} [skippedSouls] - souls in none of the reported
+ *   locations (DynamoDB, when limited to a list of locations)
+ */
+
+/**
+ * Rounds the derived metrics the same way the SQL query does (redemption
+ * rate to one decimal) and orders locations by total power.
+ *
+ * @param {{ location: string | null, soulCount: number, redeemed: number, totalPower: number }[]} totals
+ * @returns {LocationAnalytics[]}
+ */
+function summarizeLocations(totals) {
+  return totals
+    .map(({ location, soulCount, redeemed, totalPower }) => ({
+      location,
+      soulCount,
+      redeemed,
+      totalPower,
+      avgPowerPerSoul: soulCount > 0 ? round(totalPower / soulCount, 2) : 0,
+      redemptionRate: soulCount > 0 ? round((redeemed * 100) / soulCount, 1) : 0
+    }))
+    .sort((a, b) => b.totalPower - a.totalPower);
+}
+
+/**
+ * @param {string} value - comma-separated, e.g. a ?locations= parameter
+ * @returns {string[]}
+ */
+function parseLocations(value) {
+  return value.split(',').map(location => location.trim()).filter(Boolean);
+}
+
+function round(value, digits) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+module.exports = { CONFIGURED_LOCATIONS, parseLocations, summarizeLocations };
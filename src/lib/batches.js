@@ -0,0 +1,81 @@
+/**
+ * batches.js
+ *
+ * Bounded-concurrency batch runner shared by the bulk loaders. Batches may
+ * finish out of order, so besides raw progress it reports a checkpoint
+ * offset: the number of rows in the contiguous prefix of committed batches.
+ * Restarting from that offset can only replay batches that may already be
+ * committed, never skip one, so loaders must make replays idempotent.
+ */
+
+/**
+ * @template T
+ * @param {T[][]} batches
+ * @param {{
+ *   run: (batch: T[], index: number) => Promise<void>,
+ *   concurrency?: number,
+ *   startOffset?: number,
+ *   onProgress?: (written: number, total: number) => void,
+ *   onCheckpoint?: (offset: number) => void
+ * }} options - offsets and progress count from the start of the full
+ *   dataset, so `startOffset` rows are treated as already written
+ * @returns {Promise<{ written: number }>} rows written by this call
+ */
+async function runBatches(batches, { run, concurrency = 1, startOffset = 0, onProgress, onCheckpoint }) {
+  const total = startOffset + batches.reduce((sum, batch) => sum + batch.length, 0);
+  const done = new Array(batches.length).fill(false);
+  let next = 0;
+  let written = startOffset;
+  let watermark = 0;
+  let committedOffset = startOffset;
+  let failed = false;
+
+  const worker = async () => {
+    while (!failed && next < batches.length) {
+      const index = next++;
+      try {
+        await run(batches[index], index);
+      } catch (err) {
+        failed = true;
+        throw err;
+      }
+      done[index] = true;
+      written += batches[index].length;
+      if (onProgress) onProgress(written, total);
+
+      let advanced = false;
+      while (watermark < batches.length && done[watermark]) {
+        committedOffset += batches[watermark].length;
+        watermark += 1;
+        advanced = true;
+      }
+      if (advanced && onCheckpoint) onCheckpoint(committedOffset);
+    }
+  };
+
+  // Let in-flight batches settle before failing so the last checkpoint
+  // covers everything that actually committed.
+  const workers = Math.max(1, Math.min(concurrency, batches.length));
+  const results = await Promise.allSettled(Array.from({ length: workers }, worker));
+  const rejected = results.find(result => result.status === 'rejected');
+  if (rejected) {
+    throw /** @type {PromiseRejectedResult} */ (rejected).reason;
+  }
+  return { written: written - startOffset };
+}
+
+/**
+ * @template T
+ * @param {T[]} items
+ * @param {number} size
+ * @returns {T[][]}
+ */
+function chunk(items, size) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+}
+
+module.exports = { runBatches, chunk };
@@ -0,0 +1,29 @@
+/**
+ * benchmarkArtifacts.js
+ *
+ * What the demo and benchmark scripts leave behind in seeded souls, so
+ * reset.js --only-benchmark-artifacts can remove exactly that. Every such
+ * description starts with ARTIFACT_PREFIX, and the purge matches only that
+ * prefix, so real status changes with the same wording are kept:
+ *
+ *   - benchmark.js write test   events  '[artifact] Benchmark event <n>'
+ *   - demo.js scenario 3        event   "[artifact] Contract updated to 'Redeemed'"
+ *                               ledger  '[artifact] Financial transaction: Redeemed'
+ *
+ * The scenario 3 contract keeps its Redeemed status; reseed to restore it.
+ */
+
+const ARTIFACT_PREFIX = '[artifact] ';
+
+/**
+ * @param {string} description
+ * @returns {string} the description as a demo/benchmark artifact
+ */
+function artifactDescription(description) {
+  return `${ARTIFACT_PREFIX}${description}`;
+}
+
+module.exports = {
+  ARTIFACT_PREFIX,
+  artifactDescription
+};
@@ -0,0 +1,216 @@
+/**
+ * checkReport.js
+ *
+ * Machine-readable results for checkParity.js and validate.js
+ * (--format json|junit, --out <file>). Issues are grouped into cases: one
+ * per soul, plus one per soul-independent check (contract counts, location
+ * totals, indexes, lookup latency). The JSON form is what server.js serves to the UI; the
+ * JUnit form lets CI list failing souls and checks as failing tests.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const REPORT_FORMATS = ['json', 'junit'];
+
+// Check types used in issues; `check` on a CheckIssue is one of these.
+const CHECK_TYPES = {
+  MISSING_CONTRACT: 'missing_contract',
+  CONTRACT_FIELD: 'contract_field',
+  COLLECTION_COUNT: 'collection_count',
+  MISSING_ENTRY: 'missing_entry',
+  TIMESTAMP: 'timestamp',
+  DESCRIPTION: 'description',
+  AMOUNT: 'amount',
+  INDEX: 'index',
+  CONTRACT_COUNT: 'contract_count',
+  LEDGER_SUM: 'ledger_sum',
+  LOCATION_TOTALS: 'location_totals',
+  PERFORMANCE: 'performance',
+  DETAIL_LIMIT: 'detail_limit'
+};
+
+/**
+ * @typedef {Object} CheckIssue
+ * @property {string} check - a CHECK_TYPES value
+ * @property {string} message - the line printed on the console
+ * @property {string} [soulId]
+ * @property {string} [field] - contract field, or 'events' / 'ledger'
+ * @property {number} [index] - position in the compared collection (DynamoDB side)
+ * @property {number} [dsqlIndex] - position in the DSQL collection, when it differs
+ * @property {unknown} [dynamo] - DynamoDB value
+ * @property {unknown} [dsql] - DSQL value
+ * @property {string[]} [soulIds] - souls a soul-independent issue covers
+ */
+
+class CheckReport {
+  /**
+   * @param {'parity' | 'validation'} name
+   */
+  constructor(name) {
+    this.name = name;
+    this.startedAt = new Date();
+    /** @type {Map<string, { soulId: string, issues: CheckIssue[] }>} */
+    this.souls = new Map();
+    /** @type {Map<string, { name: string, issues: CheckIssue[], details: Record<string, unknown> }>} */
+    this.checks = new Map();
+  }
+
+  /**
+   * Records that a soul was compared; it passes unless issues follow.
+   *
+   * @param {string} soulId
+   */
+  soul(soulId) {
+    if (!this.souls.has(soulId)) this.souls.set(soulId, { soulId, issues: [] });
+    return this.souls.get(soulId);
+  }
+
+  /**
+   * Records a soul-independent check, with optional measurements.
+   *
+   * @param {string} name
+   * @param {Record<string, unknown>} [details]
+   */
+  check(name, details = {}) {
+    if (!this.checks.has(name)) this.checks.set(name, { name, issues: [], details: {} });
+    const entry = this.checks.get(name);
+    Object.assign(entry.details, details);
+    return entry;
+  }
+
+  /**
+   * Files an issue under its soul, or else under the check `caseName`
+   * (default: the issue's check type).
+   *
+   * @param {CheckIssue} issue
+   * @param {string} [caseName]
+   */
+  fail(issue, caseName = issue.check) {
+    (issue.soulId ? this.soul(issue.soulId) : this.check(caseName)).issues.push(issue);
+  }
+
+  /**
+   * @param {Record<string, unknown>} [summary] - extra summary fields
+   */
+  toJSON(summary = {}) {
+    const souls = Array.from(this.souls.values());
+    const checks = Array.from(this.checks.values());
+    const issues = [...souls, ...checks].flatMap(entry => entry.issues);
+    const byCheck = {};
+    issues.forEach(issue => { byCheck[issue.check] = (byCheck[issue.check] || 0) + 1; });
+    return {
+      report: this.name,
+      generatedAt: new Date().toISOString(),
+      durationMs: Date.now() - this.startedAt.getTime(),
+      passed: issues.length === 0,
+      summary: {
+        soulsReported: souls.length,
+        soulsFailed: souls.filter(entry => entry.issues.length).length,
+        checks: checks.length,
+        checksFailed: checks.filter(entry => entry.issues.length).length,
+        issues: issues.length,
+        byCheck,
+        ...summary
+      },
+      souls: souls.map(({ soulId, issues: soulIssues }) => ({ soulId, passed: soulIssues.length === 0, issues: soulIssues })),
+      checks: checks.map(({ name, issues: checkIssues, details }) => ({ name, passed: checkIssues.length === 0, details, issues: checkIssues }))
+    };
+  }
+
+  /**
+   * JUnit XML: a `souls` suite with one test case per soul and a `checks`
+   * suite with one per soul-independent check. A case with several issues
+   * gets a single <failure> listing all of them.
+   *
+   * @param {Record<string, unknown>} [summary]
+   */
+  toJUnit(summary = {}) {
+    const json = this.toJSON(summary);
+    const seconds = (json.durationMs / 1000).toFixed(3);
+    const suites = [
+      { name: 'souls', cases: json.souls.map(entry => ({ name: entry.soulId, issues: entry.issues })) },
+      { name: 'checks', cases: json.checks.map(entry => ({ name: entry.name, issues: entry.issues })) }
+    ].filter(suite => suite.cases.length);
+
+    const tests = suites.reduce((sum, suite) => sum + suite.cases.length, 0);
+    const failures = suites.reduce((sum, suite) => sum + suite.cases.filter(c => c.issues.length).length, 0);
+    const lines = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      `<testsuites name="${escapeXml(this.name)}" tests="${tests}" failures="${failures}" time="${seconds}" timestamp="${json.generatedAt}">`
+    ];
+    for (const suite of suites) {
+      const classname = `${this.name}.${suite.name}`;
+      const suiteFailures = suite.cases.filter(c => c.issues.length).length;
+      lines.push(`  <testsuite name="${classname}" tests="${suite.cases.length}" failures="${suiteFailures}">`);
+      for (const testCase of suite.cases) {
+        const open = `    <testcase classname="${classname}" name="${escapeXml(testCase.name)}"`;
+        if (!testCase.issues.length) {
+          lines.push(`${open}/>`);
+          continue;
+        }
+        const types = Array.from(new Set(testCase.issues.map(issue => issue.check))).join(',');
+        const message = testCase.issues.length === 1 ? testCase.issues[0].message : `${testCase.issues.length} issues`;
+        lines.push(`${open}>`);
+        lines.push(`      <failure type="${escapeXml(types)}" message="${escapeXml(message)}">${escapeXml(testCase.issues.map(issue => issue.message).join('\n'))}</failure>`);
+        lines.push('    </testcase>');
+      }
+      lines.push('  </testsuite>');
+    }
+    lines.push('</testsuites>');
+    return `${lines.join('\n')}\n`;
+  }
+
+  /**
+   * Writes the report atomically (temp file + rename), so server.js never
+   * serves a half-written file.
+   *
+   * @param {'json' | 'junit'} format
+   * @param {string} file
+   * @param {Record<string, unknown>} [summary]
+   */
+  async write(format, file, summary = {}) {
+    const body = format === 'junit' ? this.toJUnit(summary) : `${JSON.stringify(this.toJSON(summary), null, 2)}\n`;
+    await fs.promises.writeFile(`${file}.tmp`, body);
+    await fs.promises.rename(`${file}.tmp`, file);
+  }
+}
+
+/**
+ * In the repository root whatever directory the script runs from, so
+ * server.js finds the report it serves.
+ *
+ * @param {'parity' | 'validation'} name
+ * @param {'json' | 'junit'} format
+ * @returns {string} e.g. <repo>/parity-report.json
+ */
+function defaultReportPath(name, format) {
+  return path.resolve(__dirname, '..', '..', `${name}-report.${format === 'junit' ? 'xml' : 'json'}`);
+}
+
+/**
+ * Validates --format; returns null when it was not given.
+ *
+ * @param {unknown} value
+ * @returns {'json' | 'junit' | null}
+ */
+function parseReportFormat(value) {
+  if (value === undefined || value === null) return null;
+  const format = String(value).toLowerCase();
+  if (!REPORT_FORMATS.includes(format)) {
+    throw new Error(`--format must be one of ${REPORT_FORMATS.join(', ')}, got '${value}'`);
+  }
+  return /** @type {'json' | 'junit'} */ (format);
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    // Control characters other than tab and newline are not allowed in XML 1.0.
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '');
+}
+
+module.exports = { CHECK_TYPES, CheckReport, REPORT_FORMATS, defaultReportPath, parseReportFormat };
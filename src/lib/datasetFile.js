@@ -0,0 +1,213 @@
+/**
+ * datasetFile.js
+ *
+ * NDJSON snapshots of a seed Dataset, so the exact same data can be shared
+ * and loaded into either backend (seedData.js --export / --from).
+ *
+ *   {"type":"header","version":1,"seed":...,"counts":{...},...}
+ *   {"type":"soul","soulId":...,"status":...,"createdAt":"<iso>",...}
+ *   {"type":"event","soulId":...,"id":...,"eventTime":"<iso>",...}
+ *   {"type":"ledger","soulId":...,"id":...,"amount":...,"timestamp":"<iso>",...}
+ *
+ * Souls are each followed by their events, then come all ledger entries:
+ * the bulk loaders' order. The header's counts are checked on read so a
+ * truncated file fails instead of loading part of a dataset.
+ */
+
+const fs = require('fs');
+const readline = require('readline');
+const { once } = require('events');
+
+const FORMAT_VERSION = 1;
+
+/**
+ * @typedef {Object} DatasetHeader
+ * @property {number} version
+ * @property {number} [seed]
+ * @property {string} [profile]
+ * @property {string} [referenceTime]
+ * @property {number} [eventsPerSoul]
+ * @property {string} exportedAt
+ * @property {{ souls: number, events: number, ledgerEntries: number }} counts
+ */
+
+/**
+ * @param {string} filePath
+ * @param {import('./soulRepository').Dataset} dataset
+ * @param {{ seed?: number, profile?: string, referenceTime?: string, eventsPerSoul?: number }} [generator]
+ *   - how the dataset was generated, kept in the header for reference
+ * @returns {Promise<DatasetHeader>}
+ */
+async function writeDataset(filePath, { souls, ledgerEntries }, generator = {}) {
+  const header = {
+    type: 'header',
+    version: FORMAT_VERSION,
+    ...generator,
+    exportedAt: new Date().toISOString(),
+    counts: {
+      souls: souls.length,
+      events: souls.reduce((acc, soul) => acc + soul.events.length, 0),
+      ledgerEntries: ledgerEntries.length
+    }
+  };
+
+  const tmp = `${filePath}.tmp`;
+  const out = fs.createWriteStream(tmp);
+  const write = async record => {
+    if (!out.write(`${JSON.stringify(record)}\n`)) {
+      await once(out, 'drain');
+    }
+  };
+
+  try {
+    await write(header);
+    for (const soul of souls) {
+      await write({
+        type: 'soul',
+        soulId: soul.soulId,
+        status: soul.status,
+        soulType: soul.soulType,
+        contractLocation: soul.contractLocation,
+        createdAt: toIso(soul.createdAt),
+        updatedAt: soul.updatedAt ? toIso(soul.updatedAt) : undefined
+      });
+      for (const event of soul.events) {
+        await write({
+          type: 'event',
+          soulId: soul.soulId,
+          id: event.id,
+          eventTime: toIso(event.eventTime),
+          description: event.description,
+          eventType: event.eventType
+        });
+      }
+    }
+    for (const entry of ledgerEntries) {
+      await write({
+        type: 'ledger',
+        soulId: entry.soulId,
+        id: entry.id,
+        amount: entry.amount,
+        transactionType: entry.transactionType,
+        timestamp: toIso(entry.timestamp),
+        description: entry.description
+      });
+    }
+    out.end();
+    await once(out, 'finish');
+  } catch (err) {
+    out.destroy();
+    fs.rmSync(tmp, { force: true });
+    throw err;
+  }
+  fs.renameSync(tmp, filePath);
+
+  const { type, ...rest } = header;
+  return rest;
+}
+
+/**
+ * Streams a snapshot back into a Dataset. Each soul's `ledgerEntries` is
+ * rebuilt from the ledger records, as prepareDataset() fills it.
+ *
+ * @param {string} filePath
+ * @returns {Promise<{ header: DatasetHeader, dataset: import('./soulRepository').Dataset }>}
+ */
+async function readDataset(filePath) {
+  const lines = readline.createInterface({ input: fs.createReadStream(filePath), crlfDelay: Infinity });
+  const souls = [];
+  const ledgerEntries = [];
+  const bySoulId = new Map();
+  let header = null;
+  let events = 0;
+  let lineNumber = 0;
+
+  const fail = message => new Error(`${filePath}:${lineNumber}: ${message}`);
+  const soulFor = record => {
+    const soul = bySoulId.get(record.soulId);
+    if (!soul) throw fail(`${record.type} for unknown soul '${record.soulId}'`);
+    return soul;
+  };
+
+  for await (const line of lines) {
+    lineNumber += 1;
+    if (!line.trim()) continue;
+
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch (err) {
+      throw fail(`invalid JSON (${err.message})`);
+    }
+
+    if (!header) {
+      if (record.type !== 'header') throw fail('expected a header record first');
+      if (record.version !== FORMAT_VERSION) throw fail(`unsupported dataset version ${record.version}`);
+      const { type, ...rest } = record;
+      header = rest;
+      continue;
+    }
+
+    if (record.type === 'soul') {
+      if (bySoulId.has(record.soulId)) throw fail(`duplicate soul '${record.soulId}'`);
+      const soul = {
+        soulId: record.soulId,
+        status: record.status,
+        soulType: record.soulType,
+        contractLocation: record.contractLocation,
+        createdAt: toDate(record.createdAt, fail),
+        updatedAt: record.updatedAt ? toDate(record.updatedAt, fail) : undefined,
+        events: [],
+        ledgerEntries: []
+      };
+      bySoulId.set(soul.soulId, soul);
+      souls.push(soul);
+    } else if (record.type === 'event') {
+      soulFor(record).events.push({
+        id: record.id,
+        eventTime: toDate(record.eventTime, fail),
+        description: record.description,
+        eventType: record.eventType
+      });
+      events += 1;
+    } else if (record.type === 'ledger') {
+      const soul = soulFor(record);
+      const entry = {
+        id: record.id,
+        soulId: record.soulId,
+        amount: record.amount,
+        transactionType: record.transactionType,
+        timestamp: toDate(record.timestamp, fail),
+        description: record.description
+      };
+      ledgerEntries.push(entry);
+      soul.ledgerEntries.push(entry);
+    } else {
+      throw fail(`unknown record type '${record.type}'`);
+    }
+  }
+
+  if (!header) {
+    throw new Error(`${filePath} is empty`);
+  }
+  const actual = { souls: souls.length, events, ledgerEntries: ledgerEntries.length };
+  const expected = header.counts || {};
+  for (const key of Object.keys(actual)) {
+    if (expected[key] !== actual[key]) {
+      throw new Error(`${filePath}: header lists ${expected[key]} ${key} but the file has ${actual[key]} (truncated?)`);
+    }
+  }
+  return { header, dataset: { souls, ledgerEntries } };
+}
+
+function toIso(value) {
+  return value instanceof Date ? value.toISOString() : new Date(value).toISOString();
+}
+
+function toDate(value, fail) {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) throw fail(`invalid timestamp '${value}'`);
+  return date;
+}
+
+module.exports = { writeDataset, readDataset };
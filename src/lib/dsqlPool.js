@@ -0,0 +1,256 @@
+/**
+ * dsqlPool.js
+ *
+ * The one way to open Aurora DSQL connections. Exports a pg.Pool whose
+ * password is an async token provider, so every new physical connection
+ * authenticates with a cached IAM token that is re-signed shortly before it
+ * expires — reconnects after an idle timeout or a dropped socket never reuse
+ * a stale token.
+ *
+ * Environment:
+ *   DSQL_ENDPOINT                  cluster hostname (required)
+ *   AWS_REGION                     signing region (default us-east-1)
+ *   DSQL_USER                      database role (default admin); any other
+ *                                  role signs with getDbConnectAuthToken and
+ *                                  needs dsql:DbConnect instead of
+ *                                  dsql:DbConnectAdmin
+ *   DSQL_DATABASE                  default postgres
+ *   DSQL_TOKEN_TTL_SECONDS         token lifetime (default 900)
+ *   DSQL_POOL_MAX                  pool size (default 10)
+ *   DSQL_SSL_CA_FILE               PEM bundle to trust instead of the
+ *                                  Amazon roots shipped with Node
+ *   DSQL_INSECURE_SKIP_TLS_VERIFY  "true" disables certificate verification
+ *
+ * In local mode (see environment.js) the pool connects to plain PostgreSQL
+ * at LOCAL_DATABASE_URL instead.
+ *
+ * TIMESTAMP (without time zone) columns hold UTC wall time: DSQL sessions
+ * run in UTC and the repository writes UTC. pg would read them as local
+ * time, so the pool parses them as UTC instead (utcTimestampTypes).
+ */
+
+const fs = require('fs');
+const tls = require('tls');
+const { X509Certificate } = require('crypto');
+const { DsqlSigner } = require('@aws-sdk/dsql-signer');
+const { Pool, types } = require('pg');
+const { isLocal, localDatabaseUrl } = require('./environment');
+
+const ADMIN_USER = 'admin';
+const TOKEN_REFRESH_MARGIN_MS = 60_000;
+// DSQL closes connections after one hour; recycle them a little earlier.
+const MAX_CONNECTION_LIFETIME_SECONDS = 55 * 60;
+const TIMESTAMP_OID = 1114;
+const TIMESTAMPTZ_OID = 1184;
+
+/**
+ * Thrown (as the connect error) when an IAM token cannot be signed, so
+ * callers can tell credential problems apart from database failures.
+ */
+class AuthTokenError extends Error {
+  constructor(message, cause) {
+    super(message);
+    this.name = 'AuthTokenError';
+    this.cause = cause;
+  }
+}
+
+/**
+ * @typedef {Object} DsqlPoolOptions
+ * @property {string} [endpoint]
+ * @property {string} [region]
+ * @property {string} [user]
+ * @property {string} [database]
+ * @property {number} [max]
+ * @property {number} [idleTimeoutMillis] - pg's idle timeout (default
+ *   10 000 ms); 0 keeps idle connections until maxLifetimeSeconds
+ * @property {number} [tokenTtlSeconds]
+ * @property {string} [caFile]
+ * @property {boolean} [insecureSkipTlsVerify]
+ */
+
+/**
+ * @param {DsqlPoolOptions} [options]
+ * @returns {Required<Omit<DsqlPoolOptions, 'caFile' | 'idleTimeoutMillis'>> & { caFile?: string }}
+ */
+function resolveOptions(options = {}) {
+  const endpoint = options.endpoint || process.env.DSQL_ENDPOINT;
+  if (!endpoint) {
+    throw new Error('DSQL_ENDPOINT is not defined in the environment');
+  }
+  return {
+    endpoint,
+    region: options.region || process.env.AWS_REGION || 'us-east-1',
+    user: options.user || process.env.DSQL_USER || ADMIN_USER,
+    database: options.database || process.env.DSQL_DATABASE || 'postgres',
+    max: options.max ?? parsePositiveInt(process.env.DSQL_POOL_MAX, 10),
+    tokenTtlSeconds: options.tokenTtlSeconds ?? parsePositiveInt(process.env.DSQL_TOKEN_TTL_SECONDS, 900),
+    caFile: options.caFile || process.env.DSQL_SSL_CA_FILE || undefined,
+    insecureSkipTlsVerify: options.insecureSkipTlsVerify ?? process.env.DSQL_INSECURE_SKIP_TLS_VERIFY === 'true'
+  };
+}
+
+/**
+ * Returns a function that yields an IAM auth token for `user`, signing a new
+ * one only when the cached token is within a minute of expiring. `stats`
+ * records how long the most recent call spent signing (0 when cached).
+ *
+ * @param {{ endpoint: string, region: string, user: string, tokenTtlSeconds: number }} options
+ */
+function createTokenProvider({ endpoint, region, user, tokenTtlSeconds }) {
+  const signer = new DsqlSigner({ hostname: endpoint, region, expiresIn: tokenTtlSeconds });
+  let cached = null;
+  let pending = null;
+  const stats = { lastSignMs: 0, signed: 0 };
+
+  const getToken = async () => {
+    if (cached && cached.expiresAt - TOKEN_REFRESH_MARGIN_MS > Date.now()) {
+      stats.lastSignMs = 0;
+      return cached.value;
+    }
+    // Connections opened in parallel share one signing call.
+    if (!pending) {
+      const started = Date.now();
+      pending = (user === ADMIN_USER ? signer.getDbConnectAdminAuthToken() : signer.getDbConnectAuthToken())
+        .then(value => {
+          cached = { value, expiresAt: started + tokenTtlSeconds * 1000 };
+          stats.lastSignMs = Date.now() - started;
+          stats.signed += 1;
+          return value;
+        }, err => {
+          throw new AuthTokenError(`Failed to generate auth token for DSQL user '${user}'`, err);
+        })
+        .finally(() => {
+          pending = null;
+        });
+    }
+    return pending;
+  };
+  getToken.stats = stats;
+  return getToken;
+}
+
+/**
+ * The pg `ssl` option. Certificates are verified against the Amazon Trust
+ * Services roots (plus the Starfield root that cross-signs them) unless a CA
+ * file is given; `insecureSkipTlsVerify` keeps TLS but skips verification.
+ *
+ * @param {{ caFile?: string, insecureSkipTlsVerify?: boolean }} options
+ */
+function resolveSslConfig({ caFile, insecureSkipTlsVerify }) {
+  if (insecureSkipTlsVerify) {
+    console.warn('⚠️  DSQL_INSECURE_SKIP_TLS_VERIFY is set: the DSQL server certificate will not be verified');
+    return { rejectUnauthorized: false };
+  }
+  const ca = caFile ? fs.readFileSync(caFile, 'utf8') : amazonRootCertificates();
+  return { rejectUnauthorized: true, ca };
+}
+
+let amazonRoots = null;
+
+function amazonRootCertificates() {
+  if (!amazonRoots) {
+    amazonRoots = tls.rootCertificates.filter(pem => {
+      const { subject } = new X509Certificate(pem);
+      return /^O=Amazon$/m.test(subject) || /CN=Starfield Services Root Certificate Authority - G2/.test(subject);
+    });
+    if (!amazonRoots.length) {
+      throw new Error('No Amazon root CAs in this Node.js build; set DSQL_SSL_CA_FILE to a PEM bundle');
+    }
+  }
+  return amazonRoots;
+}
+
+/**
+ * Reads TIMESTAMP text as UTC by handing it to the TIMESTAMPTZ parser with
+ * a +00 offset; 'infinity' and '-infinity' pass through unchanged.
+ *
+ * @param {string} value
+ */
+function parseUtcTimestamp(value) {
+  return types.getTypeParser(TIMESTAMPTZ_OID, 'text')(value.endsWith('infinity') ? value : `${value}+00`);
+}
+
+/** The pool's `types`: pg's parsers, except TIMESTAMP is read as UTC. */
+const utcTimestampTypes = {
+  getTypeParser(oid, format = 'text') {
+    return oid === TIMESTAMP_OID && format === 'text' ? parseUtcTimestamp : types.getTypeParser(oid, format);
+  }
+};
+
+/**
+ * @param {DsqlPoolOptions} [options]
+ * @returns {import('pg').Pool & { tokenStats: { lastSignMs: number, signed: number } }}
+ */
+function createDsqlPool(options = {}) {
+  const { config, tokenStats } = isLocal() ? localPoolConfig(options) : dsqlPoolConfig(options);
+  const pool = new Pool(config);
+  // Idle clients can lose their socket; without a listener that error
+  // would crash the process. The pool drops the client and reconnects.
+  pool.on('error', err => {
+    console.warn('⚠️  Idle DSQL connection error:', err.message);
+  });
+  return Object.assign(pool, { tokenStats });
+}
+
+/**
+ * @param {DsqlPoolOptions} options
+ * @returns {{ config: import('pg').PoolConfig, tokenStats: { lastSignMs: number, signed: number } }}
+ */
+function dsqlPoolConfig(options) {
+  const resolved = resolveOptions(options);
+  const getToken = createTokenProvider(resolved);
+  return {
+    config: {
+      host: resolved.endpoint,
+      port: 5432,
+      user: resolved.user,
+      database: resolved.database,
+      password: getToken,
+      ssl: resolveSslConfig(resolved),
+      max: resolved.max,
+      ...idleTimeout(options),
+      maxLifetimeSeconds: MAX_CONNECTION_LIFETIME_SECONDS,
+      types: utcTimestampTypes
+    },
+    tokenStats: getToken.stats
+  };
+}
+
+/**
+ * Local mode (lib/environment): a plain PostgreSQL pool with the password
+ * from LOCAL_DATABASE_URL. The endpoint, role and TLS options are ignored.
+ * The session runs in UTC like DSQL's, so NOW() stores UTC wall time.
+ *
+ * @param {DsqlPoolOptions} options
+ */
+function localPoolConfig(options) {
+  return {
+    config: {
+      connectionString: localDatabaseUrl(),
+      max: options.max ?? parsePositiveInt(process.env.DSQL_POOL_MAX, 10),
+      ...idleTimeout(options),
+      options: '-c TimeZone=UTC',
+      types: utcTimestampTypes
+    },
+    tokenStats: { lastSignMs: 0, signed: 0 }
+  };
+}
+
+// Left out unless given, so pg keeps its own default.
+function idleTimeout({ idleTimeoutMillis }) {
+  return idleTimeoutMillis === undefined ? {} : { idleTimeoutMillis };
+}
+
+function parsePositiveInt(value, fallback) {
+  const parsed = value ? parseInt(value, 10) : NaN;
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+}
+
+module.exports = {
+  AuthTokenError,
+  createDsqlPool,
+  createTokenProvider,
+  resolveSslConfig,
+  utcTimestampTypes
+};
@@ -0,0 +1,89 @@
+/**
+ * dsqlRetry.js
+ *
+ * Aurora DSQL is optimistic: conflicting writers only find out at COMMIT
+ * (SQLSTATE 40001, OC000 data conflict / OC001 schema conflict). Those
+ * transactions are safe to replay from the top, so callers wrap them in
+ * withOccRetry, which retries with bounded, full-jitter exponential backoff.
+ *
+ * Defaults come from DSQL_MAX_ATTEMPTS, DSQL_RETRY_BASE_MS and
+ * DSQL_RETRY_MAX_MS.
+ */
+
+const DEFAULT_RETRY = {
+  maxAttempts: parsePositiveInt(process.env.DSQL_MAX_ATTEMPTS, 5),
+  baseMs: parsePositiveInt(process.env.DSQL_RETRY_BASE_MS, 50),
+  maxMs: parsePositiveInt(process.env.DSQL_RETRY_MAX_MS, 2000)
+};
+
+/**
+ * @param {any} err
+ * @returns {boolean}
+ */
+function isRetryableConflict(err) {
+  if (!err) return false;
+  if (err.code === '40001') return true;
+  return /\bOC00[01]\b/.test(String(err.message || ''));
+}
+
+/**
+ * Full jitter: a uniform delay between 0 and the capped exponential ceiling.
+ *
+ * @param {number} attempt - 1-based attempt that just failed
+ * @param {{ baseMs: number, maxMs: number }} [options]
+ * @returns {number}
+ */
+function backoffDelay(attempt, { baseMs, maxMs } = DEFAULT_RETRY) {
+  const ceiling = Math.min(maxMs, baseMs * 2 ** (attempt - 1));
+  return Math.floor(Math.random() * ceiling);
+}
+
+/**
+ * Runs `fn` until it succeeds, it throws something that is not an OCC
+ * conflict, or the attempt budget is spent. `fn` must roll back its own
+ * transaction before throwing. The error thrown on give-up carries
+ * `attempts`.
+ *
+ * @template T
+ * @param {(attempt: number) => Promise<T>} fn
+ * @param {{ maxAttempts?: number, baseMs?: number, maxMs?: number, label?: string }} [options]
+ * @returns {Promise<{ result: T, attempts: number }>}
+ */
+async function withOccRetry(fn, options = {}) {
+  const { maxAttempts, baseMs, maxMs } = { ...DEFAULT_RETRY, ...options };
+  let attempts = 0;
+  while (true) {
+    attempts += 1;
+    try {
+      const result = await fn(attempts);
+      return { result, attempts };
+    } catch (err) {
+      if (!isRetryableConflict(err) || attempts >= maxAttempts) {
+        if (err && typeof err === 'object') err.attempts = attempts;
+        throw err;
+      }
+      const delay = backoffDelay(attempts, { baseMs, maxMs });
+      console.warn(
+        `⚠️  ${options.label || 'DSQL'} OCC conflict on attempt ${attempts}/${maxAttempts} (${err.code || 'no code'}), retrying in ${delay} ms…`
+      );
+      await sleep(delay);
+    }
+  }
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function parsePositiveInt(value, fallback) {
+  const parsed = value ? parseInt(value, 10) : NaN;
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+}
+
+module.exports = {
+  DEFAULT_RETRY,
+  isRetryableConflict,
+  backoffDelay,
+  withOccRetry,
+  sleep
+};
@@ -0,0 +1,823 @@
+/**
+ * dsqlSoulRepository.js
+ *
+ * SoulRepository adapter for the normalized Aurora DSQL schema:
+ *
+ *   soul_contracts        (id, contract_status, soul_type, contract_location, updated_at)
+ *   soul_contract_events  (id, soul_contract_id, event_time, description)
+ *   soul_ledger           (id, soul_contract_id, amount, transaction_time, description, transaction_type)
+ *   idempotency_keys      (idempotency_key, request_hash, status_code, response_body, ...)
+ *
+ * Takes either a connected pg Client or a pg Pool. Transactions check a
+ * client out of the pool for their whole BEGIN/COMMIT and are replayed on
+ * OCC conflicts through withOccRetry.
+ *
+ * TIMESTAMP columns hold UTC wall time. Writes go through toTimestampParam,
+ * and pools from lib/dsqlPool read the columns back as UTC.
+ */
+
+const { randomUUID } = require('crypto');
+const { Pool } = require('pg');
+const { runBatches, chunk } = require('./batches');
+const { summarizeLocations } = require('./analytics');
+const { ARTIFACT_PREFIX } = require('./benchmarkArtifacts');
+const { InvalidPageRequestError, decodeCursor, encodeCursor } = require('./pagination');
+const { entryKey } = require('./parityRepair');
+const { canTransition } = require('./soulStatus');
+const { withOccRetry } = require('./dsqlRetry');
+
+// DSQL rejects transactions that modify more than 3,000 rows.
+const TRANSACTION_ROW_LIMIT = 3000;
+
+const CONTRACT_COLUMNS = 'id, contract_status, soul_type, contract_location, updated_at';
+// Sort key for keysetPage; updated_at has no NOT NULL constraint.
+const UPDATED_AT_KEY = "COALESCE(updated_at, '-infinity'::timestamp)";
+const DEFAULT_BULK_BATCH_ROWS = 1000;
+const DEFAULT_PURGE_CHUNK_ROWS = 1000;
+const ZONE_SUFFIX = /(?:Z|[+-]\d{2}(?::?\d{2})?)$/i;
+
+const BULK_TABLES = {
+  soul_contracts: {
+    columns: CONTRACT_COLUMNS,
+    width: 5,
+    onConflict: `ON CONFLICT (id) DO UPDATE SET
+      contract_status = EXCLUDED.contract_status,
+      soul_type = EXCLUDED.soul_type,
+      contract_location = EXCLUDED.contract_location,
+      updated_at = EXCLUDED.updated_at`
+  },
+  // Seeded rows carry stable ids, so a replayed batch skips what it
+  // already wrote.
+  soul_contract_events: {
+    columns: 'id, soul_contract_id, event_time, description',
+    width: 4,
+    onConflict: 'ON CONFLICT (id) DO NOTHING'
+  },
+  soul_ledger: {
+    columns: 'id, soul_contract_id, amount, transaction_time, description, transaction_type',
+    width: 6,
+    onConflict: 'ON CONFLICT (id) DO NOTHING'
+  }
+};
+
+class DsqlSoulRepository {
+  /**
+   * @param {import('pg').Client | import('pg').Pool} db
+   */
+  constructor(db) {
+    this.backend = 'dsql';
+    this.db = db;
+  }
+
+  /**
+   * Escape hatch for DSQL-only queries (e.g. window-function analytics) that
+   * have no DynamoDB counterpart.
+   *
+   * @param {string} text
+   * @param {unknown[]} [params]
+   */
+  query(text, params) {
+    return this.db.query(text, params);
+  }
+
+  /**
+   * @param {string} soulId
+   * @returns {Promise<import('./soulRepository').SoulProfile | null>}
+   */
+  async getProfile(soulId) {
+    const contractResult = await this.db.query(
+      `SELECT ${CONTRACT_COLUMNS} FROM soul_contracts WHERE id = $1;`,
+      [soulId]
+    );
+    const contract = contractResult.rows[0];
+    if (!contract) return null;
+
+    const [eventsResult, ledgerResult] = await Promise.all([
+      this.db.query(
+        `SELECT event_time, description
+           FROM soul_contract_events
+          WHERE soul_contract_id = $1
+          ORDER BY event_time;`,
+        [soulId]
+      ),
+      this.db.query(
+        `SELECT transaction_time, amount, description, transaction_type
+           FROM soul_ledger
+          WHERE soul_contract_id = $1
+          ORDER BY transaction_time;`,
+        [soulId]
+      )
+    ]);
+
+    const ledger = ledgerResult.rows.map(toLedgerEntry);
+
+    return {
+      soulId,
+      contract: toContractSummary(contract),
+      events: eventsResult.rows.map(toEventEntry),
+      ledger,
+      powerBalance: ledger.reduce((sum, entry) => sum + (entry.amount ?? 0), 0),
+      stats: { queries: 3, rows: 1 + eventsResult.rows.length + ledgerResult.rows.length }
+    };
+  }
+
+  /**
+   * @param {string} soulId
+   * @returns {Promise<import('./pagination').ContractSummary | null>}
+   */
+  async getContract(soulId) {
+    const result = await this.db.query(
+      `SELECT ${CONTRACT_COLUMNS} FROM soul_contracts WHERE id = $1;`,
+      [soulId]
+    );
+    return result.rows[0] ? toContractSummary(result.rows[0]) : null;
+  }
+
+  /**
+   * One `= ANY($1)` query. Order follows `soulIds`; missing souls are left out.
+   *
+   * @param {string[]} soulIds
+   * @returns {Promise<import('./pagination').ContractSummary[]>}
+   */
+  async getContracts(soulIds) {
+    const result = await this.db.query(
+      `SELECT ${CONTRACT_COLUMNS} FROM soul_contracts WHERE id = ANY($1::text[]);`,
+      [soulIds]
+    );
+    const found = new Map(result.rows.map(row => [row.id, toContractSummary(row)]));
+    return soulIds.filter(id => found.has(id)).map(id => found.get(id));
+  }
+
+  /**
+   * Every soul as a SoulProfile, in id order: a keyset cursor over
+   * soul_contracts reads `batchSize` contracts at a time, then their events
+   * and ledger rows in one `= ANY($1)` query each.
+   *
+   * @param {{
+   *   batchSize?: number,
+   *   onProfile: (profile: import('./soulRepository').SoulProfile) => void
+   * }} options
+   * @returns {Promise<{ souls: number, queries: number, elapsedMs: number }>}
+   */
+  async scanProfiles({ batchSize = 500, onProfile }) {
+    let after = null;
+    let souls = 0;
+    let queries = 0;
+    const started = Date.now();
+
+    for (;;) {
+      const contracts = await this.db.query(
+        `SELECT ${CONTRACT_COLUMNS}
+           FROM soul_contracts
+          ${after === null ? '' : 'WHERE id > $2'}
+          ORDER BY id
+          LIMIT $1;`,
+        after === null ? [batchSize] : [batchSize, after]
+      );
+      queries += 1;
+      if (contracts.rows.length === 0) break;
+
+      const ids = contracts.rows.map(row => row.id);
+      const [eventsResult, ledgerResult] = await Promise.all([
+        this.db.query(
+          `SELECT soul_contract_id, event_time, description
+             FROM soul_contract_events
+            WHERE soul_contract_id = ANY($1::text[])
+            ORDER BY soul_contract_id, event_time;`,
+          [ids]
+        ),
+        this.db.query(
+          `SELECT soul_contract_id, transaction_time, amount, description, transaction_type
+             FROM soul_ledger
+            WHERE soul_contract_id = ANY($1::text[])
+            ORDER BY soul_contract_id, transaction_time;`,
+          [ids]
+        )
+      ]);
+      queries += 2;
+
+      const events = groupBy(eventsResult.rows, 'soul_contract_id');
+      const ledgers = groupBy(ledgerResult.rows, 'soul_contract_id');
+      for (const row of contracts.rows) {
+        const ledger = (ledgers.get(row.id) || []).map(toLedgerEntry);
+        onProfile({
+          soulId: row.id,
+          contract: toContractSummary(row),
+          events: (events.get(row.id) || []).map(toEventEntry),
+          ledger,
+          powerBalance: ledger.reduce((sum, entry) => sum + (entry.amount ?? 0), 0),
+          stats: { queries: 0, rows: 0 }
+        });
+        souls += 1;
+      }
+
+      if (contracts.rows.length < batchSize) break;
+      after = ids[ids.length - 1];
+    }
+
+    return { souls, queries, elapsedMs: Date.now() - started };
+  }
+
+  /**
+   * Moves a contract to `newStatus` and records an event and a ledger entry
+   * in one transaction, replayed on OCC conflicts. The current status is
+   * read FOR UPDATE so a concurrent change to the same contract fails this
+   * transaction at COMMIT instead of slipping past the state-machine check.
+   * Two concurrent requests with the same idempotency key both insert its
+   * row, so the loser gets an OCC conflict, retries, and then finds the
+   * winner's response.
+   *
+   * @param {import('./soulRepository').StatusUpdate} update
+   * @returns {Promise<import('./soulRepository').UpdateOutcome>}
+   */
+  async updateStatus({ soulId, newStatus, amount, idempotency, descriptionPrefix = '' }) {
+    const { result, attempts } = await withOccRetry(() => this.transaction(async client => {
+      if (idempotency) {
+        const existing = await client.query(
+          `SELECT request_hash, status_code, response_body
+             FROM idempotency_keys
+            WHERE idempotency_key = $1
+              AND expires_at > NOW();`,
+          [idempotency.key]
+        );
+        const row = existing.rows[0];
+        if (row) {
+          return {
+            kind: 'replay',
+            stored: { requestHash: row.request_hash, statusCode: row.status_code, body: row.response_body }
+          };
+        }
+      }
+
+      const current = await client.query(
+        'SELECT contract_status FROM soul_contracts WHERE id = $1 FOR UPDATE;',
+        [soulId]
+      );
+      const currentStatus = current.rows[0] ? current.rows[0].contract_status ?? null : null;
+      if (!canTransition(currentStatus, newStatus)) {
+        return { kind: 'illegal-transition', currentStatus };
+      }
+
+      await client.query(
+        `INSERT INTO soul_contracts(id, contract_status, updated_at)
+           VALUES($1, $2, NOW())
+           ON CONFLICT(id) DO UPDATE
+             SET contract_status = EXCLUDED.contract_status,
+                 updated_at      = EXCLUDED.updated_at;`,
+        [soulId, newStatus]
+      );
+      await client.query(
+        `INSERT INTO soul_contract_events(id, soul_contract_id, event_time, description)
+           VALUES(gen_random_uuid(), $1, NOW(), $2);`,
+        [soulId, `${descriptionPrefix}Contract updated to '${newStatus}'`]
+      );
+      await client.query(
+        `INSERT INTO soul_ledger(id, soul_contract_id, amount, transaction_time, description)
+           VALUES(gen_random_uuid(), $1, $2, NOW(), $3);`,
+        [soulId, amount, `${descriptionPrefix}Financial transaction: ${newStatus}`]
+      );
+
+      if (idempotency) {
+        await client.query(
+          `INSERT INTO idempotency_keys(idempotency_key, request_hash, status_code, response_body, created_at, expires_at)
+             VALUES($1, $2, 200, $3, NOW(), NOW() + $4::int * INTERVAL '1 second')
+             ON CONFLICT(idempotency_key) DO UPDATE
+               SET request_hash  = EXCLUDED.request_hash,
+                   status_code   = EXCLUDED.status_code,
+                   response_body = EXCLUDED.response_body,
+                   created_at    = EXCLUDED.created_at,
+                   expires_at    = EXCLUDED.expires_at;`,
+          [idempotency.key, idempotency.requestHash, idempotency.body, idempotency.windowSeconds]
+        );
+      }
+      return { kind: 'committed' };
+    }), { label: `updateStatus(${soulId})` });
+    return { ...result, attempts };
+  }
+
+  /**
+   * Touches the contract's updated_at and adds an event, atomically.
+   *
+   * @param {string} soulId
+   * @param {{ description: string, timestamp?: string }} event
+   */
+  async appendEvent(soulId, { description, timestamp }) {
+    const at = toTimestampParam(timestamp);
+    await withOccRetry(() => this.transaction(async client => {
+      const touched = await client.query(
+        'UPDATE soul_contracts SET updated_at = COALESCE($2::timestamp, NOW()) WHERE id = $1;',
+        [soulId, at]
+      );
+      if (!touched.rowCount) throw new Error(`Soul '${soulId}' not found`);
+      await client.query(
+        `INSERT INTO soul_contract_events(id, soul_contract_id, event_time, description)
+           VALUES(gen_random_uuid(), $1, COALESCE($2::timestamp, NOW()), $3);`,
+        [soulId, at, description]
+      );
+    }), { label: `appendEvent(${soulId})` });
+  }
+
+  /**
+   * @param {string} soulId
+   * @param {{ amount: number, description: string, timestamp?: string }} entry
+   */
+  async appendLedger(soulId, { amount, description, timestamp }) {
+    await withOccRetry(() => this.transaction(async client => {
+      const contract = await client.query('SELECT id FROM soul_contracts WHERE id = $1;', [soulId]);
+      if (!contract.rows.length) throw new Error(`Soul '${soulId}' not found`);
+      await client.query(
+        `INSERT INTO soul_ledger(id, soul_contract_id, amount, transaction_time, description)
+           VALUES(gen_random_uuid(), $1, $2, COALESCE($3::timestamp, NOW()), $4);`,
+        [soulId, amount, toTimestampParam(timestamp), description]
+      );
+    }), { label: `appendLedger(${soulId})` });
+  }
+
+  /**
+   * @param {string} status
+   * @param {{ limit: number, cursor?: string }} page
+   */
+  listByStatus(status, page) {
+    return this.keysetPage('contract_status', status, page);
+  }
+
+  /**
+   * @param {string} location
+   * @param {{ limit: number, cursor?: string }} page
+   */
+  listByLocation(location, page) {
+    return this.keysetPage('contract_location', location, page);
+  }
+
+  /**
+   * Every contract, keyset-paginated on id.
+   *
+   * @param {{ limit: number, cursor?: string }} page
+   * @returns {Promise<import('./pagination').Page<import('./pagination').ContractSummary>>}
+   */
+  async listContracts({ limit, cursor }) {
+    const after = decodeCursor(cursor);
+    if (after && typeof after.id !== 'string') {
+      throw new InvalidPageRequestError('cursor is invalid');
+    }
+    const params = [limit + 1];
+    if (after) params.push(after.id);
+    const result = await this.db.query(
+      `SELECT ${CONTRACT_COLUMNS}
+         FROM soul_contracts
+        ${after ? 'WHERE id > $2' : ''}
+        ORDER BY id
+        LIMIT $1;`,
+      params
+    );
+    const rows = result.rows.slice(0, limit);
+    const last = rows[rows.length - 1];
+    return {
+      items: rows.map(toContractSummary),
+      count: rows.length,
+      nextCursor: result.rows.length > limit && last ? encodeCursor({ id: last.id }) : null
+    };
+  }
+
+  /**
+   * Per-location soul count, redemptions and power in one GROUP BY. Ledger
+   * totals are summed per soul first so souls with many ledger rows are not
+   * counted once per row in soul_count.
+   *
+   * @returns {Promise<import('./analytics').AnalyticsReport>}
+   */
+  async locationAnalytics() {
+    const result = await this.db.query(
+      `WITH ledger_totals AS (
+         SELECT soul_contract_id, SUM(amount) AS total_power_per_soul
+           FROM soul_ledger
+          GROUP BY soul_contract_id
+       )
+       SELECT sc.contract_location,
+              COUNT(*) AS soul_count,
+              COUNT(CASE WHEN sc.contract_status = 'Redeemed' THEN 1 END) AS redeemed,
+              SUM(COALESCE(lt.total_power_per_soul, 0)) AS total_power
+         FROM soul_contracts sc
+         LEFT JOIN ledger_totals lt ON lt.soul_contract_id = sc.id
+        GROUP BY sc.contract_location;`
+    );
+    return {
+      strategy: 'sql-group-by',
+      roundTrips: 1,
+      locations: summarizeLocations(
+        result.rows.map(row => ({
+          location: row.contract_location ?? null,
+          soulCount: Number(row.soul_count),
+          redeemed: Number(row.redeemed),
+          totalPower: Number(row.total_power)
+        }))
+      )
+    };
+  }
+
+  /**
+   * Writes a generated dataset in batches of multi-row INSERTs, one batch
+   * per transaction (kept under DSQL's row limit). With a Pool, up to
+   * `concurrency` batches commit in parallel on separate connections; each
+   * batch is replayed on OCC conflicts.
+   *
+   * Rows are written contract, its events, ..., then ledger entries.
+   * `startOffset` skips that many rows and `onCheckpoint` reports how many
+   * are committed without gaps, so an interrupted load can be resumed.
+   * Replayed rows are upserts or ON CONFLICT DO NOTHING, never duplicates.
+   *
+   * @param {import('./soulRepository').Dataset} dataset
+   * @param {{
+   *   onProgress?: (written: number, total: number) => void,
+   *   onCheckpoint?: (committed: number) => void,
+   *   startOffset?: number,
+   *   batchRows?: number,
+   *   concurrency?: number
+   * }} [options]
+   * @returns {Promise<{ rows: number, transactions: number, retries: number, elapsedMs: number }>}
+   */
+  async bulkLoad({ souls, ledgerEntries }, {
+    onProgress,
+    onCheckpoint,
+    startOffset = 0,
+    batchRows = DEFAULT_BULK_BATCH_ROWS,
+    concurrency = 1
+  } = {}) {
+    if (!Number.isInteger(batchRows) || batchRows < 1 || batchRows >= TRANSACTION_ROW_LIMIT) {
+      throw new RangeError(`batchRows must be between 1 and ${TRANSACTION_ROW_LIMIT - 1}`);
+    }
+    const rows = [];
+    for (const soul of souls) {
+      rows.push(['soul_contracts', [
+        soul.soulId,
+        soul.status,
+        soul.soulType,
+        soul.contractLocation,
+        toTimestampParam(soul.updatedAt || soul.createdAt)
+      ]]);
+      for (const event of soul.events) {
+        rows.push(['soul_contract_events', [event.id || randomUUID(), soul.soulId, toTimestampParam(event.eventTime), event.description]]);
+      }
+    }
+    for (const entry of ledgerEntries) {
+      rows.push(['soul_ledger', [
+        entry.id || randomUUID(),
+        entry.soulId,
+        entry.amount,
+        toTimestampParam(entry.timestamp),
+        entry.description,
+        entry.transactionType ?? null
+      ]]);
+    }
+
+    const batches = chunk(rows.slice(startOffset), batchRows);
+    let retries = 0;
+    const started = Date.now();
+    const { written } = await runBatches(batches, {
+      // A single Client can only run one transaction at a time.
+      concurrency: this.db instanceof Pool ? concurrency : 1,
+      startOffset,
+      onProgress,
+      onCheckpoint,
+      run: async batch => {
+        const { attempts } = await withOccRetry(() => this.transaction(async client => {
+          for (const { text, values } of multiRowInserts(batch)) {
+            await client.query(text, values);
+          }
+        }), { label: 'Bulk load batch' });
+        retries += attempts - 1;
+      }
+    });
+
+    return { rows: written, transactions: batches.length, retries, elapsedMs: Date.now() - started };
+  }
+
+  /**
+   * Deletes rows in chunks of `chunkRows`, one transaction per chunk (DSQL
+   * has no TRUNCATE and caps a transaction at 3,000 rows). Each chunk is
+   * picked by keyset on id and replayed on OCC conflicts. A full purge
+   * empties events and ledger before contracts; with
+   * `onlyBenchmarkArtifacts` only benchmark/demo rows go and contracts stay.
+   *
+   * @param {{
+   *   onlyBenchmarkArtifacts?: boolean,
+   *   chunkRows?: number,
+   *   onProgress?: (table: string, deleted: number) => void
+   * }} [options]
+   * @returns {Promise<{ deleted: Record<string, number>, transactions: number, retries: number, elapsedMs: number }>}
+   */
+  async purge({ onlyBenchmarkArtifacts = false, chunkRows = DEFAULT_PURGE_CHUNK_ROWS, onProgress } = {}) {
+    if (!Number.isInteger(chunkRows) || chunkRows < 1 || chunkRows >= TRANSACTION_ROW_LIMIT) {
+      throw new RangeError(`chunkRows must be between 1 and ${TRANSACTION_ROW_LIMIT - 1}`);
+    }
+    const plan = onlyBenchmarkArtifacts
+      ? [
+        // ARTIFACT_PREFIX has no % or _, so it needs no LIKE escaping.
+        { table: 'soul_contract_events', where: 'description LIKE $1', params: [`${ARTIFACT_PREFIX}%`] },
+        { table: 'soul_ledger', where: 'description LIKE $1', params: [`${ARTIFACT_PREFIX}%`] }
+      ]
+      : [
+        { table: 'soul_contract_events', where: 'TRUE', params: [] },
+        { table: 'soul_ledger', where: 'TRUE', params: [] },
+        { table: 'soul_contracts', where: 'TRUE', params: [] }
+      ];
+
+    const deleted = {};
+    let transactions = 0;
+    let retries = 0;
+    const started = Date.now();
+
+    for (const { table, where, params } of plan) {
+      deleted[table] = 0;
+      let after = null;
+      for (;;) {
+        const keyset = after === null ? '' : `AND id > $${params.length + 2}`;
+        const { rows } = await this.db.query(
+          `SELECT id FROM ${table} WHERE ${where} ${keyset} ORDER BY id LIMIT $${params.length + 1};`,
+          after === null ? [...params, chunkRows] : [...params, chunkRows, after]
+        );
+        if (rows.length === 0) break;
+
+        const ids = rows.map(row => row.id);
+        const { result, attempts } = await withOccRetry(() => this.transaction(client =>
+          client.query(`DELETE FROM ${table} WHERE id = ANY($1);`, [ids])
+        ), { label: `purge ${table}` });
+        transactions += 1;
+        retries += attempts - 1;
+        deleted[table] += result.rowCount || 0;
+        if (onProgress) onProgress(table, deleted[table]);
+
+        if (rows.length < chunkRows) break;
+        after = ids[ids.length - 1];
+      }
+    }
+
+    return { deleted, transactions, retries, elapsedMs: Date.now() - started };
+  }
+
+  /**
+   * Applies a parity RepairPlan in one transaction: the contract is
+   * upserted, missing events and ledger rows inserted with fresh ids, and
+   * extras deleted by matching their content against the soul's rows.
+   * deleteSoul removes the soul's events, ledger and contract. Plans that
+   * would touch 3,000 rows or more are refused rather than split, so a
+   * repair is never half applied.
+   *
+   * @param {import('./soulRepository').RepairPlan} plan
+   * @returns {Promise<{ written: number, deleted: number }>}
+   */
+  async applyRepair(plan) {
+    const { soulId } = plan;
+    const { result } = await withOccRetry(() => this.transaction(async client => {
+      const [events, ledger] = await Promise.all([
+        client.query('SELECT id, event_time, description FROM soul_contract_events WHERE soul_contract_id = $1;', [soulId]),
+        client.query('SELECT id, transaction_time, amount, description FROM soul_ledger WHERE soul_contract_id = $1;', [soulId])
+      ]);
+      const deletions = plan.deleteSoul
+        ? [
+          ['soul_contract_events', events.rows.map(row => row.id)],
+          ['soul_ledger', ledger.rows.map(row => row.id)]
+        ]
+        : [
+          ['soul_contract_events', matchRows(events.rows, toEventEntry, plan.removeEvents)],
+          ['soul_ledger', matchRows(ledger.rows, toLedgerEntry, plan.removeLedger)]
+        ];
+
+      const inserts = [];
+      if (!plan.deleteSoul) {
+        if (plan.upsertContract) {
+          const { status, soulType, contractLocation, updatedAt } = plan.upsertContract;
+          inserts.push(['soul_contracts', [soulId, status, soulType, contractLocation, toTimestampParam(updatedAt || new Date())]]);
+        }
+        plan.addEvents.forEach(event => inserts.push(
+          ['soul_contract_events', [randomUUID(), soulId, toTimestampParam(event.timestamp), event.description]]
+        ));
+        plan.addLedger.forEach(entry => inserts.push(
+          ['soul_ledger', [
+            randomUUID(),
+            soulId,
+            entry.amount,
+            toTimestampParam(entry.timestamp),
+            entry.description,
+            entry.transactionType ?? null
+          ]]
+        ));
+      }
+
+      const rowCount = inserts.length + deletions.reduce((sum, [, ids]) => sum + ids.length, 0) + (plan.deleteSoul ? 1 : 0);
+      if (rowCount >= TRANSACTION_ROW_LIMIT) {
+        throw new RangeError(`Repair of '${soulId}' touches ${rowCount} rows, over the ${TRANSACTION_ROW_LIMIT}-row transaction limit`);
+      }
+
+      let deleted = 0;
+      for (const [table, ids] of deletions) {
+        if (!ids.length) continue;
+        const removed = await client.query(`DELETE FROM ${table} WHERE id = ANY($1);`, [ids]);
+        deleted += removed.rowCount || 0;
+      }
+      if (plan.deleteSoul) {
+        const removed = await client.query('DELETE FROM soul_contracts WHERE id = $1;', [soulId]);
+        deleted += removed.rowCount || 0;
+      }
+      // The contract goes first so new rows never reference a missing soul.
+      for (const { text, values } of multiRowInserts(inserts)) {
+        await client.query(text, values);
+      }
+      return { written: inserts.length, deleted };
+    }), { label: `applyRepair(${soulId})` });
+    return result;
+  }
+
+  /**
+   * Runs `fn` between BEGIN and COMMIT on one connection, rolling back if
+   * it throws or returns a non-committed outcome.
+   *
+   * @template T
+   * @param {(client: import('pg').ClientBase) => Promise<T>} fn
+   * @returns {Promise<T>}
+   */
+  async transaction(fn) {
+    const pooled = this.db instanceof Pool;
+    const client = pooled ? await this.db.connect() : this.db;
+    try {
+      await client.query('BEGIN;');
+      let result;
+      try {
+        result = await fn(client);
+      } catch (err) {
+        try { await client.query('ROLLBACK;'); } catch {}
+        throw err;
+      }
+      if (result && typeof result === 'object' && result.kind && result.kind !== 'committed') {
+        await client.query('ROLLBACK;');
+      } else {
+        await client.query('COMMIT;');
+      }
+      return result;
+    } finally {
+      if (pooled) client.release();
+    }
+  }
+
+  /**
+   * Pages of contracts newest first, keyset-paginated on (updated_at, id).
+   * updated_at is nullable, so ordering, keyset and cursor all use
+   * COALESCE(updated_at, '-infinity'): NULL rows sort last and the row
+   * comparison never evaluates to NULL and skips them.
+   * The cursor carries updated_at as PostgreSQL text so the microsecond
+   * precision of NOW() survives the round trip through the client.
+   */
+  async keysetPage(column, value, { limit, cursor }) {
+    const after = decodeCursor(cursor);
+    if (after && (typeof after.updatedAt !== 'string' || typeof after.id !== 'string')) {
+      throw new InvalidPageRequestError('cursor is invalid');
+    }
+    const params = [value, limit + 1];
+    let keyset = '';
+    if (after) {
+      params.push(after.updatedAt, after.id);
+      keyset = `AND (${UPDATED_AT_KEY}, id) < ($3::timestamp, $4)`;
+    }
+    const result = await this.db.query(
+      `SELECT ${CONTRACT_COLUMNS},
+              ${UPDATED_AT_KEY}::text AS updated_at_key
+         FROM soul_contracts
+        WHERE ${column} = $1
+          ${keyset}
+        ORDER BY ${UPDATED_AT_KEY} DESC, id DESC
+        LIMIT $2;`,
+      params
+    );
+    const rows = result.rows.slice(0, limit);
+    const last = rows[rows.length - 1];
+    return {
+      items: rows.map(toContractSummary),
+      count: rows.length,
+      nextCursor:
+        result.rows.length > limit && last
+          ? encodeCursor({ updatedAt: last.updated_at_key, id: last.id })
+          : null
+    };
+  }
+}
+
+/**
+ * @param {Record<string, any>} row
+ * @returns {import('./pagination').ContractSummary}
+ */
+function toContractSummary(row) {
+  return {
+    soulId: row.id,
+    status: row.contract_status ?? null,
+    soulType: row.soul_type ?? null,
+    contractLocation: row.contract_location ?? null,
+    updatedAt: toIsoString(row.updated_at)
+  };
+}
+
+function toEventEntry(row) {
+  return {
+    timestamp: toIsoString(row.event_time),
+    description: row.description ?? null
+  };
+}
+
+function toLedgerEntry(row) {
+  return {
+    timestamp: toIsoString(row.transaction_time),
+    amount: row.amount === null ? null : Number(row.amount),
+    description: row.description ?? null,
+    transactionType: row.transaction_type ?? null
+  };
+}
+
+/**
+ * Ids of the rows whose content matches `entries`, each entry claiming at
+ * most one row.
+ *
+ * @param {Record<string, any>[]} rows
+ * @param {(row: Record<string, any>) => Record<string, any>} toEntry
+ * @param {Record<string, any>[]} entries
+ * @returns {string[]}
+ */
+function matchRows(rows, toEntry, entries) {
+  const wanted = new Map();
+  for (const entry of entries) {
+    const key = entryKey(entry);
+    wanted.set(key, (wanted.get(key) || 0) + 1);
+  }
+  const ids = [];
+  for (const row of rows) {
+    const key = entryKey(toEntry(row));
+    if (wanted.get(key)) {
+      wanted.set(key, wanted.get(key) - 1);
+      ids.push(row.id);
+    }
+  }
+  return ids;
+}
+
+/**
+ * @param {Record<string, any>[]} rows
+ * @param {string} key
+ * @returns {Map<string, Record<string, any>[]>}
+ */
+function groupBy(rows, key) {
+  const groups = new Map();
+  for (const row of rows) {
+    if (!groups.has(row[key])) groups.set(row[key], []);
+    groups.get(row[key]).push(row);
+  }
+  return groups;
+}
+
+/**
+ * A TIMESTAMP parameter as UTC wall time. node-pg sends a Date in local
+ * time, and PostgreSQL drops the offset of a TIMESTAMP literal, so Dates
+ * and strings with an offset become ISO strings in UTC. Strings without an
+ * offset are already wall time and pass through.
+ *
+ * @param {Date | string | null | undefined} value
+ * @returns {string | null}
+ */
+function toTimestampParam(value) {
+  if (value === undefined || value === null || value === '') return null;
+  if (typeof value === 'string' && !ZONE_SUFFIX.test(value)) return value;
+  const date = value instanceof Date ? value : new Date(value);
+  return Number.isNaN(date.getTime()) ? String(value) : date.toISOString();
+}
+
+function toIsoString(value) {
+  if (!value) return null;
+  return value instanceof Date ? value.toISOString() : new Date(value).toISOString();
+}
+
+/**
+ * One multi-row INSERT ... VALUES per table for a batch of [table, values]
+ * rows. Batches stay under 3,000 rows, so the widest table needs at most
+ * 18,000 bind parameters, well inside PostgreSQL's 65,535.
+ *
+ * @param {[string, unknown[]][]} batch
+ * @returns {{ text: string, values: unknown[] }[]}
+ */
+function multiRowInserts(batch) {
+  const byTable = new Map();
+  for (const [table, row] of batch) {
+    if (!byTable.has(table)) byTable.set(table, []);
+    byTable.get(table).push(row);
+  }
+  return Array.from(byTable, ([table, tableRows]) => {
+    const { columns, width, onConflict } = BULK_TABLES[table];
+    const values = [];
+    const tuples = tableRows.map((row, r) => {
+      values.push(...row);
+      return `(${row.map((_, c) => `$${r * width + c + 1}`).join(', ')})`;
+    });
+    return {
+      text: `INSERT INTO ${table} (${columns}) VALUES ${tuples.join(', ')} ${onConflict}`.trim(),
+      values
+    };
+  });
+}
+
+module.exports = { DsqlSoulRepository, TRANSACTION_ROW_LIMIT };
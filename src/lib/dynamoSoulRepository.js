@@ -0,0 +1,966 @@
+/**
+ * dynamoSoulRepository.js
+ *
+ * SoulRepository adapter for the DevilSoulTracker single table:
+ *
+ *   PK = SOUL#{soulId}   SK = CONTRACT                    the contract
+ *   PK = SOUL#{soulId}   SK = EVENT#{iso time}[#{uuid}]   one event
+ *   PK = SOUL#{soulId}   SK = LEDGER#{iso time}[#{uuid}]  one ledger entry
+ *   PK = IDEMPOTENCY#{key}  SK = IDEMPOTENCY             stored POST response
+ *
+ * Canonical attributes are `status` (StatusIndex partition key),
+ * `contract_location` (LocationIndex), `soul_type`, `updated_at` on the
+ * contract and `timestamp` on events and ledger entries. Older items may
+ * still carry `contract_status`, `createdAt`, `event_time` or
+ * `transaction_time`; reads fall back to those and status writes remove
+ * `contract_status`.
+ */
+
+const { randomUUID } = require('crypto');
+const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
+const {
+  DynamoDBDocumentClient,
+  BatchGetCommand,
+  BatchWriteCommand,
+  GetCommand,
+  QueryCommand,
+  ScanCommand,
+  TransactWriteCommand,
+  UpdateCommand
+} = require('@aws-sdk/lib-dynamodb');
+const { CONFIGURED_LOCATIONS, summarizeLocations } = require('./analytics');
+const { runBatches, chunk } = require('./batches');
+const { ARTIFACT_PREFIX } = require('./benchmarkArtifacts');
+const { backoffDelay } = require('./dsqlRetry');
+const { dynamoClientConfig } = require('./environment');
+const { entryKey } = require('./parityRepair');
+const { TokenBucket } = require('./rateLimiter');
+const { InvalidPageRequestError, decodeCursor, encodeCursor } = require('./pagination');
+const { INITIAL_STATUSES, allowedPredecessors } = require('./soulStatus');
+
+const DEFAULT_TABLE_NAME = 'DevilSoulTracker';
+const LISTING_INDEXES = {
+  status: { indexName: 'StatusIndex', attribute: 'status', sortKey: 'SK' },
+  location: { indexName: 'LocationIndex', attribute: 'contract_location', sortKey: 'status' }
+};
+const BATCH_GET_LIMIT = 100;
+const BATCH_WRITE_LIMIT = 25;
+const ANALYTICS_CONCURRENCY = 10;
+const BULK_WRITE_MAX_ATTEMPTS = 10;
+const BULK_WRITE_BACKOFF = { baseMs: 50, maxMs: 5000 };
+const BATCH_GET_MAX_ATTEMPTS = 10;
+const BATCH_GET_BACKOFF = { baseMs: 50, maxMs: 1000 };
+const THROTTLING_ERRORS = new Set([
+  'ProvisionedThroughputExceededException',
+  'ThrottlingException',
+  'RequestLimitExceeded'
+]);
+
+class DynamoSoulRepository {
+  /**
+   * @param {{ docClient?: import('@aws-sdk/lib-dynamodb').DynamoDBDocumentClient, tableName?: string, region?: string }} [options]
+   */
+  constructor(options = {}) {
+    this.backend = 'dynamo';
+    this.tableName = options.tableName || process.env.TABLE_NAME || DEFAULT_TABLE_NAME;
+    this.docClient = options.docClient || DynamoDBDocumentClient.from(
+      new DynamoDBClient(dynamoClientConfig({ region: options.region }))
+    );
+  }
+
+  /**
+   * Reads every item in the soul's partition, following LastEvaluatedKey.
+   *
+   * @param {string} soulId
+   * @returns {Promise<{ items: Record<string, any>[], pages: number }>}
+   */
+  async fetchPartition(soulId) {
+    const items = [];
+    let pages = 0;
+    let lastEvaluatedKey;
+    do {
+      const response = await this.docClient.send(new QueryCommand({
+        TableName: this.tableName,
+        KeyConditionExpression: 'PK = :pk',
+        ExpressionAttributeValues: { ':pk': soulKey(soulId) },
+        ScanIndexForward: true,
+        ExclusiveStartKey: lastEvaluatedKey
+      }));
+      items.push(...(response.Items || []));
+      lastEvaluatedKey = response.LastEvaluatedKey;
+      pages += 1;
+    } while (lastEvaluatedKey);
+    return { items, pages };
+  }
+
+  /**
+   * @param {string} soulId
+   * @returns {Promise<import('./soulRepository').SoulProfile | null>}
+   */
+  async getProfile(soulId) {
+    const { items, pages } = await this.fetchPartition(soulId);
+    return toProfile(soulId, items, { pages, items: items.length });
+  }
+
+  /**
+   * Every soul in the table as a SoulProfile, read with a parallel Scan of
+   * `segments` segments. All items of one partition key fall in the same
+   * segment, so each segment collects its souls' items and hands the
+   * profiles to `onProfile` once it is done; memory is bounded by the
+   * largest segment. Souls without a CONTRACT item are skipped.
+   *
+   * @param {{
+   *   segments?: number,
+   *   onProfile: (profile: import('./soulRepository').SoulProfile) => void,
+   *   onPage?: (scannedItems: number) => void
+   * }} options
+   * @returns {Promise<{ souls: number, items: number, pages: number, elapsedMs: number }>}
+   */
+  async scanProfiles({ segments = 8, onProfile, onPage }) {
+    const totals = { souls: 0, items: 0, pages: 0 };
+    const started = Date.now();
+
+    const scanSegment = async segment => {
+      const partitions = new Map();
+      let lastEvaluatedKey;
+      do {
+        const response = await this.docClient.send(new ScanCommand({
+          TableName: this.tableName,
+          Segment: segment,
+          TotalSegments: segments,
+          FilterExpression: 'begins_with(PK, :soul)',
+          ExpressionAttributeValues: { ':soul': 'SOUL#' },
+          ExclusiveStartKey: lastEvaluatedKey
+        }));
+        for (const item of response.Items || []) {
+          if (!partitions.has(item.PK)) partitions.set(item.PK, []);
+          partitions.get(item.PK).push(item);
+        }
+        totals.items += response.ScannedCount || 0;
+        totals.pages += 1;
+        if (onPage) onPage(totals.items);
+        lastEvaluatedKey = response.LastEvaluatedKey;
+      } while (lastEvaluatedKey);
+
+      for (const [pk, items] of partitions) {
+        const profile = toProfile(pk.slice('SOUL#'.length), items, { pages: 0, items: items.length });
+        if (profile) {
+          totals.souls += 1;
+          onProfile(profile);
+        }
+      }
+    };
+    await Promise.all(Array.from({ length: segments }, (_, segment) => scanSegment(segment)));
+
+    return { ...totals, elapsedMs: Date.now() - started };
+  }
+
+  /**
+   * @param {string} soulId
+   * @returns {Promise<import('./pagination').ContractSummary | null>}
+   */
+  async getContract(soulId) {
+    const { Item } = await this.docClient.send(new GetCommand({
+      TableName: this.tableName,
+      Key: { PK: soulKey(soulId), SK: 'CONTRACT' }
+    }));
+    return Item ? toContractSummary(Item) : null;
+  }
+
+  /**
+   * BatchGetItem in chunks of 100, retrying UnprocessedKeys with jittered
+   * backoff and giving up after BATCH_GET_MAX_ATTEMPTS calls per chunk.
+   * Order follows `soulIds`; missing souls are left out.
+   *
+   * @param {string[]} soulIds
+   * @returns {Promise<import('./pagination').ContractSummary[]>}
+   */
+  async getContracts(soulIds) {
+    const found = new Map();
+    for (let i = 0; i < soulIds.length; i += BATCH_GET_LIMIT) {
+      let keys = soulIds.slice(i, i + BATCH_GET_LIMIT).map(id => ({ PK: soulKey(id), SK: 'CONTRACT' }));
+      let attempt = 0;
+      while (keys.length) {
+        const response = await this.docClient.send(new BatchGetCommand({
+          RequestItems: { [this.tableName]: { Keys: keys } }
+        }));
+        for (const item of response.Responses?.[this.tableName] || []) {
+          const contract = toContractSummary(item);
+          found.set(contract.soulId, contract);
+        }
+        keys = response.UnprocessedKeys?.[this.tableName]?.Keys || [];
+        if (keys.length) {
+          attempt += 1;
+          if (attempt >= BATCH_GET_MAX_ATTEMPTS) {
+            throw new Error(`${keys.length} keys still unprocessed after ${attempt} BatchGetItem attempts`);
+          }
+          await wait(backoffDelay(attempt, BATCH_GET_BACKOFF));
+        }
+      }
+    }
+    return soulIds.filter(id => found.has(id)).map(id => found.get(id));
+  }
+
+  /**
+   * Moves a contract to `newStatus` and records an event and a ledger entry
+   * in one TransactWriteItems call. The contract update is conditioned on
+   * the shared state machine, so an illegal move cancels the transaction.
+   *
+   * @param {import('./soulRepository').StatusUpdate} update
+   * @returns {Promise<import('./soulRepository').UpdateOutcome>}
+   */
+  async updateStatus({ soulId, newStatus, amount, idempotency, descriptionPrefix = '' }) {
+    if (idempotency) {
+      const stored = await this.loadIdempotencyRecord(idempotency.key);
+      if (stored) return { kind: 'replay', stored, attempts: 1 };
+    }
+
+    const now = new Date().toISOString();
+    const transition = transitionCondition(newStatus);
+    const transactItems = [
+      {
+        // `status` is the attribute the GSIs use; the legacy
+        // `contract_status` copy is dropped on write.
+        Update: {
+          TableName: this.tableName,
+          Key: { PK: soulKey(soulId), SK: 'CONTRACT' },
+          UpdateExpression: 'SET #status = :newStatus, soulId = :soulId, updated_at = :now REMOVE contract_status',
+          ConditionExpression: transition.expression,
+          ExpressionAttributeNames: { '#status': 'status' },
+          ExpressionAttributeValues: {
+            ':newStatus': newStatus,
+            ':soulId': soulId,
+            ':now': now,
+            ...transition.values
+          }
+        }
+      },
+      { Put: { TableName: this.tableName, Item: eventItem(soulId, now, `${descriptionPrefix}${statusEventDescription(newStatus)}`) } },
+      { Put: { TableName: this.tableName, Item: ledgerItem(soulId, now, amount, `${descriptionPrefix}${statusLedgerDescription(newStatus)}`) } }
+    ];
+
+    if (idempotency) {
+      // The condition lets an expired record be overwritten but makes a
+      // concurrent duplicate cancel the whole transaction.
+      const nowSeconds = Math.floor(Date.now() / 1000);
+      transactItems.push({
+        Put: {
+          TableName: this.tableName,
+          Item: {
+            PK: `IDEMPOTENCY#${idempotency.key}`,
+            SK: 'IDEMPOTENCY',
+            request_hash: idempotency.requestHash,
+            status_code: 200,
+            response_body: idempotency.body,
+            created_at: now,
+            expires_at: nowSeconds + idempotency.windowSeconds
+          },
+          ConditionExpression: 'attribute_not_exists(PK) OR expires_at < :now',
+          ExpressionAttributeValues: { ':now': nowSeconds }
+        }
+      });
+    }
+
+    try {
+      await this.docClient.send(new TransactWriteCommand({ TransactItems: transactItems }));
+      return { kind: 'committed', attempts: 1 };
+    } catch (err) {
+      const reasons = err.name === 'TransactionCanceledException' ? err.CancellationReasons : undefined;
+      if (reasons?.[0]?.Code === 'ConditionalCheckFailed') {
+        return { kind: 'illegal-transition', currentStatus: await this.loadContractStatus(soulId), attempts: 1 };
+      }
+      if (idempotency && reasons?.[transactItems.length - 1]?.Code === 'ConditionalCheckFailed') {
+        const stored = await this.loadIdempotencyRecord(idempotency.key);
+        if (stored) return { kind: 'replay', stored, attempts: 1 };
+      }
+      throw err;
+    }
+  }
+
+  /**
+   * Touches the contract's updated_at and adds an event, atomically.
+   *
+   * @param {string} soulId
+   * @param {{ description: string, timestamp?: string }} event
+   */
+  async appendEvent(soulId, { description, timestamp }) {
+    const now = timestamp || new Date().toISOString();
+    await this.docClient.send(new TransactWriteCommand({
+      TransactItems: [
+        {
+          Update: {
+            TableName: this.tableName,
+            Key: { PK: soulKey(soulId), SK: 'CONTRACT' },
+            UpdateExpression: 'SET updated_at = :now',
+            ConditionExpression: 'attribute_exists(PK)',
+            ExpressionAttributeValues: { ':now': now }
+          }
+        },
+        { Put: { TableName: this.tableName, Item: eventItem(soulId, now, description) } }
+      ]
+    }));
+  }
+
+  /**
+   * @param {string} soulId
+   * @param {{ amount: number, description: string, timestamp?: string }} entry
+   */
+  async appendLedger(soulId, { amount, description, timestamp }) {
+    await this.docClient.send(new TransactWriteCommand({
+      TransactItems: [
+        {
+          ConditionCheck: {
+            TableName: this.tableName,
+            Key: { PK: soulKey(soulId), SK: 'CONTRACT' },
+            ConditionExpression: 'attribute_exists(PK)'
+          }
+        },
+        {
+          Put: {
+            TableName: this.tableName,
+            Item: ledgerItem(soulId, timestamp || new Date().toISOString(), amount, description)
+          }
+        }
+      ]
+    }));
+  }
+
+  /**
+   * @param {string} status
+   * @param {{ limit: number, cursor?: string }} page
+   */
+  listByStatus(status, page) {
+    return this.queryIndex(LISTING_INDEXES.status, status, page);
+  }
+
+  /**
+   * @param {string} location
+   * @param {{ limit: number, cursor?: string }} page
+   */
+  listByLocation(location, page) {
+    return this.queryIndex(LISTING_INDEXES.location, location, page);
+  }
+
+  /**
+   * Every contract in the table, one Scan page at a time. A page can hold
+   * fewer than `limit` contracts because the filter runs after the limit.
+   *
+   * @param {{ limit: number, cursor?: string }} page
+   * @returns {Promise<import('./pagination').Page<import('./pagination').ContractSummary>>}
+   */
+  async listContracts({ limit, cursor }) {
+    const response = await this.docClient.send(new ScanCommand({
+      TableName: this.tableName,
+      FilterExpression: 'SK = :sk',
+      ExpressionAttributeValues: { ':sk': 'CONTRACT' },
+      Limit: limit,
+      ExclusiveStartKey: decodeStartKey(cursor)
+    }));
+    return toPage(response);
+  }
+
+  /**
+   * The DynamoDB equivalent of a GROUP BY. GSI partition keys can't be
+   * listed, so a scan projecting only the location finds them first; then
+   * each location's souls come from LocationIndex and each soul's LEDGER#
+   * items are queried to total its power. Contracts without a location are
+   * not in the index and are totalled from the scan, like DSQL's NULL group.
+   * With `locations` only those are reported and `skippedSouls` counts the
+   * rest. Every request counts as a round trip so the cost is visible.
+   *
+   * @param {{ locations?: string[] | null }} [options]
+   * @returns {Promise<import('./analytics').AnalyticsReport>}
+   */
+  async locationAnalytics({ locations = CONFIGURED_LOCATIONS } = {}) {
+    let roundTrips = 0;
+    const query = async input => {
+      roundTrips += 1;
+      return this.docClient.send(new QueryCommand({ TableName: this.tableName, ...input }));
+    };
+    const totalPower = async soulIds => {
+      let total = 0;
+      for (let i = 0; i < soulIds.length; i += ANALYTICS_CONCURRENCY) {
+        const powers = await Promise.all(
+          soulIds.slice(i, i + ANALYTICS_CONCURRENCY).map(soulId => sumLedger(soulId, query))
+        );
+        total += powers.reduce((sum, power) => sum + power, 0);
+      }
+      return total;
+    };
+
+    const totals = [];
+    let contractCount = 0;
+    try {
+      const unlocated = [];
+      const found = new Set();
+      let lastEvaluatedKey;
+      do {
+        roundTrips += 1;
+        const response = await this.docClient.send(new ScanCommand({
+          TableName: this.tableName,
+          FilterExpression: 'SK = :sk',
+          ProjectionExpression: 'PK, soulId, #status, contract_status, contract_location, contractLocation',
+          ExpressionAttributeNames: { '#status': 'status' },
+          ExpressionAttributeValues: { ':sk': 'CONTRACT' },
+          ExclusiveStartKey: lastEvaluatedKey
+        }));
+        for (const item of response.Items || []) {
+          const contract = toContractSummary(item);
+          contractCount += 1;
+          if (contract.contractLocation) found.add(contract.contractLocation);
+          else unlocated.push(contract);
+        }
+        lastEvaluatedKey = response.LastEvaluatedKey;
+      } while (lastEvaluatedKey);
+
+      for (const location of locations || Array.from(found).sort()) {
+        const soulIds = [];
+        let redeemed = 0;
+        let lastEvaluatedKey;
+        do {
+          const response = await query({
+            IndexName: 'LocationIndex',
+            KeyConditionExpression: 'contract_location = :location',
+            ExpressionAttributeValues: { ':location': location },
+            ExclusiveStartKey: lastEvaluatedKey
+          });
+          for (const item of response.Items || []) {
+            if (item.SK !== 'CONTRACT') continue;
+            const contract = toContractSummary(item);
+            soulIds.push(contract.soulId);
+            if (contract.status === 'Redeemed') redeemed += 1;
+          }
+          lastEvaluatedKey = response.LastEvaluatedKey;
+        } while (lastEvaluatedKey);
+
+        if (!soulIds.length) continue;
+        totals.push({ location, soulCount: soulIds.length, redeemed, totalPower: await totalPower(soulIds) });
+      }
+      if (!locations && unlocated.length) {
+        totals.push({
+          location: null,
+          soulCount: unlocated.length,
+          redeemed: unlocated.filter(contract => contract.status === 'Redeemed').length,
+          totalPower: await totalPower(unlocated.map(contract => contract.soulId))
+        });
+      }
+    } catch (err) {
+      err.roundTrips = roundTrips;
+      throw err;
+    }
+
+    return {
+      strategy: 'location-index-scatter-gather',
+      roundTrips,
+      locations: summarizeLocations(totals),
+      // Also counts contracts that carry only the legacy contractLocation
+      // attribute, which LocationIndex does not cover.
+      skippedSouls: contractCount - totals.reduce((sum, total) => sum + total.soulCount, 0)
+    };
+  }
+
+  /**
+   * Writes a generated dataset with BatchWriteItem. Up to `concurrency`
+   * batches are in flight at once, paced by a token bucket of
+   * `writeCapacityPerSecond` WCUs (0 = unpaced).
+   *
+   * Items are written in the same order as the DSQL loader; `startOffset`
+   * and `onCheckpoint` work the same way. Seeded keys are deterministic,
+   * so replayed puts overwrite rather than duplicate.
+   *
+   * @param {import('./soulRepository').Dataset} dataset
+   * @param {{
+   *   onProgress?: (written: number, total: number) => void,
+   *   onCheckpoint?: (committed: number) => void,
+   *   startOffset?: number,
+   *   concurrency?: number,
+   *   writeCapacityPerSecond?: number
+   * }} [options]
+   * @returns {Promise<{ items: number, consumedWcu: number, throttleRetries: number, elapsedMs: number }>}
+   */
+  async bulkLoad({ souls, ledgerEntries }, {
+    onProgress,
+    onCheckpoint,
+    startOffset = 0,
+    concurrency = 1,
+    writeCapacityPerSecond = 0
+  } = {}) {
+    const requests = [];
+    for (const soul of souls) {
+      const createdAt = toIso(soul.createdAt);
+      requests.push({
+        PutRequest: {
+          Item: {
+            PK: soulKey(soul.soulId),
+            SK: 'CONTRACT',
+            soulId: soul.soulId,
+            status: soul.status,
+            soul_type: soul.soulType,
+            contract_location: soul.contractLocation,
+            createdAt,
+            updated_at: toIso(soul.updatedAt || soul.createdAt)
+          }
+        }
+      });
+      for (const event of soul.events) {
+        const item = eventItem(soul.soulId, toIso(event.eventTime), event.description, { unique: false, id: event.id });
+        requests.push({ PutRequest: { Item: { ...item, eventType: event.eventType } } });
+      }
+    }
+    for (const entry of ledgerEntries) {
+      const item = ledgerItem(entry.soulId, toIso(entry.timestamp), entry.amount, entry.description, {
+        unique: false,
+        id: entry.id,
+        transactionType: entry.transactionType
+      });
+      requests.push({ PutRequest: { Item: item } });
+    }
+
+    const bucket = writeCapacityPerSecond > 0 ? new TokenBucket({ ratePerSecond: writeCapacityPerSecond }) : null;
+    const started = Date.now();
+    const totals = { consumedWcu: 0, throttleRetries: 0 };
+    const { written } = await runBatches(chunk(requests.slice(startOffset), BATCH_WRITE_LIMIT), {
+      concurrency,
+      startOffset,
+      onProgress,
+      onCheckpoint,
+      run: batch => this.writeBatch(batch, { bucket, totals })
+    });
+
+    return {
+      items: written,
+      consumedWcu: totals.consumedWcu,
+      throttleRetries: totals.throttleRetries,
+      elapsedMs: Date.now() - started
+    };
+  }
+
+  /**
+   * Deletes SOUL# items (every one, or only benchmark/demo artifacts) with
+   * a parallel Scan: each of `segments` workers pages through its segment,
+   * projecting just the keys, and deletes each page in BatchWriteItem
+   * batches. IDEMPOTENCY# items are left alone.
+   *
+   * @param {{
+   *   onlyBenchmarkArtifacts?: boolean,
+   *   segments?: number,
+   *   writeCapacityPerSecond?: number,
+   *   onProgress?: (progress: { scanned: number, deleted: number }) => void
+   * }} [options]
+   * @returns {Promise<{ scanned: number, deleted: number, consumedWcu: number, throttleRetries: number, elapsedMs: number }>}
+   */
+  async purge({ onlyBenchmarkArtifacts = false, segments = 4, writeCapacityPerSecond = 0, onProgress } = {}) {
+    const filter = onlyBenchmarkArtifacts
+      ? {
+        FilterExpression:
+          'begins_with(PK, :soul) AND (begins_with(SK, :event) OR begins_with(SK, :ledger)) AND ' +
+          'begins_with(description, :artifact)',
+        ExpressionAttributeValues: {
+          ':soul': 'SOUL#',
+          ':event': 'EVENT#',
+          ':ledger': 'LEDGER#',
+          ':artifact': ARTIFACT_PREFIX
+        }
+      }
+      : {
+        FilterExpression: 'begins_with(PK, :soul)',
+        ExpressionAttributeValues: { ':soul': 'SOUL#' }
+      };
+
+    const bucket = writeCapacityPerSecond > 0 ? new TokenBucket({ ratePerSecond: writeCapacityPerSecond }) : null;
+    const totals = { scanned: 0, deleted: 0, consumedWcu: 0, throttleRetries: 0 };
+    const started = Date.now();
+
+    const scanSegment = async segment => {
+      let lastEvaluatedKey;
+      do {
+        const response = await this.docClient.send(new ScanCommand({
+          TableName: this.tableName,
+          Segment: segment,
+          TotalSegments: segments,
+          ProjectionExpression: 'PK, SK',
+          ...filter,
+          ExclusiveStartKey: lastEvaluatedKey
+        }));
+        totals.scanned += response.ScannedCount || 0;
+        const deletes = (response.Items || []).map(({ PK, SK }) => ({ DeleteRequest: { Key: { PK, SK } } }));
+        for (const batch of chunk(deletes, BATCH_WRITE_LIMIT)) {
+          await this.writeBatch(batch, { bucket, totals });
+          totals.deleted += batch.length;
+        }
+        if (onProgress) onProgress({ scanned: totals.scanned, deleted: totals.deleted });
+        lastEvaluatedKey = response.LastEvaluatedKey;
+      } while (lastEvaluatedKey);
+    };
+    await Promise.all(Array.from({ length: segments }, (_, segment) => scanSegment(segment)));
+
+    return {
+      scanned: totals.scanned,
+      deleted: totals.deleted,
+      consumedWcu: totals.consumedWcu,
+      throttleRetries: totals.throttleRetries,
+      elapsedMs: Date.now() - started
+    };
+  }
+
+  /**
+   * Applies a parity RepairPlan to this soul's partition. The contract is
+   * updated in place (other attributes such as createdAt survive); events
+   * and ledger entries are added with unique sort keys and removed by
+   * matching their content against the partition. Not atomic: the writes
+   * go out as BatchWriteItem calls, so a failed repair can be re-run.
+   *
+   * @param {import('./soulRepository').RepairPlan} plan
+   * @returns {Promise<{ written: number, deleted: number }>}
+   */
+  async applyRepair(plan) {
+    const { soulId } = plan;
+    const totals = { consumedWcu: 0, throttleRetries: 0 };
+    const deletes = [];
+
+    if (plan.deleteSoul || plan.removeEvents.length || plan.removeLedger.length) {
+      const { items } = await this.fetchPartition(soulId);
+      if (plan.deleteSoul) {
+        deletes.push(...items);
+      } else {
+        const wanted = new Map();
+        for (const entry of [...plan.removeEvents, ...plan.removeLedger]) {
+          const key = entryKey(entry);
+          wanted.set(key, (wanted.get(key) || 0) + 1);
+        }
+        for (const item of items) {
+          if (typeof item.SK !== 'string' || !(item.SK.startsWith('EVENT#') || item.SK.startsWith('LEDGER#'))) continue;
+          const entry = item.SK.startsWith('LEDGER#') ? toLedgerEntry(item) : toEntry(item);
+          const key = entryKey(entry);
+          if (wanted.get(key)) {
+            wanted.set(key, wanted.get(key) - 1);
+            deletes.push(item);
+          }
+        }
+      }
+    }
+
+    if (plan.upsertContract && !plan.deleteSoul) {
+      const { status, soulType, contractLocation, updatedAt } = plan.upsertContract;
+      await this.docClient.send(new UpdateCommand({
+        TableName: this.tableName,
+        Key: { PK: soulKey(soulId), SK: 'CONTRACT' },
+        UpdateExpression:
+          'SET soulId = :id, #status = :status, soul_type = :type, contract_location = :location, updated_at = :updated ' +
+          'REMOVE contract_status',
+        ExpressionAttributeNames: { '#status': 'status' },
+        ExpressionAttributeValues: {
+          ':id': soulId,
+          ':status': status,
+          ':type': soulType,
+          ':location': contractLocation,
+          ':updated': updatedAt || new Date().toISOString()
+        }
+      }));
+    }
+
+    const puts = plan.deleteSoul ? [] : [
+      ...plan.addEvents.map(event => eventItem(soulId, event.timestamp, event.description)),
+      ...plan.addLedger.map(entry => ledgerItem(soulId, entry.timestamp, entry.amount, entry.description, {
+        transactionType: entry.transactionType
+      }))
+    ];
+    const requests = [
+      ...deletes.map(({ PK, SK }) => ({ DeleteRequest: { Key: { PK, SK } } })),
+      ...puts.map(Item => ({ PutRequest: { Item } }))
+    ];
+    for (const batch of chunk(requests, BATCH_WRITE_LIMIT)) {
+      await this.writeBatch(batch, { bucket: null, totals });
+    }
+    return { written: puts.length + (plan.upsertContract && !plan.deleteSoul ? 1 : 0), deleted: deletes.length };
+  }
+
+  /**
+   * One BatchWriteItem of up to 25 puts or deletes, resubmitting UnprocessedItems and
+   * throttling errors with full-jitter exponential backoff. Capacity is
+   * taken from `bucket` before each send and settled against the
+   * ConsumedCapacity DynamoDB reports.
+   *
+   * @param {Record<string, any>[]} requests
+   * @param {{ bucket: TokenBucket | null, totals: { consumedWcu: number, throttleRetries: number } }} context
+   */
+  async writeBatch(requests, { bucket, totals }) {
+    let pending = requests;
+    let attempt = 0;
+    while (pending.length > 0) {
+      const estimate = pending.reduce(
+        (sum, request) => sum + (request.PutRequest ? estimateWriteUnits(request.PutRequest.Item) : 1),
+        0
+      );
+      if (bucket) await bucket.take(estimate);
+
+      let response;
+      try {
+        response = await this.docClient.send(new BatchWriteCommand({
+          RequestItems: { [this.tableName]: pending },
+          ReturnConsumedCapacity: 'TOTAL'
+        }));
+      } catch (err) {
+        if (bucket) bucket.settle(-estimate);
+        attempt += 1;
+        if (!THROTTLING_ERRORS.has(err.name) || attempt >= BULK_WRITE_MAX_ATTEMPTS) throw err;
+        totals.throttleRetries += 1;
+        await wait(backoffDelay(attempt, BULK_WRITE_BACKOFF));
+        continue;
+      }
+
+      const consumed = (response.ConsumedCapacity || [])
+        .reduce((sum, capacity) => sum + (capacity.CapacityUnits || 0), 0);
+      totals.consumedWcu += consumed;
+      // DynamoDB Local omits ConsumedCapacity; keep the estimate then.
+      if (bucket && response.ConsumedCapacity) bucket.settle(consumed - estimate);
+
+      pending = response.UnprocessedItems?.[this.tableName] || [];
+      if (pending.length) {
+        attempt += 1;
+        if (attempt >= BULK_WRITE_MAX_ATTEMPTS) {
+          throw new Error(`${pending.length} items still unprocessed after ${attempt} BatchWriteItem attempts`);
+        }
+        totals.throttleRetries += 1;
+        await wait(backoffDelay(attempt, BULK_WRITE_BACKOFF));
+      }
+    }
+  }
+
+  async loadContractStatus(soulId) {
+    const { Item } = await this.docClient.send(new GetCommand({
+      TableName: this.tableName,
+      Key: { PK: soulKey(soulId), SK: 'CONTRACT' },
+      ConsistentRead: true
+    }));
+    return Item ? Item.status || Item.contract_status || null : null;
+  }
+
+  /**
+   * @param {string} idempotencyKey
+   * @returns {Promise<import('./soulRepository').StoredResponse | null>}
+   */
+  async loadIdempotencyRecord(idempotencyKey) {
+    const { Item } = await this.docClient.send(new GetCommand({
+      TableName: this.tableName,
+      Key: { PK: `IDEMPOTENCY#${idempotencyKey}`, SK: 'IDEMPOTENCY' },
+      ConsistentRead: true
+    }));
+    // TTL deletion lags, so expiry is enforced here as well.
+    if (!Item || Item.expires_at < Math.floor(Date.now() / 1000)) {
+      return null;
+    }
+    return { requestHash: Item.request_hash, statusCode: Item.status_code, body: Item.response_body };
+  }
+
+  /** One GSI page of contracts; the opaque cursor wraps LastEvaluatedKey. */
+  async queryIndex({ indexName, attribute, sortKey }, value, { limit, cursor }) {
+    const response = await this.docClient.send(new QueryCommand({
+      TableName: this.tableName,
+      IndexName: indexName,
+      KeyConditionExpression: '#key = :value',
+      ExpressionAttributeNames: { '#key': attribute },
+      ExpressionAttributeValues: { ':value': value },
+      Limit: limit,
+      ExclusiveStartKey: decodeStartKey(cursor, { attribute, sortKey, value })
+    }));
+    return toPage(response);
+  }
+}
+
+/**
+ * Builds the ConditionExpression for a move to newStatus from the shared
+ * transition table: the stored status must be one of its predecessors, or
+ * the contract must not exist yet when newStatus is an initial status.
+ */
+function transitionCondition(newStatus) {
+  const values = {};
+  const placeholders = allowedPredecessors(newStatus).map((status, i) => {
+    values[`:from${i}`] = status;
+    return `:from${i}`;
+  });
+  const clauses = [];
+  if (placeholders.length) {
+    const allowed = placeholders.join(', ');
+    clauses.push(`#status IN (${allowed})`);
+    // Contracts written before `status` was used only carry contract_status.
+    clauses.push(`(attribute_not_exists(#status) AND contract_status IN (${allowed}))`);
+  }
+  if (INITIAL_STATUSES.includes(newStatus)) clauses.push('attribute_not_exists(PK)');
+  return { expression: clauses.join(' OR '), values };
+}
+
+/**
+ * Decodes a listing cursor into an ExclusiveStartKey, rejecting anything
+ * the listing could not have returned: the key must hold exactly PK, SK
+ * and, for an index, its key attributes, all strings, with the index
+ * partition equal to the one queried. DynamoDB would otherwise fail the
+ * request with a ValidationException.
+ *
+ * @param {string | undefined} cursor
+ * @param {{ attribute: string, sortKey: string, value: string }} [index]
+ * @returns {Record<string, string> | undefined}
+ */
+function decodeStartKey(cursor, index) {
+  const key = decodeCursor(cursor);
+  if (!key) return undefined;
+  const expected = new Set(['PK', 'SK', ...(index ? [index.attribute, index.sortKey] : [])]);
+  const names = Object.keys(key);
+  const valid = names.length === expected.size &&
+    names.every(name => expected.has(name) && typeof key[name] === 'string') &&
+    (!index || key[index.attribute] === index.value);
+  if (!valid) throw new InvalidPageRequestError('cursor is invalid');
+  return key;
+}
+
+async function sumLedger(soulId, query) {
+  let total = 0;
+  let lastEvaluatedKey;
+  do {
+    const response = await query({
+      KeyConditionExpression: 'PK = :pk AND begins_with(SK, :ledger)',
+      ExpressionAttributeValues: { ':pk': soulKey(soulId), ':ledger': 'LEDGER#' },
+      ProjectionExpression: 'amount',
+      ExclusiveStartKey: lastEvaluatedKey
+    });
+    for (const item of response.Items || []) {
+      total += Number(item.amount) || 0;
+    }
+    lastEvaluatedKey = response.LastEvaluatedKey;
+  } while (lastEvaluatedKey);
+  return total;
+}
+
+function statusEventDescription(status) {
+  return `Contract updated to '${status}'`;
+}
+
+function statusLedgerDescription(status) {
+  return `Financial transaction: ${status}`;
+}
+
+// Live writes add a uuid so two writes in the same millisecond don't
+// collide. Seeded items add the row's stable id instead, so entries that
+// share a timestamp stay separate and re-seeding still overwrites.
+function eventItem(soulId, timestamp, description, { unique = true, id } = {}) {
+  return {
+    PK: soulKey(soulId),
+    SK: `EVENT#${timestamp}${sortKeySuffix(unique, id)}`,
+    timestamp,
+    description
+  };
+}
+
+function ledgerItem(soulId, timestamp, amount, description, { unique = true, id, transactionType } = {}) {
+  const item = {
+    PK: soulKey(soulId),
+    SK: `LEDGER#${timestamp}${sortKeySuffix(unique, id)}`,
+    timestamp,
+    amount,
+    description
+  };
+  return transactionType ? { ...item, transaction_type: transactionType } : item;
+}
+
+function sortKeySuffix(unique, id) {
+  if (unique) return `#${randomUUID()}`;
+  return id ? `#${id}` : '';
+}
+
+function toPage(response) {
+  const items = (response.Items || [])
+    .filter(item => item.SK === 'CONTRACT')
+    .map(toContractSummary);
+  return {
+    items,
+    count: items.length,
+    nextCursor: response.LastEvaluatedKey ? encodeCursor(response.LastEvaluatedKey) : null
+  };
+}
+
+/**
+ * @param {string} soulId
+ * @param {Record<string, any>[]} items - the soul's partition
+ * @param {Record<string, number>} stats
+ * @returns {import('./soulRepository').SoulProfile | null}
+ */
+function toProfile(soulId, items, stats) {
+  const contractItem = items.find(item => item.SK === 'CONTRACT');
+  if (!contractItem) return null;
+
+  const events = items
+    .filter(item => typeof item.SK === 'string' && item.SK.startsWith('EVENT#'))
+    .map(toEntry)
+    .sort(byTimestamp);
+  const ledger = items
+    .filter(item => typeof item.SK === 'string' && item.SK.startsWith('LEDGER#'))
+    .map(toLedgerEntry)
+    .sort(byTimestamp);
+
+  return {
+    soulId,
+    contract: toContractSummary(contractItem),
+    events,
+    ledger,
+    powerBalance: ledger.reduce((sum, entry) => sum + (entry.amount ?? 0), 0),
+    stats
+  };
+}
+
+/**
+ * @param {Record<string, any>} item
+ * @returns {import('./pagination').ContractSummary}
+ */
+function toContractSummary(item) {
+  return {
+    soulId: item.soulId || String(item.PK).replace('SOUL#', ''),
+    status: item.status || item.contract_status || null,
+    soulType: item.soul_type || item.soulType || null,
+    contractLocation: item.contract_location || item.contractLocation || null,
+    updatedAt: item.updated_at || item.updatedAt || item.createdAt || null
+  };
+}
+
+function toEntry(item) {
+  const prefix = item.SK.slice(0, item.SK.indexOf('#') + 1);
+  return {
+    timestamp: item.timestamp || item.event_time || item.transaction_time || item.SK.slice(prefix.length).split('#')[0],
+    description: item.description ?? null
+  };
+}
+
+function toLedgerEntry(item) {
+  return { ...toEntry(item), amount: toAmount(item.amount), transactionType: item.transaction_type ?? null };
+}
+
+function toAmount(value) {
+  if (value === undefined || value === null) return null;
+  const amount = Number(value);
+  return Number.isFinite(amount) ? amount : null;
+}
+
+function byTimestamp(a, b) {
+  return a.timestamp.localeCompare(b.timestamp);
+}
+
+function soulKey(soulId) {
+  return `SOUL#${soulId}`;
+}
+
+function toIso(value) {
+  return value instanceof Date ? value.toISOString() : new Date(value).toISOString();
+}
+
+/**
+ * Rough WCU cost of a put: one unit per started KB of item JSON, which is
+ * close enough to DynamoDB's attribute-size rules for pacing.
+ */
+function estimateWriteUnits(item) {
+  return Math.max(1, Math.ceil(Buffer.byteLength(JSON.stringify(item)) / 1024));
+}
+
+function wait(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports = { DynamoSoulRepository };
@@ -0,0 +1,77 @@
+/**
+ * pagination.js
+ *
+ * Shared page envelope for contract listings on both backends. Cursors are
+ * opaque to clients: base64url-encoded JSON whose contents are
+ * backend-specific (a DynamoDB LastEvaluatedKey, or a DSQL keyset position).
+ */
+
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * @typedef {Object} ContractSummary
+ * @property {string} soulId
+ * @property {string | null} status
+ * @property {string | null} soulType
+ * @property {string | null} contractLocation
+ * @property {string | null} updatedAt
+ */
+
+/**
+ * @template T
+ * @typedef {Object} Page
+ * @property {T[]} items
+ * @property {number} count
+ * @property {string | null} nextCursor
+ */
+
+class InvalidPageRequestError extends Error {}
+
+/**
+ * @param {string | number | undefined} raw
+ * @returns {number}
+ */
+function parseLimit(raw) {
+  if (raw === undefined || raw === '') return DEFAULT_PAGE_SIZE;
+  const parsed = typeof raw === 'number' ? raw : parseInt(raw, 10);
+  if (!Number.isFinite(parsed) || parsed <= 0) {
+    throw new InvalidPageRequestError('limit must be a positive integer');
+  }
+  return Math.min(parsed, MAX_PAGE_SIZE);
+}
+
+/**
+ * @param {unknown} position
+ * @returns {string}
+ */
+function encodeCursor(position) {
+  return Buffer.from(JSON.stringify(position), 'utf8').toString('base64url');
+}
+
+/**
+ * @param {string | undefined} cursor
+ * @returns {Record<string, any> | undefined}
+ */
+function decodeCursor(cursor) {
+  if (!cursor) return undefined;
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch {
+    throw new InvalidPageRequestError('cursor is invalid');
+  }
+  if (!decoded || typeof decoded !== 'object') {
+    throw new InvalidPageRequestError('cursor is invalid');
+  }
+  return decoded;
+}
+
+module.exports = {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  InvalidPageRequestError,
+  parseLimit,
+  encodeCursor,
+  decodeCursor
+};
@@ -0,0 +1,141 @@
+/**
+ * parityRepair.js
+ *
+ * Turns a parity mismatch into a RepairPlan: what the target backend needs
+ * so that one soul matches the source of truth. Events and ledger entries
+ * have no shared id across backends, so they are matched by content
+ * (timestamp, description, amount) as multisets; an amount mismatch the
+ * match does not accept is an entry to add plus an extra to remove.
+ */
+
+const CONTRACT_FIELDS = ['status', 'soulType', 'contractLocation'];
+
+/**
+ * @typedef {Object} ComparedSoul
+ * @property {string} soulId
+ * @property {import('./pagination').ContractSummary | null} contract
+ * @property {{ timestamp: string, description: string | null }[]} events
+ * @property {{ timestamp: string, amount: number | null, description: string | null, transactionType?: string | null }[]} ledger
+ */
+
+/**
+ * @param {{ timestamp: string, description?: string | null, amount?: number | null }} entry
+ * @returns {string}
+ */
+function entryKey(entry) {
+  const amount = Number.isFinite(entry.amount) ? entry.amount : null;
+  return JSON.stringify([entry.timestamp, entry.description ?? null, amount]);
+}
+
+/**
+ * Entries of `source` with no counterpart in `target`, and the reverse.
+ * The key function can normalize entries (see parityRules.js) while the
+ * returned entries stay as they were read; `accept` then decides which of
+ * the target entries sharing a key can pair with a source entry.
+ *
+ * @template T
+ * @param {T[]} source
+ * @param {T[]} target
+ * @param {(entry: T) => string} [key]
+ * @param {(source: T, target: T) => boolean} [accept]
+ * @returns {{ missing: T[], extra: T[] }}
+ */
+function multisetDiff(source, target, key = entryKey, accept = () => true) {
+  const unmatched = new Map();
+  for (const entry of target) {
+    const entryId = key(entry);
+    if (!unmatched.has(entryId)) unmatched.set(entryId, []);
+    unmatched.get(entryId).push(entry);
+  }
+  const missing = [];
+  for (const entry of source) {
+    const candidates = unmatched.get(key(entry)) || [];
+    let match = candidates.length - 1;
+    while (match >= 0 && !accept(entry, candidates[match])) match -= 1;
+    if (match >= 0) candidates.splice(match, 1);
+    else missing.push(entry);
+  }
+  return { missing, extra: Array.from(unmatched.values()).flat() };
+}
+
+/**
+ * @param {ComparedSoul} source
+ * @param {ComparedSoul} target
+ * @param {{
+ *   removeExtras?: boolean,
+ *   key?: (entry: Record<string, any>) => string,
+ *   accept?: (source: Record<string, any>, target: Record<string, any>) => boolean
+ * }} [options]
+ * @returns {{ plan: import('./soulRepository').RepairPlan, unresolved: string[] }}
+ *   `unresolved` lists extras left in place because removeExtras is off
+ */
+function planRepair(source, target, { removeExtras = false, key = entryKey, accept } = {}) {
+  const plan = {
+    soulId: source.soulId,
+    upsertContract: null,
+    addEvents: [],
+    addLedger: [],
+    removeEvents: [],
+    removeLedger: [],
+    deleteSoul: false
+  };
+  const unresolved = [];
+
+  if (!source.contract) {
+    if (target.contract) {
+      if (removeExtras) plan.deleteSoul = true;
+      else unresolved.push('soul exists only in the target');
+    }
+    return { plan, unresolved };
+  }
+
+  if (!target.contract || CONTRACT_FIELDS.some(field => (source.contract[field] ?? null) !== (target.contract[field] ?? null))) {
+    plan.upsertContract = source.contract;
+  }
+
+  const events = multisetDiff(source.events, target.events, key, accept);
+  const ledger = multisetDiff(source.ledger, target.ledger, key, accept);
+  plan.addEvents = events.missing;
+  plan.addLedger = ledger.missing;
+  if (removeExtras) {
+    plan.removeEvents = events.extra;
+    plan.removeLedger = ledger.extra;
+  } else {
+    if (events.extra.length) unresolved.push(`${events.extra.length} extra event(s)`);
+    if (ledger.extra.length) unresolved.push(`${ledger.extra.length} extra ledger entr${ledger.extra.length === 1 ? 'y' : 'ies'}`);
+  }
+  return { plan, unresolved };
+}
+
+/**
+ * @param {import('./soulRepository').RepairPlan} plan
+ */
+function isEmptyPlan(plan) {
+  return !plan.upsertContract && !plan.deleteSoul &&
+    plan.addEvents.length + plan.addLedger.length + plan.removeEvents.length + plan.removeLedger.length === 0;
+}
+
+/**
+ * One record per action, for printing and the audit log.
+ *
+ * @param {import('./soulRepository').RepairPlan} plan
+ * @returns {{ action: string, soulId: string, detail: Record<string, unknown> }[]}
+ */
+function planActions(plan) {
+  const { soulId } = plan;
+  if (plan.deleteSoul) {
+    return [{ action: 'delete-soul', soulId, detail: {} }];
+  }
+  const actions = [];
+  if (plan.upsertContract) {
+    const { status, soulType, contractLocation, updatedAt } = plan.upsertContract;
+    actions.push({ action: 'upsert-contract', soulId, detail: { status, soulType, contractLocation, updatedAt } });
+  }
+  plan.addEvents.forEach(detail => actions.push({ action: 'insert-event', soulId, detail }));
+  plan.addLedger.forEach(detail => actions.push({ action: 'insert-ledger', soulId, detail }));
+  plan.removeEvents.forEach(detail => actions.push({ action: 'delete-event', soulId, detail }));
+  plan.removeLedger.forEach(detail => actions.push({ action: 'delete-ledger', soulId, detail }));
+  return actions;
+}
+
+module.exports = { entryKey, isEmptyPlan, multisetDiff, planActions, planRepair };
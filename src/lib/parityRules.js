@@ -0,0 +1,194 @@
+/**
+ * parityRules.js
+ *
+ * Normalization rules for checkParity.js, read from a JSON rules file
+ * (parity-rules.json, or --rules <file>). Without a file the defaults below
+ * apply. Every key is optional:
+ *
+ *   {
+ *     "timestamps": { "precision": "millisecond", "timeZone": "UTC" },
+ *     "amount":     { "tolerance": 0 },
+ *     "aliases":    { "status": ["status", "contract_status"], ... }
+ *   }
+ *
+ * precision   second | millisecond | microsecond; both sides are truncated
+ *             to it before comparing
+ * timeZone    UTC | local: the zone of naive timestamps (no offset) on
+ *             either side. Values with an offset are taken as written.
+ *             DSQL TIMESTAMP columns are not naive here: pools from
+ *             lib/dsqlPool read them as UTC, the zone they are written in.
+ * tolerance   largest |DynamoDB - DSQL| difference that still counts as
+ *             an equal amount
+ * aliases     attribute names tried in order for each compared field
+ */
+
+const fs = require('fs');
+const { entryKey } = require('./parityRepair');
+
+const DEFAULT_RULES_PATH = 'parity-rules.json';
+const PRECISION_DIGITS = { second: 0, millisecond: 3, microsecond: 6 };
+const TIME_ZONES = ['UTC', 'local'];
+
+const DEFAULT_RULES = {
+  timestamps: { precision: 'millisecond', timeZone: 'UTC' },
+  amount: { tolerance: 0 },
+  aliases: {
+    status: ['status', 'contract_status'],
+    soulType: ['soulType', 'soul_type'],
+    contractLocation: ['contractLocation', 'contract_location'],
+    timestamp: ['timestamp', 'event_time', 'transaction_time'],
+    description: ['description'],
+    amount: ['amount']
+  }
+};
+
+// date, time, optional fraction, optional zone (Z, +hh:mm or +hhmm)
+const TIMESTAMP_PATTERN = /^(\d{4}-\d{2}-\d{2})[T ](\d{2}:\d{2}:\d{2})(?:\.(\d+))?(Z|[+-]\d{2}:?\d{2})?$/;
+
+/**
+ * @typedef {Object} NormalizedEntry
+ * @property {string | null} timestamp
+ * @property {string | null} description
+ * @property {number | null} amount
+ */
+
+class ParityRules {
+  /**
+   * @param {Record<string, any>} [rules] - partial rules, merged over the defaults
+   * @param {string | null} [source] - file they came from, for messages
+   */
+  constructor(rules = {}, source = null) {
+    this.source = source;
+    this.timestamps = { ...DEFAULT_RULES.timestamps, ...(rules.timestamps || {}) };
+    this.amount = { ...DEFAULT_RULES.amount, ...(rules.amount || {}) };
+    this.aliases = { ...DEFAULT_RULES.aliases, ...(rules.aliases || {}) };
+
+    const where = source ? ` in ${source}` : '';
+    if (!(this.timestamps.precision in PRECISION_DIGITS)) {
+      throw new Error(`timestamps.precision${where} must be one of ${Object.keys(PRECISION_DIGITS).join(', ')}`);
+    }
+    if (!TIME_ZONES.includes(this.timestamps.timeZone)) {
+      throw new Error(`timestamps.timeZone${where} must be one of ${TIME_ZONES.join(', ')}`);
+    }
+    if (typeof this.amount.tolerance !== 'number' || !(this.amount.tolerance >= 0)) {
+      throw new Error(`amount.tolerance${where} must be a non-negative number`);
+    }
+    for (const [field, names] of Object.entries(this.aliases)) {
+      if (!Array.isArray(names) || names.length === 0 || names.some(name => typeof name !== 'string')) {
+        throw new Error(`aliases.${field}${where} must be a non-empty array of attribute names`);
+      }
+    }
+  }
+
+  /**
+   * Reads a rules file. An explicit path must exist; the default
+   * parity-rules.json is optional and falls back to the built-in rules.
+   *
+   * @param {string} [filePath]
+   */
+  static load(filePath) {
+    const target = filePath || DEFAULT_RULES_PATH;
+    let text;
+    try {
+      text = fs.readFileSync(target, 'utf8');
+    } catch (err) {
+      if (err.code === 'ENOENT' && !filePath) return new ParityRules();
+      throw new Error(`Rules file ${target} is unreadable: ${err.message}`);
+    }
+    let rules;
+    try {
+      rules = JSON.parse(text);
+    } catch (err) {
+      throw new Error(`Rules file ${target} is not valid JSON: ${err.message}`);
+    }
+    return new ParityRules(rules, target);
+  }
+
+  /**
+   * First attribute of `record` present under one of `field`'s aliases.
+   *
+   * @param {Record<string, any> | null} record
+   * @param {string} field
+   */
+  field(record, field) {
+    if (!record) return undefined;
+    for (const name of this.aliases[field] || [field]) {
+      if (record[name] !== undefined && record[name] !== null) return record[name];
+    }
+    return undefined;
+  }
+
+  /**
+   * @param {unknown} value
+   * @returns {string | null} ISO-8601 in UTC at the configured precision;
+   *   values that don't look like timestamps come back unchanged
+   */
+  timestamp(value) {
+    if (value === undefined || value === null) return null;
+    const text = value instanceof Date ? value.toISOString() : String(value);
+    const match = TIMESTAMP_PATTERN.exec(text);
+    if (!match) return text;
+
+    const [, date, time, fraction = '', zone] = match;
+    const utc = this.timestamps.timeZone === 'UTC';
+    // Without an offset, Date.parse reads the wall time as local time.
+    const millis = Date.parse(`${date}T${time}${zone || (utc ? 'Z' : '')}`);
+    if (Number.isNaN(millis)) return text;
+
+    const digits = PRECISION_DIGITS[this.timestamps.precision];
+    const wholeSeconds = new Date(millis).toISOString().slice(0, 19);
+    return digits === 0 ? `${wholeSeconds}Z` : `${wholeSeconds}.${fraction.padEnd(6, '0').slice(0, digits)}Z`;
+  }
+
+  /**
+   * @param {unknown} value
+   * @returns {number | null}
+   */
+  amountValue(value) {
+    if (value === undefined || value === null) return null;
+    const amount = Number(value);
+    return Number.isFinite(amount) ? amount : null;
+  }
+
+  /**
+   * @param {number | null} a
+   * @param {number | null} b
+   */
+  amountsEqual(a, b) {
+    if (a === null || b === null) return a === b;
+    // The epsilon absorbs float noise such as 0.1 + 0.2.
+    return Math.abs(a - b) <= this.amount.tolerance + 1e-9;
+  }
+
+  /**
+   * @param {Record<string, any>} entry - an event or ledger entry of a SoulProfile
+   * @returns {NormalizedEntry}
+   */
+  entry(entry) {
+    return {
+      timestamp: this.timestamp(this.field(entry, 'timestamp')),
+      description: this.field(entry, 'description') ?? null,
+      amount: this.amountValue(this.field(entry, 'amount'))
+    };
+  }
+
+  /**
+   * Content key of an entry after normalization. The amount is left out;
+   * pair it with accepts() so amounts within the tolerance still match.
+   *
+   * @returns {(entry: Record<string, any>) => string}
+   */
+  keyFor() {
+    return entry => entryKey({ ...this.entry(entry), amount: null });
+  }
+
+  /**
+   * @returns {(a: Record<string, any>, b: Record<string, any>) => boolean}
+   *   whether two entries sharing a keyFor() key have equal amounts
+   */
+  accepts() {
+    return (a, b) => this.amountsEqual(this.amountValue(this.field(a, 'amount')), this.amountValue(this.field(b, 'amount')));
+  }
+}
+
+module.exports = { DEFAULT_RULES, DEFAULT_RULES_PATH, ParityRules };
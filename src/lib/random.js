@@ -0,0 +1,80 @@
+/**
+ * random.js
+ *
+ * Seedable PRNG for reproducible datasets. Same seed, same sequence, on
+ * every platform (mulberry32: 32-bit state, good enough for test data,
+ * not for anything security-related).
+ */
+
+const { createHash, randomInt } = require('crypto');
+
+const MAX_SEED = 2 ** 32 - 1;
+
+/**
+ * @typedef {Object} Rng
+ * @property {number} seed
+ * @property {() => number} next - float in [0, 1)
+ * @property {(maxExclusive: number) => number} int - integer in [0, maxExclusive)
+ * @property {<T>(items: T[]) => T} pick
+ */
+
+/**
+ * @param {number} seed - integer in [0, 2^32)
+ * @returns {Rng}
+ */
+function createRng(seed) {
+  let state = seed >>> 0;
+  const next = () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  const int = maxExclusive => Math.floor(next() * maxExclusive);
+  return {
+    seed,
+    next,
+    int,
+    pick: items => items[int(items.length)]
+  };
+}
+
+/**
+ * Parses a --seed value; a missing value yields a fresh random seed so
+ * every run can still be reproduced from the seed it prints.
+ *
+ * @param {string | number | undefined} value
+ * @returns {number}
+ */
+function resolveSeed(value) {
+  if (value === undefined || value === null || value === true) {
+    return randomInt(MAX_SEED);
+  }
+  const parsed = typeof value === 'number' ? value : Number(value);
+  if (!Number.isInteger(parsed) || parsed < 0 || parsed > MAX_SEED) {
+    throw new Error(`--seed must be an integer between 0 and ${MAX_SEED}, got '${value}'`);
+  }
+  return parsed;
+}
+
+/**
+ * UUID-shaped SHA-1 of `parts`: the same parts always give the same id, so
+ * replaying a seeded row hits its primary key instead of adding a copy.
+ * Doesn't draw from any Rng, so existing seeds keep their datasets.
+ *
+ * @param {...(string | number)} parts
+ * @returns {string}
+ */
+function stableUuid(...parts) {
+  const hex = createHash('sha1').update(parts.join(':')).digest('hex');
+  return [
+    hex.slice(0, 8),
+    hex.slice(8, 12),
+    `5${hex.slice(13, 16)}`,
+    ((parseInt(hex.slice(16, 18), 16) & 0x3f) | 0x80).toString(16) + hex.slice(18, 20),
+    hex.slice(20, 32)
+  ].join('-');
+}
+
+module.exports = { createRng, resolveSeed, stableUuid, MAX_SEED };
@@ -0,0 +1,73 @@
+/**
+ * rateLimiter.js
+ *
+ * Token bucket for pacing bulk DynamoDB writes by capacity units. Callers
+ * take their estimated cost before a request and settle the difference
+ * once the response reports ConsumedCapacity, so the long-run rate tracks
+ * what DynamoDB actually charged. Debt (a negative balance) delays the
+ * next taker instead of failing it.
+ */
+
+const { sleep } = require('./dsqlRetry');
+
+class TokenBucket {
+  /**
+   * @param {{ ratePerSecond: number, burst?: number }} options - burst
+   *   defaults to one second's worth of tokens
+   */
+  constructor({ ratePerSecond, burst }) {
+    if (!(ratePerSecond > 0)) {
+      throw new RangeError('ratePerSecond must be positive');
+    }
+    this.ratePerSecond = ratePerSecond;
+    this.capacity = burst ?? ratePerSecond;
+    this.tokens = this.capacity;
+    this.updatedAt = Date.now();
+    this.waitedMs = 0;
+    // Takers queue so concurrent workers are served in order.
+    this.queue = Promise.resolve();
+  }
+
+  refill() {
+    const now = Date.now();
+    this.tokens = Math.min(this.capacity, this.tokens + ((now - this.updatedAt) / 1000) * this.ratePerSecond);
+    this.updatedAt = now;
+  }
+
+  /**
+   * Resolves once `cost` tokens are available, then removes them. A cost
+   * above the burst size waits only for a full bucket and then takes the
+   * whole cost, leaving the balance negative; the next taker waits for
+   * that debt to refill, so the long-run rate still holds.
+   *
+   * @param {number} cost
+   */
+  take(cost) {
+    const turn = this.queue.then(async () => {
+      this.refill();
+      const needed = Math.min(cost, this.capacity);
+      if (this.tokens < needed) {
+        const delay = Math.ceil(((needed - this.tokens) / this.ratePerSecond) * 1000);
+        this.waitedMs += delay;
+        await sleep(delay);
+        this.refill();
+      }
+      this.tokens -= cost;
+    });
+    this.queue = turn;
+    return turn;
+  }
+
+  /**
+   * Adjusts the balance after the real cost is known (positive = charged
+   * more than taken, negative = refund).
+   *
+   * @param {number} delta
+   */
+  settle(delta) {
+    this.refill();
+    this.tokens = Math.min(this.capacity, this.tokens - delta);
+  }
+}
+
+module.exports = { TokenBucket };
@@ -0,0 +1,149 @@
+/**
+ * seedCheckpoint.js
+ *
+ * Progress file for resumable seeding. It records what identifies the
+ * dataset (seed, counts, reference time) and, per target, how many rows in
+ * load order are committed without gaps. Saves go to a temp file that is
+ * renamed over the checkpoint, so a crash mid-write keeps the previous one.
+ */
+
+const fs = require('fs');
+
+const CHECKPOINT_VERSION = 1;
+const DEFAULT_CHECKPOINT_PATH = '.seed-checkpoint.json';
+const SAVE_INTERVAL_MS = 1000;
+
+/**
+ * @typedef {Object} DatasetIdentity
+ * @property {number} seed
+ * @property {string} referenceTime - ISO-8601
+ * @property {number} soulCount
+ * @property {number} eventsPerSoul
+ * @property {number} ledgerEntries
+ * @property {string} [profile]
+ * @property {string} [from] - NDJSON snapshot the dataset was loaded from
+ */
+
+/**
+ * @typedef {Object} TargetProgress
+ * @property {number} total - rows (DSQL) or items (DynamoDB) in the dataset
+ * @property {number} committed
+ * @property {{ souls: number, events: number, ledgerEntries: number }} position - what `committed` covers
+ * @property {string | null} completedAt
+ */
+
+class SeedCheckpoint {
+  /**
+   * @param {string} filePath
+   * @param {{ version: number, dataset: DatasetIdentity, targets: Record<string, TargetProgress>, updatedAt: string }} state
+   */
+  constructor(filePath, state) {
+    this.path = filePath;
+    this.state = state;
+    this.savedAt = 0;
+  }
+
+  /**
+   * @param {string} filePath
+   * @param {DatasetIdentity} dataset
+   * @param {Record<string, number>} totals - per target
+   */
+  static create(filePath, dataset, totals) {
+    const targets = {};
+    for (const [target, total] of Object.entries(totals)) {
+      targets[target] = {
+        total,
+        committed: 0,
+        position: { souls: 0, events: 0, ledgerEntries: 0 },
+        completedAt: null
+      };
+    }
+    return new SeedCheckpoint(filePath, {
+      version: CHECKPOINT_VERSION,
+      dataset,
+      targets,
+      updatedAt: new Date().toISOString()
+    });
+  }
+
+  /**
+   * @param {string} filePath
+   */
+  static load(filePath) {
+    let state;
+    try {
+      state = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (err) {
+      if (err.code === 'ENOENT') {
+        throw new Error(`No checkpoint at ${filePath}; nothing to resume`);
+      }
+      throw new Error(`Checkpoint ${filePath} is unreadable: ${err.message}`);
+    }
+    if (!state || state.version !== CHECKPOINT_VERSION || !state.dataset || !state.targets) {
+      throw new Error(`Checkpoint ${filePath} is not a version ${CHECKPOINT_VERSION} seed checkpoint`);
+    }
+    return new SeedCheckpoint(filePath, state);
+  }
+
+  static exists(filePath) {
+    return fs.existsSync(filePath);
+  }
+
+  get dataset() {
+    return this.state.dataset;
+  }
+
+  /**
+   * @param {string} target
+   * @returns {TargetProgress | undefined}
+   */
+  progress(target) {
+    return this.state.targets[target];
+  }
+
+  /**
+   * @returns {string[]} targets not yet completed
+   */
+  pendingTargets() {
+    return Object.keys(this.state.targets).filter(target => !this.state.targets[target].completedAt);
+  }
+
+  /**
+   * Records committed progress, saving at most once per second unless
+   * `force` is set.
+   *
+   * @param {string} target
+   * @param {number} committed
+   * @param {TargetProgress['position']} position
+   * @param {{ force?: boolean }} [options]
+   */
+  record(target, committed, position, { force = false } = {}) {
+    Object.assign(this.state.targets[target], { committed, position });
+    if (force || Date.now() - this.savedAt >= SAVE_INTERVAL_MS) {
+      this.save();
+    }
+  }
+
+  /**
+   * @param {string} target
+   */
+  complete(target) {
+    const progress = this.state.targets[target];
+    progress.completedAt = new Date().toISOString();
+    this.save();
+  }
+
+  save() {
+    this.state.updatedAt = new Date().toISOString();
+    const tmp = `${this.path}.tmp`;
+    fs.writeFileSync(tmp, `${JSON.stringify(this.state, null, 2)}\n`);
+    fs.renameSync(tmp, this.path);
+    this.savedAt = Date.now();
+  }
+
+  remove() {
+    fs.rmSync(this.path, { force: true });
+  }
+}
+
+module.exports = { SeedCheckpoint, DEFAULT_CHECKPOINT_PATH };
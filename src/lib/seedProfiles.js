@@ -0,0 +1,223 @@
+/**
+ * seedProfiles.js
+ *
+ * Data distribution profiles for seedData.js (`--profile <name>`). A
+ * profile decides how statuses are mixed, how many events each soul gets
+ * and how far apart, which souls ledger entries land on, and what kind of
+ * transaction each entry is. Every decision draws from the dataset's Rng,
+ * so a seed still reproduces the dataset for a given profile.
+ *
+ *   uniform         the original dataset: uniform souls and statuses, exactly
+ *                   eventsPerSoul events one minute apart, credits only
+ *   zipf-hot-souls  Zipf-skewed events and ledger entries, so a handful of
+ *                   souls become hot partitions
+ *   bursty-events   log-normal event counts arriving in bursts of seconds
+ *                   separated by hours or days of silence
+ *
+ * The skewed profiles also use a weighted status mix and write debits
+ * (negative amounts) and refunds (negated earlier credits) next to credits.
+ */
+
+const { STATUSES } = require('./soulStatus');
+
+const DEFAULT_PROFILE = 'uniform';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const LEDGER_WINDOW_MS = 30 * DAY_MS;
+const ZIPF_EXPONENT = 1.1;
+
+// Most contracts are still open; few have been judged either way.
+const STATUS_MIX = [
+  ['Bound', 0.55],
+  ['Pending_Judgment', 0.2],
+  ['Condemned', 0.15],
+  ['Redeemed', 0.1]
+];
+const TRANSACTION_MIX = [
+  ['credit', 0.75],
+  ['debit', 0.18],
+  ['refund', 0.07]
+];
+
+/**
+ * @typedef {'credit' | 'debit' | 'refund'} TransactionType
+ */
+
+/**
+ * @typedef {Object} LedgerDraft
+ * @property {number} amount - negative for debits and refunds
+ * @property {TransactionType} transactionType
+ * @property {Date} timestamp
+ * @property {string} description
+ */
+
+/**
+ * @typedef {Object} SeedProfile
+ * @property {string} name
+ * @property {(rng: import('./random').Rng) => string} pickStatus
+ * @property {(rng: import('./random').Rng, soulIndex: number) => number} eventCount
+ * @property {(rng: import('./random').Rng) => number} eventGapMs
+ * @property {<T>(rng: import('./random').Rng, souls: T[]) => T} pickLedgerSoul
+ * @property {(rng: import('./random').Rng, soul: { ledgerEntries: LedgerDraft[] }) => LedgerDraft} ledgerEntry
+ */
+
+const PROFILE_DESCRIPTIONS = {
+  uniform: 'uniform souls and statuses, fixed event count, credits only',
+  'zipf-hot-souls': 'Zipf-skewed events and ledger entries (hot partitions), debits and refunds',
+  'bursty-events': 'log-normal event counts in bursts, debits and refunds'
+};
+
+/**
+ * @param {string} name
+ * @param {{ soulCount: number, eventsPerSoul: number, referenceTime: Date }} config
+ * @returns {SeedProfile}
+ */
+function createProfile(name, { soulCount, eventsPerSoul, referenceTime }) {
+  const now = referenceTime.getTime();
+
+  if (name === 'uniform') {
+    // Draw order must not change: existing seeds reproduce this dataset.
+    return {
+      name,
+      pickStatus: rng => rng.pick(STATUSES),
+      eventCount: () => eventsPerSoul,
+      eventGapMs: () => 60000,
+      pickLedgerSoul: (rng, souls) => rng.pick(souls),
+      ledgerEntry: rng => {
+        const amount = rng.int(1000) + 1;
+        const timestamp = new Date(now - Math.floor(rng.next() * LEDGER_WINDOW_MS));
+        return { amount, transactionType: 'credit', timestamp, description: creditDescription(amount) };
+      }
+    };
+  }
+
+  const mixedLedgerEntry = (rng, soul) => {
+    const type = weightedPick(rng, TRANSACTION_MIX);
+    const credits = soul.ledgerEntries.filter(entry => entry.transactionType === 'credit');
+    if (type === 'refund' && credits.length > 0) {
+      const original = rng.pick(credits);
+      // Somewhere after the credit and before the reference time, up to
+      // three days later; clamping to `now` would stack refunds on one instant.
+      const earliest = original.timestamp.getTime() + 1;
+      const timestamp = new Date(earliest + rng.int(Math.max(1, Math.min(3 * DAY_MS, now - earliest))));
+      return {
+        amount: -original.amount,
+        transactionType: 'refund',
+        timestamp,
+        description: `Refund of soul power transaction: ${original.amount}`
+      };
+    }
+    const timestamp = new Date(now - Math.floor(rng.next() * LEDGER_WINDOW_MS));
+    if (type === 'debit') {
+      const amount = -(rng.int(500) + 1);
+      return { amount, transactionType: 'debit', timestamp, description: `Soul power drained: ${-amount}` };
+    }
+    // Refunds need an earlier credit on the same soul; the first entry becomes one instead.
+    const amount = rng.int(1000) + 1;
+    return { amount, transactionType: 'credit', timestamp, description: creditDescription(amount) };
+  };
+
+  if (name === 'zipf-hot-souls') {
+    const cumulative = zipfCumulative(soulCount, ZIPF_EXPONENT);
+    const total = cumulative[cumulative.length - 1];
+    const eventBudget = eventsPerSoul * soulCount;
+    return {
+      name,
+      pickStatus: rng => weightedPick(rng, STATUS_MIX),
+      // Soul i gets its Zipf share of the overall event budget.
+      eventCount: (rng, soulIndex) => {
+        if (eventsPerSoul === 0) return 0;
+        const share = (cumulative[soulIndex] - (soulIndex > 0 ? cumulative[soulIndex - 1] : 0)) / total;
+        return Math.max(1, Math.round(eventBudget * share));
+      },
+      eventGapMs: rng => (1 + rng.int(60)) * 60000,
+      pickLedgerSoul: (rng, souls) => souls[lowerBound(cumulative, rng.next() * total)],
+      ledgerEntry: mixedLedgerEntry
+    };
+  }
+
+  if (name === 'bursty-events') {
+    return {
+      name,
+      pickStatus: rng => weightedPick(rng, STATUS_MIX),
+      // Log-normal with mean eventsPerSoul: most souls are quiet, a few very busy.
+      eventCount: rng => {
+        if (eventsPerSoul === 0) return 0;
+        const sigma = 1;
+        return Math.max(1, Math.round(eventsPerSoul * Math.exp(sigma * normal(rng) - (sigma * sigma) / 2)));
+      },
+      eventGapMs: rng => (rng.next() < 0.8
+        ? (1 + rng.int(30)) * 1000
+        : (1 + rng.int(72)) * 60 * 60 * 1000),
+      pickLedgerSoul: (rng, souls) => rng.pick(souls),
+      ledgerEntry: mixedLedgerEntry
+    };
+  }
+
+  throw new Error(`Unknown profile '${name}'. Available: ${Object.keys(PROFILE_DESCRIPTIONS).join(', ')}`);
+}
+
+function creditDescription(amount) {
+  return `Soul power transaction: ${amount}`;
+}
+
+/**
+ * @template T
+ * @param {import('./random').Rng} rng
+ * @param {[T, number][]} mix - weights summing to 1
+ * @returns {T}
+ */
+function weightedPick(rng, mix) {
+  let roll = rng.next();
+  for (const [value, weight] of mix) {
+    roll -= weight;
+    if (roll < 0) return value;
+  }
+  return mix[mix.length - 1][0];
+}
+
+/**
+ * Running totals of 1/rank^exponent for ranks 1..count.
+ *
+ * @param {number} count
+ * @param {number} exponent
+ * @returns {number[]}
+ */
+function zipfCumulative(count, exponent) {
+  const cumulative = new Array(count);
+  let sum = 0;
+  for (let rank = 1; rank <= count; rank++) {
+    sum += 1 / Math.pow(rank, exponent);
+    cumulative[rank - 1] = sum;
+  }
+  return cumulative;
+}
+
+/**
+ * First index whose running total exceeds `value`.
+ *
+ * @param {number[]} cumulative
+ * @param {number} value
+ */
+function lowerBound(cumulative, value) {
+  let lo = 0;
+  let hi = cumulative.length - 1;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (cumulative[mid] > value) hi = mid;
+    else lo = mid + 1;
+  }
+  return lo;
+}
+
+/**
+ * Standard normal draw (Box-Muller).
+ *
+ * @param {import('./random').Rng} rng
+ */
+function normal(rng) {
+  const u = 1 - rng.next();
+  const v = rng.next();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+module.exports = { createProfile, DEFAULT_PROFILE, PROFILE_DESCRIPTIONS };
@@ -0,0 +1,111 @@
+/**
+ * soulRepository.js
+ *
+ * The one data-access contract for soul contracts. Both Lambdas and every
+ * script read and write souls through a SoulRepository so the two backends
+ * agree on attribute names, descriptions and status rules instead of each
+ * caller hand-rolling its own queries.
+ *
+ *   getProfile(soulId)                 contract + events + ledger, or null
+ *   getContract(soulId)                one contract, or null
+ *   getContracts(soulIds)              contracts in one batch call
+ *   updateStatus(update)               state-machine-checked status change
+ *   appendEvent(soulId, event)         event + updated_at, no status change
+ *   appendLedger(soulId, entry)        ledger entry for an existing soul
+ *   listByStatus(status, page)         Page<ContractSummary>
+ *   listByLocation(location, page)     Page<ContractSummary>
+ *   listContracts(page)                every contract, Page<ContractSummary>
+ *   locationAnalytics(options)         AnalyticsReport
+ *   scanProfiles(options)              stream every soul's SoulProfile (full parity)
+ *   bulkLoad(dataset, options)         seed a generated Dataset
+ *   purge(options)                     delete every soul, or only benchmark/demo artifacts
+ *   applyRepair(plan)                  make one soul match the other backend (parity repair)
+ */
+
+const { DynamoSoulRepository } = require('./dynamoSoulRepository');
+const { DsqlSoulRepository } = require('./dsqlSoulRepository');
+
+/**
+ * @typedef {Object} SoulProfile
+ * @property {string} soulId
+ * @property {import('./pagination').ContractSummary} contract
+ * @property {{ timestamp: string, description: string | null }[]} events
+ * @property {{ timestamp: string, amount: number | null, description: string | null, transactionType?: string | null }[]} ledger
+ * @property {number} powerBalance
+ * @property {Record<string, number>} stats - backend-specific read cost
+ */
+
+/**
+ * @typedef {Object} StoredResponse
+ * @property {string} requestHash
+ * @property {number} statusCode
+ * @property {string} body
+ */
+
+/**
+ * @typedef {Object} StatusUpdate
+ * @property {string} soulId
+ * @property {string} newStatus
+ * @property {number} amount
+ * @property {{ key: string, requestHash: string, body: string, windowSeconds: number }} [idempotency]
+ * @property {string} [descriptionPrefix] - put in front of the event and
+ *   ledger descriptions; demo.js passes ARTIFACT_PREFIX (benchmarkArtifacts.js)
+ */
+
+/**
+ * @typedef {{ kind: 'committed', attempts: number }
+ *   | { kind: 'replay', stored: StoredResponse, attempts: number }
+ *   | { kind: 'illegal-transition', currentStatus: string | null, attempts: number }} UpdateOutcome
+ */
+
+/**
+ * @typedef {Object} SeedSoul
+ * @property {string} soulId
+ * @property {string} status
+ * @property {string} soulType
+ * @property {string} contractLocation
+ * @property {Date} createdAt
+ * @property {Date} [updatedAt]
+ * @property {{ id?: string, eventTime: Date, description: string, eventType: string }[]} events - DSQL
+ *   row ids default to random UUIDs; pass stable ones to make reloads idempotent
+ */
+
+/**
+ * @typedef {Object} Dataset
+ * @property {SeedSoul[]} souls
+ * @property {{ id?: string, soulId: string, amount: number, transactionType?: 'credit' | 'debit' | 'refund', timestamp: Date, description: string }[]} ledgerEntries
+ */
+
+/**
+ * Changes that make one soul match the source of truth; built by
+ * parityRepair.planRepair(). Entries to remove are matched by content.
+ *
+ * @typedef {Object} RepairPlan
+ * @property {string} soulId
+ * @property {import('./pagination').ContractSummary | null} upsertContract
+ * @property {{ timestamp: string, description: string | null }[]} addEvents
+ * @property {{ timestamp: string, amount: number | null, description: string | null, transactionType?: string | null }[]} addLedger
+ * @property {{ timestamp: string, description: string | null }[]} removeEvents
+ * @property {{ timestamp: string, amount: number | null, description: string | null }[]} removeLedger
+ * @property {boolean} deleteSoul - the soul exists only in the target
+ */
+
+/**
+ * @param {'dynamo' | 'dsql'} backend
+ * @param {{ dsql?: import('pg').Client | import('pg').Pool, docClient?: any, tableName?: string, region?: string }} [options]
+ * @returns {DynamoSoulRepository | DsqlSoulRepository}
+ */
+function createSoulRepository(backend, options = {}) {
+  if (backend === 'dynamo') {
+    return new DynamoSoulRepository(options);
+  }
+  if (backend === 'dsql') {
+    if (!options.dsql) {
+      throw new Error('A pg Client or Pool is required for the DSQL repository');
+    }
+    return new DsqlSoulRepository(options.dsql);
+  }
+  throw new Error(`Unknown soul repository backend '${backend}'`);
+}
+
+module.exports = { createSoulRepository, DynamoSoulRepository, DsqlSoulRepository };
@@ -0,0 +1,79 @@
+/**
+ * soulStatus.js
+ *
+ * The soul contract status state machine, shared by both soul tracker
+ * Lambdas and the scripts. Plain CommonJS so the Node scripts can require it
+ * directly and esbuild can bundle it into the Lambdas.
+ *
+ *   Bound ───────────► Pending_Judgment ──► Redeemed
+ *     │   ◄───────────        │
+ *     ├──► Redeemed           └──────────► Condemned
+ *     └──► Condemned
+ *
+ * Redeemed and Condemned are final. Re-applying the current status is
+ * always allowed (it records a ledger entry without changing the contract).
+ */
+
+const STATUSES = ['Bound', 'Pending_Judgment', 'Redeemed', 'Condemned'];
+
+/** Statuses a brand-new contract may be created with. */
+const INITIAL_STATUSES = ['Bound'];
+
+/** Allowed from → to moves, excluding the implicit self-transition. */
+const TRANSITIONS = {
+  Bound: ['Pending_Judgment', 'Redeemed', 'Condemned'],
+  Pending_Judgment: ['Bound', 'Redeemed', 'Condemned'],
+  Redeemed: [],
+  Condemned: []
+};
+
+/**
+ * @param {unknown} status
+ * @returns {boolean}
+ */
+function isKnownStatus(status) {
+  return typeof status === 'string' && STATUSES.includes(status);
+}
+
+/**
+ * @param {string | null | undefined} from - current status, or null when the contract does not exist yet
+ * @param {string} to - requested status
+ * @returns {boolean}
+ */
+function canTransition(from, to) {
+  if (!isKnownStatus(to)) return false;
+  if (from === null || from === undefined) return INITIAL_STATUSES.includes(to);
+  if (from === to) return true;
+  return (TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * Every status a contract may currently hold for a move to `to` to be legal.
+ * Used to build conditional writes (e.g. a DynamoDB `IN (...)` condition).
+ *
+ * @param {string} to
+ * @returns {string[]}
+ */
+function allowedPredecessors(to) {
+  return STATUSES.filter(from => canTransition(from, to));
+}
+
+/**
+ * @param {string | null | undefined} from
+ * @returns {string[]}
+ */
+function allowedTransitions(from) {
+  if (from === null || from === undefined) return [...INITIAL_STATUSES];
+  if (!isKnownStatus(from)) return [];
+  return [from, ...TRANSITIONS[from]];
+}
+
+module.exports = {
+  STATUSES,
+  INITIAL_STATUSES,
+  TRANSITIONS,
+  isKnownStatus,
+  canTransition,
+  allowedPredecessors,
+  allowedTransitions
+};
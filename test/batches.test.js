@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { chunk, runBatches } = require('../src/lib/batches');
+
+// Batches that finish when the test says so, in any order.
+function controlledRun() {
+  const pending = new Map();
+  const started = [];
+  return {
+    started,
+    run: (batch, index) => new Promise((resolve, reject) => {
+      started.push(index);
+      pending.set(index, { resolve, reject });
+    }),
+    finish: async (index, error) => {
+      const { resolve, reject } = pending.get(index);
+      if (error) reject(error);
+      else resolve();
+      await new Promise(setImmediate);
+    }
+  };
+}
+
+test('chunk splits into fixed-size batches with a short tail', () => {
+  assert.deepEqual(chunk([1, 2, 3, 4, 5], 2), [[1, 2], [3, 4], [5]]);
+});
+
+test('the checkpoint only covers the contiguous prefix of finished batches', async () => {
+  const batches = chunk(['a', 'b', 'c', 'd', 'e'], 2);
+  const checkpoints = [];
+  const control = controlledRun();
+  const running = runBatches(batches, {
+    run: control.run,
+    concurrency: 3,
+    startOffset: 100,
+    onCheckpoint: offset => checkpoints.push(offset)
+  });
+  await new Promise(setImmediate);
+  assert.deepEqual(control.started, [0, 1, 2]);
+
+  await control.finish(2);
+  await control.finish(1);
+  assert.deepEqual(checkpoints, []);
+
+  await control.finish(0);
+  assert.deepEqual(checkpoints, [105]);
+
+  assert.deepEqual(await running, { written: 5 });
+});
+
+test('a failed batch leaves the checkpoint before it, after in-flight batches settle', async () => {
+  const batches = chunk([1, 2, 3, 4], 1);
+  const checkpoints = [];
+  const progress = [];
+  const control = controlledRun();
+  const running = runBatches(batches, {
+    run: control.run,
+    concurrency: 2,
+    onProgress: written => progress.push(written),
+    onCheckpoint: offset => checkpoints.push(offset)
+  });
+  const failure = assert.rejects(running, /batch 1 failed/);
+  await new Promise(setImmediate);
+
+  await control.finish(0);
+  await control.finish(1, new Error('batch 1 failed'));
+  await control.finish(2);
+
+  await failure;
+  assert.deepEqual(control.started, [0, 1, 2]);
+  assert.deepEqual(checkpoints, [1]);
+  assert.deepEqual(progress, [1, 2]);
+});
@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ARTIFACT_PREFIX } = require('../src/lib/benchmarkArtifacts');
+const { DsqlSoulRepository } = require('../src/lib/dsqlSoulRepository');
+const { DynamoSoulRepository } = require('../src/lib/dynamoSoulRepository');
+
+// Just enough SQL for updateStatus and an artifact-only purge.
+function fakeDsql() {
+  const tables = { soul_contract_events: [], soul_ledger: [] };
+  let nextId = 0;
+  return {
+    tables,
+    query: async (text, params = []) => {
+      if (/^SELECT contract_status/.test(text)) return { rows: [{ contract_status: 'Bound' }] };
+      const insert = /^INSERT INTO (soul_contract_events|soul_ledger)\(/.exec(text);
+      if (insert) {
+        tables[insert[1]].push({ id: String(nextId++), description: params[params.length - 1] });
+        return { rows: [] };
+      }
+      const select = /^SELECT id FROM (\w+) WHERE description LIKE \$1/.exec(text);
+      if (select) {
+        assert.ok(params[0].endsWith('%'));
+        const prefix = params[0].slice(0, -1);
+        const after = params[2] ?? '';
+        const rows = tables[select[1]].filter(row => row.description.startsWith(prefix) && row.id > after);
+        return { rows: rows.slice(0, params[1]) };
+      }
+      const remove = /^DELETE FROM (\w+) WHERE id = ANY\(\$1\)/.exec(text);
+      if (remove) {
+        tables[remove[1]] = tables[remove[1]].filter(row => !params[0].includes(row.id));
+        return { rowCount: params[0].length };
+      }
+      return { rows: [] };
+    }
+  };
+}
+
+test('DSQL artifact purge keeps real Redeemed transitions', async () => {
+  const db = fakeDsql();
+  const repository = new DsqlSoulRepository(db);
+  await repository.updateStatus({ soulId: 's1', newStatus: 'Redeemed', amount: 500 });
+  await repository.updateStatus({ soulId: 's2', newStatus: 'Redeemed', amount: 500, descriptionPrefix: ARTIFACT_PREFIX });
+
+  const { deleted } = await repository.purge({ onlyBenchmarkArtifacts: true });
+  assert.deepEqual(deleted, { soul_contract_events: 1, soul_ledger: 1 });
+  assert.deepEqual(db.tables.soul_contract_events.map(row => row.description), ["Contract updated to 'Redeemed'"]);
+  assert.deepEqual(db.tables.soul_ledger.map(row => row.description), ['Financial transaction: Redeemed']);
+});
+
+test('DynamoDB artifact purge keeps real Redeemed transitions', async () => {
+  const items = [];
+  let scanInput;
+  const repository = new DynamoSoulRepository({
+    tableName: 'Test',
+    docClient: {
+      send: async command => {
+        const name = command.constructor.name;
+        if (name === 'TransactWriteCommand') {
+          command.input.TransactItems.forEach(item => item.Put && items.push(item.Put.Item));
+          return {};
+        }
+        if (name === 'ScanCommand') {
+          scanInput = command.input;
+          return { Items: [], ScannedCount: 0 };
+        }
+        return {};
+      }
+    }
+  });
+  await repository.updateStatus({ soulId: 's1', newStatus: 'Redeemed', amount: 500 });
+  await repository.updateStatus({ soulId: 's2', newStatus: 'Redeemed', amount: 500, descriptionPrefix: ARTIFACT_PREFIX });
+  await repository.purge({ onlyBenchmarkArtifacts: true, segments: 1 });
+
+  assert.match(scanInput.FilterExpression, /begins_with\(description, :artifact\)/);
+  assert.doesNotMatch(scanInput.FilterExpression, /description =/);
+  const matched = items.filter(item => item.description.startsWith(scanInput.ExpressionAttributeValues[':artifact']));
+  assert.deepEqual(matched.map(item => item.PK), ['SOUL#s2', 'SOUL#s2']);
+});
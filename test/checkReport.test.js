@@ -0,0 +1,10 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { defaultReportPath } = require('../src/lib/checkReport');
+
+test('default reports land in the repository root, not the working directory', () => {
+  const root = path.resolve(__dirname, '..');
+  assert.equal(defaultReportPath('parity', 'json'), path.join(root, 'parity-report.json'));
+  assert.equal(defaultReportPath('validation', 'junit'), path.join(root, 'validation-report.xml'));
+});
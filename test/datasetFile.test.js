@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SeedData = require('../scripts/seedData');
+const { readDataset, writeDataset } = require('../src/lib/datasetFile');
+
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'dataset-'));
+test.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+// Ledger entries are compared on their own; a missing updatedAt reads back as undefined.
+const contractOf = ({ ledgerEntries, updatedAt, ...soul }) => (updatedAt === undefined ? soul : { ...soul, updatedAt });
+
+const generator = { seed: 7, profile: 'uniform', soulCount: 20, eventsPerSoul: 5, ledgerEntries: 60 };
+
+test('an exported dataset reads back identical', async () => {
+  const dataset = new SeedData(generator).prepareDataset();
+  const file = path.join(directory, 'round-trip.ndjson');
+
+  const written = await writeDataset(file, dataset, { seed: 7, profile: 'uniform' });
+  const { header, dataset: read } = await readDataset(file);
+
+  assert.deepEqual(header, written);
+  assert.deepEqual(header.counts, { souls: 20, events: 100, ledgerEntries: 60 });
+  assert.deepEqual(read.ledgerEntries, dataset.ledgerEntries);
+  assert.deepEqual(read.souls.map(contractOf), dataset.souls.map(contractOf));
+  for (const soul of read.souls) {
+    assert.deepEqual(soul.ledgerEntries, read.ledgerEntries.filter(entry => entry.soulId === soul.soulId));
+  }
+  assert.ok(!fs.existsSync(`${file}.tmp`));
+});
+
+test('a truncated file is rejected', async () => {
+  const dataset = new SeedData(generator).prepareDataset();
+  const file = path.join(directory, 'truncated.ndjson');
+  await writeDataset(file, dataset);
+  const lines = fs.readFileSync(file, 'utf8').trimEnd().split('\n');
+  fs.writeFileSync(file, `${lines.slice(0, -1).join('\n')}\n`);
+
+  await assert.rejects(readDataset(file), /header lists 60 ledgerEntries but the file has 59/);
+});
+
+test('records for unknown souls are rejected with their line number', async () => {
+  const file = path.join(directory, 'orphan.ndjson');
+  fs.writeFileSync(file, [
+    JSON.stringify({ type: 'header', version: 1, counts: { souls: 0, events: 1, ledgerEntries: 0 } }),
+    JSON.stringify({ type: 'event', soulId: 'ghost', id: 'e1', eventTime: '2025-01-01T00:00:00.000Z' })
+  ].join('\n'));
+
+  await assert.rejects(readDataset(file), /orphan\.ndjson:2: event for unknown soul 'ghost'/);
+});
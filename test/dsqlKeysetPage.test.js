@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { DsqlSoulRepository } = require('../src/lib/dsqlSoulRepository');
+const { decodeCursor } = require('../src/lib/pagination');
+
+function fakeDb(rows) {
+  const queries = [];
+  return {
+    queries,
+    query: async (text, params) => {
+      queries.push({ text, params });
+      return { rows };
+    }
+  };
+}
+
+const row = (id, updatedAtKey) => ({
+  id,
+  contract_status: 'Bound',
+  soul_type: null,
+  contract_location: null,
+  updated_at: updatedAtKey === '-infinity' ? null : new Date(updatedAtKey),
+  updated_at_key: updatedAtKey
+});
+
+test('a page ending on a NULL updated_at yields a cursor that is accepted', async () => {
+  const db = fakeDb([row('b', '2024-01-01 00:00:00'), row('a', '-infinity'), row('0', '-infinity')]);
+  const repository = new DsqlSoulRepository(db);
+
+  const page = await repository.listByStatus('Bound', { limit: 2 });
+  assert.deepEqual(decodeCursor(page.nextCursor), { updatedAt: '-infinity', id: 'a' });
+  assert.equal(page.items[1].updatedAt, null);
+
+  await repository.listByStatus('Bound', { limit: 2, cursor: page.nextCursor });
+  const { text, params } = db.queries[1];
+  assert.deepEqual(params.slice(2), ['-infinity', 'a']);
+  // NULLs must take part in the order and the keyset, or they are skipped.
+  assert.match(text, /\(COALESCE\(updated_at, '-infinity'::timestamp\), id\) < \(\$3::timestamp, \$4\)/);
+  assert.match(text, /ORDER BY COALESCE\(updated_at, '-infinity'::timestamp\) DESC, id DESC/);
+});
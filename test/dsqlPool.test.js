@@ -0,0 +1,16 @@
+process.env.DEVIL_ENV = 'local';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createDsqlPool } = require('../src/lib/dsqlPool');
+
+test('idleTimeoutMillis reaches the pool only when given', async () => {
+  const kept = createDsqlPool({ max: 1, idleTimeoutMillis: 0 });
+  const defaulted = createDsqlPool({ max: 1 });
+  try {
+    assert.equal(kept.options.idleTimeoutMillis, 0);
+    assert.equal(defaulted.options.idleTimeoutMillis, 10000);
+  } finally {
+    await Promise.all([kept.end(), defaulted.end()]);
+  }
+});
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { backoffDelay, isRetryableConflict, withOccRetry } = require('../src/lib/dsqlRetry');
+const { DsqlSoulRepository } = require('../src/lib/dsqlSoulRepository');
+const { fakeDsql } = require('./helpers/fakeDsql');
+
+const conflict = () => Object.assign(new Error('change conflicts with another transaction (OC000)'), { code: '40001' });
+const fast = { baseMs: 1, maxMs: 1 };
+
+test('OCC conflicts are recognized by SQLSTATE or DSQL code', () => {
+  assert.ok(isRetryableConflict(conflict()));
+  assert.ok(isRetryableConflict(new Error('schema changed (OC001)')));
+  assert.ok(!isRetryableConflict(Object.assign(new Error('duplicate key'), { code: '23505' })));
+});
+
+test('backoff stays under the capped exponential ceiling', () => {
+  for (let attempt = 1; attempt <= 10; attempt++) {
+    const delay = backoffDelay(attempt, { baseMs: 50, maxMs: 400 });
+    assert.ok(delay >= 0 && delay < Math.min(400, 50 * 2 ** (attempt - 1)));
+  }
+});
+
+test('a conflict is replayed until the transaction commits', async () => {
+  let calls = 0;
+  const { result, attempts } = await withOccRetry(async () => {
+    calls += 1;
+    if (calls < 3) throw conflict();
+    return 'done';
+  }, fast);
+  assert.equal(result, 'done');
+  assert.equal(attempts, 3);
+});
+
+test('retries stop at maxAttempts and the error carries the count', async () => {
+  await assert.rejects(
+    withOccRetry(async () => { throw conflict(); }, { ...fast, maxAttempts: 2 }),
+    err => err.code === '40001' && err.attempts === 2
+  );
+});
+
+test('other errors are not retried', async () => {
+  let calls = 0;
+  await assert.rejects(
+    withOccRetry(async () => { calls += 1; throw new Error('boom'); }, fast),
+    err => err.attempts === 1
+  );
+  assert.equal(calls, 1);
+});
+
+test('updateStatus replays the whole transaction after a conflicting COMMIT', async () => {
+  const db = fakeDsql({ conflictingCommits: 1 });
+  const outcome = await new DsqlSoulRepository(db).updateStatus({ soulId: 's1', newStatus: 'Bound', amount: 10 });
+
+  assert.equal(outcome.kind, 'committed');
+  assert.equal(outcome.attempts, 2);
+  assert.equal(db.tables.soul_contract_events.length, 1);
+  assert.equal(db.tables.soul_ledger.length, 1);
+});
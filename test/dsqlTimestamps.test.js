@@ -0,0 +1,63 @@
+// Runs as if on a host west of UTC; must be set before any Date is used.
+process.env.TZ = 'America/New_York';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { types } = require('pg');
+const { utcTimestampTypes } = require('../src/lib/dsqlPool');
+const { DsqlSoulRepository } = require('../src/lib/dsqlSoulRepository');
+const { ParityRules } = require('../src/lib/parityRules');
+const { fakeDsql } = require('./helpers/fakeDsql');
+const { readTimestamp, storedTimestamp } = require('./helpers/pgTimestamp');
+
+test('the pool reads TIMESTAMP columns as UTC', () => {
+  assert.equal(new Date('2025-01-01T12:00:00Z').getTimezoneOffset(), 300);
+  assert.equal(readTimestamp('2025-01-01 12:00:00.123456').toISOString(), '2025-01-01T12:00:00.123Z');
+  assert.equal(readTimestamp('-infinity'), -Infinity);
+  assert.equal(utcTimestampTypes.getTypeParser(23, 'text'), types.getTypeParser(23, 'text'));
+});
+
+test('seeded Dates are stored as UTC wall time and compare equal to DynamoDB', async () => {
+  const inserts = [];
+  const repository = new DsqlSoulRepository({
+    query: async (text, params) => {
+      if (text.startsWith('INSERT')) inserts.push(params);
+      return { rows: [], rowCount: 0 };
+    }
+  });
+  const eventTime = new Date('2025-01-01T12:00:00.123Z');
+  await repository.bulkLoad({
+    souls: [{
+      soulId: 's1',
+      status: 'Bound',
+      soulType: null,
+      contractLocation: null,
+      createdAt: eventTime,
+      events: [{ id: 'e1', eventTime, description: 'Bound' }]
+    }],
+    ledgerEntries: []
+  });
+
+  const stored = storedTimestamp(inserts.flat().find(param => String(param).startsWith('2025-01-01')));
+  assert.equal(stored, '2025-01-01 12:00:00.123');
+  const rules = new ParityRules();
+  assert.equal(rules.timestamp(readTimestamp(stored)), rules.timestamp('2025-01-01T12:00:00.123Z'));
+});
+
+test('appended events and ledger entries keep their instant', async () => {
+  const db = fakeDsql();
+  db.tables.soul_contracts.push({ id: 's1', contract_status: 'Bound', soul_type: null, contract_location: null, updated_at: null });
+  const repository = new DsqlSoulRepository(db);
+  const before = Date.now();
+  await repository.appendEvent('s1', { description: 'Benchmark event 0', timestamp: '2025-01-01T12:00:00.123Z' });
+  await repository.appendEvent('s1', { description: 'Benchmark event 1', timestamp: '2025-01-01T14:00:00.456+02:00' });
+  await repository.appendLedger('s1', { amount: 5, description: 'Tithe', timestamp: '2025-01-01T12:00:01.000Z' });
+  await repository.appendLedger('s1', { amount: 6, description: 'Tithe' });
+
+  const profile = await repository.getProfile('s1');
+  assert.deepEqual(profile.events.map(event => event.timestamp), ['2025-01-01T12:00:00.123Z', '2025-01-01T12:00:00.456Z']);
+  assert.equal(profile.contract.updatedAt, '2025-01-01T12:00:00.456Z');
+  assert.equal(profile.ledger[0].timestamp, '2025-01-01T12:00:01.000Z');
+  // Without a timestamp the row gets NOW(), which must read back as now.
+  assert.ok(Math.abs(Date.parse(profile.ledger[1].timestamp) - before) < 5000);
+});
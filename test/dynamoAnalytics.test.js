@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { DynamoSoulRepository } = require('../src/lib/dynamoSoulRepository');
+
+const contract = (id, location, status = 'Bound') => ({
+  PK: `SOUL#${id}`,
+  SK: 'CONTRACT',
+  soulId: id,
+  status,
+  ...(location ? { contract_location: location } : {})
+});
+const ledger = (id, amount) => ({ PK: `SOUL#${id}`, SK: `LEDGER#2025-01-01T00:00:00.000Z#${amount}`, amount });
+
+// Scan and Query over a fixed item list, enough for locationAnalytics.
+function repositoryOver(items) {
+  return new DynamoSoulRepository({
+    tableName: 'Test',
+    docClient: {
+      send: async command => {
+        const { IndexName, ExpressionAttributeValues: values } = command.input;
+        if (command.constructor.name === 'ScanCommand') {
+          return { Items: items.filter(item => item.SK === 'CONTRACT') };
+        }
+        if (IndexName === 'LocationIndex') {
+          return { Items: items.filter(item => item.contract_location === values[':location']) };
+        }
+        return { Items: items.filter(item => item.PK === values[':pk'] && item.SK.startsWith(values[':ledger'])) };
+      }
+    }
+  });
+}
+
+const items = [
+  contract('a', 'Highway_66', 'Redeemed'), ledger('a', 10),
+  contract('b', 'Salem'), ledger('b', 5), ledger('b', 7),
+  contract('c', null), ledger('c', 3)
+];
+
+test('every location is reported, including contracts without one', async () => {
+  const report = await repositoryOver(items).locationAnalytics({ locations: null });
+  const byLocation = Object.fromEntries(report.locations.map(row => [row.location, row]));
+  assert.deepEqual(Object.keys(byLocation).sort(), ['Highway_66', 'Salem', 'null']);
+  assert.equal(byLocation.Salem.totalPower, 12);
+  assert.equal(byLocation.Highway_66.redeemed, 1);
+  assert.equal(byLocation.null.soulCount, 1);
+  assert.equal(report.skippedSouls, 0);
+});
+
+test('a location list reports how many souls it left out', async () => {
+  const report = await repositoryOver(items).locationAnalytics({ locations: ['Salem'] });
+  assert.deepEqual(report.locations.map(row => row.location), ['Salem']);
+  assert.equal(report.skippedSouls, 2);
+});
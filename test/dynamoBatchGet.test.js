@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { DynamoSoulRepository } = require('../src/lib/dynamoSoulRepository');
+
+function repositoryReturning(respond) {
+  let calls = 0;
+  const repo = new DynamoSoulRepository({
+    tableName: 'Test',
+    docClient: { send: async command => respond(command.input.RequestItems.Test.Keys, ++calls) }
+  });
+  return { repo, calls: () => calls };
+}
+
+test('unprocessed keys are retried until they come back', async () => {
+  const { repo, calls } = repositoryReturning((keys, call) => {
+    const [first, ...rest] = keys;
+    return {
+      Responses: { Test: call === 1 ? [{ ...first, soulId: 'a' }] : keys.map(key => ({ ...key, soulId: key.PK.slice(5) })) },
+      UnprocessedKeys: call === 1 ? { Test: { Keys: rest } } : {}
+    };
+  });
+  const contracts = await repo.getContracts(['a', 'b']);
+  assert.deepEqual(contracts.map(contract => contract.soulId), ['a', 'b']);
+  assert.equal(calls(), 2);
+});
+
+test('sustained throttling gives up instead of retrying forever', async () => {
+  const { repo, calls } = repositoryReturning(keys => ({ Responses: { Test: [] }, UnprocessedKeys: { Test: { Keys: keys } } }));
+  await assert.rejects(repo.getContracts(['a']), /1 keys still unprocessed after 10 BatchGetItem attempts/);
+  assert.equal(calls(), 10);
+});
@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { DynamoSoulRepository } = require('../src/lib/dynamoSoulRepository');
+const { InvalidPageRequestError, encodeCursor } = require('../src/lib/pagination');
+
+function repository() {
+  const inputs = [];
+  const repo = new DynamoSoulRepository({
+    tableName: 'Test',
+    docClient: {
+      send: async command => {
+        inputs.push(command.input);
+        return { Items: [] };
+      }
+    }
+  });
+  return { repo, inputs };
+}
+
+const statusKey = { PK: 'SOUL#a', SK: 'CONTRACT', status: 'Bound' };
+
+test('a cursor from the same listing is passed on as ExclusiveStartKey', async () => {
+  const { repo, inputs } = repository();
+  await repo.listByStatus('Bound', { limit: 10, cursor: encodeCursor(statusKey) });
+  assert.deepEqual(inputs[0].ExclusiveStartKey, statusKey);
+});
+
+test('forged or stale cursors are rejected before DynamoDB sees them', async () => {
+  const { repo, inputs } = repository();
+  const rejects = (promise) => assert.rejects(promise, InvalidPageRequestError);
+
+  await rejects(repo.listByStatus('Bound', { limit: 10, cursor: encodeCursor({ PK: 'SOUL#a' }) }));
+  await rejects(repo.listByStatus('Bound', { limit: 10, cursor: encodeCursor({ ...statusKey, extra: 'x' }) }));
+  await rejects(repo.listByStatus('Bound', { limit: 10, cursor: encodeCursor({ ...statusKey, SK: 7 }) }));
+  // A cursor from another status' listing.
+  await rejects(repo.listByStatus('Condemned', { limit: 10, cursor: encodeCursor(statusKey) }));
+  await rejects(repo.listByLocation('Salem', { limit: 10, cursor: encodeCursor(statusKey) }));
+  await rejects(repo.listContracts({ limit: 10, cursor: encodeCursor(statusKey) }));
+  assert.equal(inputs.length, 0);
+});
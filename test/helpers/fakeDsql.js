@@ -0,0 +1,135 @@
+const { randomUUID } = require('crypto');
+const { readTimestamp, storedTimestamp } = require('./pgTimestamp');
+
+const TIMESTAMP_COLUMNS = new Set(['updated_at', 'event_time', 'transaction_time', 'created_at', 'expires_at']);
+const PRIMARY_KEYS = { idempotency_keys: 'idempotency_key' };
+
+/**
+ * An in-memory stand-in for the soul tables and idempotency_keys, covering
+ * the statement shapes DsqlSoulRepository sends: single- and multi-row
+ * INSERT (with ON CONFLICT), UPDATE/SELECT by one column, and DELETE by id.
+ * TIMESTAMP columns keep what PostgreSQL would (see pgTimestamp.js), so
+ * values come back the way a lib/dsqlPool pool reads them. ROLLBACK undoes
+ * the transaction; the first `conflictingCommits` COMMITs fail with an OCC
+ * conflict and roll back, as DSQL does.
+ *
+ * @param {{ conflictingCommits?: number }} [options]
+ */
+function fakeDsql({ conflictingCommits = 0 } = {}) {
+  const tables = { soul_contracts: [], soul_contract_events: [], soul_ledger: [], idempotency_keys: [] };
+  const queries = [];
+  let snapshot = null;
+  const rollback = () => {
+    Object.assign(tables, snapshot);
+    snapshot = null;
+  };
+
+  const store = (column, value) => (TIMESTAMP_COLUMNS.has(column) && value !== null ? storedTimestamp(value) : value);
+  const read = row => Object.fromEntries(Object.entries(row).map(([column, value]) => [
+    column,
+    TIMESTAMP_COLUMNS.has(column) && value !== null ? readTimestamp(value) : value
+  ]));
+  // DSQL sessions run in UTC, so NOW() stores UTC wall time.
+  const now = () => new Date().toISOString();
+  const evaluate = (expression, params) => {
+    const text = expression.trim();
+    if (text === 'gen_random_uuid()') return randomUUID();
+    if (text === 'NOW()') return now();
+    if (/^\d+$/.test(text)) return Number(text);
+    const expiry = /^NOW\(\) \+ \$(\d+)::int \* INTERVAL '1 second'$/.exec(text);
+    if (expiry) return new Date(Date.now() + params[expiry[1] - 1] * 1000).toISOString();
+    const coalesce = /^COALESCE\(\$(\d+)(?:::\w+)?, NOW\(\)\)$/.exec(text);
+    if (coalesce) return params[coalesce[1] - 1] ?? now();
+    const param = /^\$(\d+)(?:::\w+)?$/.exec(text);
+    if (param) return params[param[1] - 1];
+    throw new Error(`fakeDsql cannot evaluate ${text}`);
+  };
+
+  const insert = (table, columns, values, onConflict) => {
+    const row = {};
+    columns.forEach((column, i) => { row[column] = store(column, values[i] ?? null); });
+    const key = PRIMARY_KEYS[table] || 'id';
+    const index = tables[table].findIndex(existing => existing[key] === row[key]);
+    if (index === -1) tables[table].push(row);
+    else if (/DO UPDATE/.test(onConflict)) tables[table][index] = { ...tables[table][index], ...row };
+    else if (!onConflict) throw new Error(`duplicate key ${row[key]} in ${table}`);
+  };
+
+  return {
+    tables,
+    queries,
+    query: async (text, params = []) => {
+      queries.push({ text, params });
+      const sql = text.replace(/\s+/g, ' ').trim();
+      if (/^BEGIN/.test(sql)) {
+        snapshot = Object.fromEntries(Object.entries(tables).map(([table, rows]) => [table, rows.map(row => ({ ...row }))]));
+        return { rows: [], rowCount: 0 };
+      }
+      if (/^ROLLBACK/.test(sql)) {
+        if (snapshot) rollback();
+        return { rows: [], rowCount: 0 };
+      }
+      if (/^COMMIT/.test(sql)) {
+        if (conflictingCommits > 0) {
+          conflictingCommits -= 1;
+          rollback();
+          throw Object.assign(new Error('change conflicts with another transaction (OC000)'), { code: '40001' });
+        }
+        snapshot = null;
+        return { rows: [], rowCount: 0 };
+      }
+
+      let match = /^INSERT INTO (\w+) ?\(([^)]*)\) VALUES ?(.*?)( ON CONFLICT.*)?;?$/.exec(sql);
+      if (match) {
+        const [, table, columnList, tuples, onConflict = ''] = match;
+        const columns = columnList.split(',').map(column => column.trim());
+        const rows = [];
+        for (const tuple of splitTopLevel(tuples)) {
+          rows.push(splitTopLevel(tuple.trim().slice(1, -1)).map(expression => evaluate(expression, params)));
+        }
+        rows.forEach(values => insert(table, columns, values, onConflict));
+        return { rows: [], rowCount: rows.length };
+      }
+
+      match = /^UPDATE (\w+) SET (\w+) = (.+) WHERE (\w+) = \$(\d+);?$/.exec(sql);
+      if (match) {
+        const [, table, column, expression, key, index] = match;
+        const rows = tables[table].filter(row => row[key] === params[index - 1]);
+        rows.forEach(row => { row[column] = store(column, evaluate(expression, params)); });
+        return { rows: [], rowCount: rows.length };
+      }
+
+      match = /^SELECT .+? FROM (\w+) WHERE (\w+) = \$1(?: AND (\w+) > NOW\(\))?(?: ORDER BY (\w+))?(?: FOR UPDATE)?;?$/.exec(sql);
+      if (match) {
+        const [, table, key, future, orderBy] = match;
+        const rows = tables[table].filter(row => row[key] === params[0] && (!future || row[future] > storedTimestamp(now())));
+        if (orderBy) rows.sort((a, b) => String(a[orderBy]).localeCompare(String(b[orderBy])));
+        return { rows: rows.map(read), rowCount: rows.length };
+      }
+
+      match = /^DELETE FROM (\w+) WHERE id = (ANY\(\$1\)|\$1);?$/.exec(sql);
+      if (match) {
+        const ids = Array.isArray(params[0]) ? params[0] : [params[0]];
+        const before = tables[match[1]].length;
+        tables[match[1]] = tables[match[1]].filter(row => !ids.includes(row.id));
+        return { rows: [], rowCount: before - tables[match[1]].length };
+      }
+
+      throw new Error(`fakeDsql does not handle: ${sql}`);
+    }
+  };
+}
+
+function splitTopLevel(list) {
+  const parts = [''];
+  let depth = 0;
+  for (const char of list) {
+    if (char === '(') depth += 1;
+    if (char === ')') depth -= 1;
+    if (char === ',' && depth === 0) parts.push('');
+    else parts[parts.length - 1] += char;
+  }
+  return parts;
+}
+
+module.exports = { fakeDsql };
@@ -0,0 +1,27 @@
+const { prepareValue } = require('pg/lib/utils');
+const { utcTimestampTypes } = require('../../src/lib/dsqlPool');
+
+const TIMESTAMP_OID = 1114;
+
+/**
+ * What PostgreSQL keeps for a TIMESTAMP parameter: the text node-pg sends
+ * for it, with any offset dropped.
+ *
+ * @param {unknown} param
+ * @returns {string}
+ */
+function storedTimestamp(param) {
+  return String(prepareValue(param)).replace('T', ' ').replace(/(?:Z|[+-]\d{2}(?::?\d{2})?)$/i, '');
+}
+
+/**
+ * The stored text as a pool from lib/dsqlPool reads it back.
+ *
+ * @param {string} stored
+ * @returns {Date}
+ */
+function readTimestamp(stored) {
+  return utcTimestampTypes.getTypeParser(TIMESTAMP_OID, 'text')(stored);
+}
+
+module.exports = { readTimestamp, storedTimestamp };
@@ -0,0 +1,15 @@
+const fs = require('fs');
+const ts = require('typescript');
+
+/**
+ * Lets tests require the Lambda sources (src/*.ts) directly: each file is
+ * transpiled with the tsconfig.json module settings, without type checking
+ * (tsc --noEmit covers that).
+ */
+require.extensions['.ts'] = (module, filename) => {
+  const { outputText } = ts.transpileModule(fs.readFileSync(filename, 'utf8'), {
+    fileName: filename,
+    compilerOptions: { module: ts.ModuleKind.CommonJS, target: ts.ScriptTarget.ES2020, esModuleInterop: true }
+  });
+  module._compile(outputText, filename);
+};
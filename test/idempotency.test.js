@@ -0,0 +1,71 @@
+require('./helpers/typescript');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  InvalidIdempotencyKeyError,
+  fingerprintRequest,
+  readIdempotencyKey,
+  replayStoredResponse
+} = require('../src/idempotency.ts');
+const { DsqlSoulRepository } = require('../src/lib/dsqlSoulRepository');
+const { fakeDsql } = require('./helpers/fakeDsql');
+
+const request = { soulId: 's1', newStatus: 'Bound', amount: 10 };
+const body = JSON.stringify({ message: 'Soul contract updated' });
+
+test('the Idempotency-Key header is read whatever its case', () => {
+  assert.equal(readIdempotencyKey({ 'idempotency-key': ' abc ' }), 'abc');
+  assert.equal(readIdempotencyKey({ 'Idempotency-Key': 'abc' }), 'abc');
+  assert.equal(readIdempotencyKey(null), undefined);
+  assert.throws(() => readIdempotencyKey({ 'Idempotency-Key': ' ' }), InvalidIdempotencyKeyError);
+  assert.throws(() => readIdempotencyKey({ 'Idempotency-Key': 'k'.repeat(256) }), InvalidIdempotencyKeyError);
+});
+
+test('the fingerprint ignores field order but not values', () => {
+  assert.equal(fingerprintRequest(request), fingerprintRequest({ amount: 10, newStatus: 'Bound', soulId: 's1' }));
+  assert.notEqual(fingerprintRequest(request), fingerprintRequest({ ...request, amount: 11 }));
+});
+
+test('a repeated key replays the first response without writing again', async () => {
+  const db = fakeDsql();
+  const repository = new DsqlSoulRepository(db);
+  const idempotency = { key: 'k1', requestHash: fingerprintRequest(request), body, windowSeconds: 60 };
+
+  assert.equal((await repository.updateStatus({ ...request, idempotency })).kind, 'committed');
+  const repeat = await repository.updateStatus({ ...request, idempotency });
+
+  assert.equal(repeat.kind, 'replay');
+  assert.deepEqual(replayStoredResponse(repeat.stored, idempotency.requestHash), {
+    statusCode: 200,
+    headers: { 'Idempotent-Replayed': 'true' },
+    body
+  });
+  assert.equal(db.tables.soul_contract_events.length, 1);
+  assert.equal(db.tables.soul_ledger.length, 1);
+});
+
+test('a key reused for a different request is rejected with 422', async () => {
+  const repository = new DsqlSoulRepository(fakeDsql());
+  const first = { key: 'k1', requestHash: fingerprintRequest(request), body, windowSeconds: 60 };
+  await repository.updateStatus({ ...request, idempotency: first });
+
+  const changed = { ...request, amount: 99 };
+  const repeat = await repository.updateStatus({
+    ...changed,
+    idempotency: { ...first, requestHash: fingerprintRequest(changed) }
+  });
+  const response = replayStoredResponse(repeat.stored, fingerprintRequest(changed));
+  assert.equal(response.statusCode, 422);
+  assert.match(JSON.parse(response.body).error, /already used for a different request/);
+});
+
+test('an expired key no longer replays', async () => {
+  const db = fakeDsql();
+  const repository = new DsqlSoulRepository(db);
+  const idempotency = { key: 'k1', requestHash: fingerprintRequest(request), body, windowSeconds: -1 };
+  await repository.updateStatus({ ...request, idempotency });
+
+  assert.equal((await repository.updateStatus({ ...request, idempotency })).kind, 'committed');
+  assert.equal(db.tables.soul_ledger.length, 2);
+});
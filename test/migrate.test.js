@@ -0,0 +1,122 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const MigrationRunner = require('../scripts/migrate');
+
+const MIGRATIONS = {
+  '1_create_a.js': { description: 'a', up: 'CREATE TABLE a (id INT)', down: 'DROP TABLE a' },
+  '2_index_a.js': { description: 'index', up: 'CREATE INDEX ASYNC a_id ON a (id)', down: 'DROP INDEX a_id' },
+  '10_create_b.js': { description: 'b', up: 'CREATE TABLE b (id INT)' }
+};
+
+const directories = [];
+test.after(() => directories.forEach(directory => fs.rmSync(directory, { recursive: true, force: true })));
+
+function migrationsDirectory() {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-'));
+  directories.push(directory);
+  for (const [file, definition] of Object.entries(MIGRATIONS)) {
+    fs.writeFileSync(path.join(directory, file), `module.exports = ${JSON.stringify(definition)};\n`);
+  }
+  return directory;
+}
+
+// Records the statements of every committed transaction and keeps
+// schema_migrations in a Map; async index jobs complete on the first poll.
+function fakePool() {
+  const applied = new Map();
+  const transactions = [];
+  const polledJobs = [];
+  let open = null;
+  const client = {
+    query: async (text, params = []) => {
+      const sql = text.replace(/\s+/g, ' ').trim();
+      if (sql === 'BEGIN;') open = [];
+      else if (sql === 'COMMIT;') transactions.push(open);
+      else if (sql === 'ROLLBACK;') open = null;
+      else {
+        open.push(sql);
+        if (sql.startsWith('INSERT INTO schema_migrations')) applied.set(params[0], params[1]);
+        if (sql.startsWith('DELETE FROM schema_migrations')) applied.delete(params[0]);
+        if (sql.startsWith('CREATE INDEX ASYNC')) return { rows: [{ job_id: 'job-1' }] };
+      }
+      return { rows: [] };
+    },
+    release() {}
+  };
+  return {
+    applied,
+    transactions,
+    polledJobs,
+    connect: async () => client,
+    query: async (text, params = []) => {
+      if (/FROM schema_migrations/.test(text)) {
+        return { rows: Array.from(applied, ([version, name]) => ({ version, name, applied_at: new Date() })) };
+      }
+      if (/FROM sys\.jobs/.test(text)) {
+        polledJobs.push(params[0]);
+        return { rows: [{ status: 'COMPLETED' }] };
+      }
+      throw new Error(`unexpected query ${text}`);
+    }
+  };
+}
+
+test('up applies pending migrations in numeric version order', async () => {
+  const pool = fakePool();
+  const applied = await new MigrationRunner({ pool, directory: migrationsDirectory() }).up();
+
+  assert.deepEqual(applied.map(m => m.version), ['1', '2', '10']);
+  assert.deepEqual(Array.from(pool.applied.keys()), ['1', '2', '10']);
+  assert.deepEqual(pool.polledJobs, ['job-1']);
+});
+
+test('every DDL statement runs alone, with the bookkeeping insert in its own transaction', async () => {
+  const pool = fakePool();
+  await new MigrationRunner({ pool, directory: migrationsDirectory() }).up({ to: '2' });
+
+  assert.ok(pool.transactions.every(statements => statements.length === 1));
+  assert.deepEqual(pool.transactions.slice(1).map(([sql]) => sql.split(' ').slice(0, 3).join(' ')), [
+    'CREATE TABLE a',
+    'INSERT INTO schema_migrations',
+    'CREATE INDEX ASYNC',
+    'INSERT INTO schema_migrations'
+  ]);
+});
+
+test('a second up has nothing left to apply', async () => {
+  const pool = fakePool();
+  const runner = new MigrationRunner({ pool, directory: migrationsDirectory() });
+  await runner.up({ to: '2' });
+  assert.deepEqual((await runner.up()).map(m => m.version), ['10']);
+  assert.deepEqual(await runner.up(), []);
+});
+
+test('down reverts newest first, each revert and delete in separate transactions', async () => {
+  const pool = fakePool();
+  const runner = new MigrationRunner({ pool, directory: migrationsDirectory() });
+  await runner.up({ to: '2' });
+  const before = pool.transactions.length;
+
+  const reverted = await runner.down({ to: '0' });
+
+  assert.deepEqual(reverted.map(m => m.version), ['2', '1']);
+  assert.equal(pool.applied.size, 0);
+  assert.deepEqual(pool.transactions.slice(before + 1).map(([sql]) => sql), [
+    'DROP INDEX a_id',
+    'DELETE FROM schema_migrations WHERE version = $1',
+    'DROP TABLE a',
+    'DELETE FROM schema_migrations WHERE version = $1'
+  ]);
+});
+
+test('down stops at a migration without a down statement', async () => {
+  const pool = fakePool();
+  const runner = new MigrationRunner({ pool, directory: migrationsDirectory() });
+  await runner.up();
+
+  await assert.rejects(runner.down({ steps: 1 }), /10_create_b is irreversible/);
+  assert.ok(pool.applied.has('10'));
+});
@@ -0,0 +1,83 @@
+// Runs as if on a host west of UTC; must be set before any Date is used.
+process.env.TZ = 'America/New_York';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { isEmptyPlan, planRepair } = require('../src/lib/parityRepair');
+const { ParityRules } = require('../src/lib/parityRules');
+const { DsqlSoulRepository } = require('../src/lib/dsqlSoulRepository');
+const { DynamoSoulRepository } = require('../src/lib/dynamoSoulRepository');
+const { fakeDsql } = require('./helpers/fakeDsql');
+
+const contract = { soulId: 's1', status: 'Bound', soulType: null, contractLocation: null, updatedAt: null };
+const source = {
+  soulId: 's1',
+  contract,
+  events: [],
+  ledger: [{ timestamp: '2025-01-01T12:00:00.000Z', amount: -40, description: 'Refund', transactionType: 'refund' }]
+};
+const target = { soulId: 's1', contract, events: [], ledger: [] };
+
+test('a repair plan keeps the ledger transaction type', () => {
+  const { plan } = planRepair(source, target);
+  assert.equal(plan.addLedger[0].transactionType, 'refund');
+});
+
+test('DSQL applyRepair inserts the transaction type', async () => {
+  const db = fakeDsql();
+  await new DsqlSoulRepository(db).applyRepair(planRepair(source, target).plan);
+  assert.equal(db.tables.soul_ledger[0].transaction_type, 'refund');
+});
+
+test('a DSQL repair leaves nothing for the next check to repair', async () => {
+  const dynamo = {
+    soulId: 's2',
+    contract: { soulId: 's2', status: 'Bound', soulType: 'Vengeful', contractLocation: 'Texas', updatedAt: '2025-01-02T09:30:00.000Z' },
+    events: [
+      { timestamp: '2025-01-01T12:00:00.123Z', description: 'Bound' },
+      { timestamp: '2025-01-01T14:00:00.456+02:00', description: 'Ride' }
+    ],
+    ledger: [{ timestamp: '2025-01-02T09:30:00.000Z', amount: 100, description: 'Soul', transactionType: 'credit' }]
+  };
+  const rules = new ParityRules();
+  const match = { key: rules.keyFor(), accept: rules.accepts() };
+  const repository = new DsqlSoulRepository(fakeDsql());
+
+  const empty = { soulId: 's2', contract: null, events: [], ledger: [] };
+  await repository.applyRepair(planRepair(dynamo, empty, match).plan);
+
+  const dsql = await repository.getProfile('s2');
+  assert.ok(isEmptyPlan(planRepair(dynamo, dsql, { removeExtras: true, ...match }).plan));
+  assert.equal(dsql.contract.updatedAt, dynamo.contract.updatedAt);
+});
+
+test('amounts within the tolerance are not repaired', () => {
+  const rules = new ParityRules({ amount: { tolerance: 0.01 } });
+  const match = { key: rules.keyFor(), accept: rules.accepts() };
+  const close = { ...target, ledger: [{ ...source.ledger[0], amount: -40.005 }] };
+  assert.ok(isEmptyPlan(planRepair(source, close, { removeExtras: true, ...match }).plan));
+
+  const off = { ...target, ledger: [{ ...source.ledger[0], amount: -41 }] };
+  const { plan } = planRepair(source, off, { removeExtras: true, ...match });
+  assert.deepEqual(plan.addLedger.map(entry => entry.amount), [-40]);
+  assert.deepEqual(plan.removeLedger.map(entry => entry.amount), [-41]);
+});
+
+test('DynamoDB applyRepair writes the transaction_type attribute', async () => {
+  const puts = [];
+  const repository = new DynamoSoulRepository({
+    tableName: 'Test',
+    docClient: {
+      send: async command => {
+        if (command.constructor.name === 'BatchWriteCommand') {
+          command.input.RequestItems.Test.forEach(request => request.PutRequest && puts.push(request.PutRequest.Item));
+        }
+        return { Items: [] };
+      }
+    }
+  });
+  await repository.applyRepair(planRepair(source, target).plan);
+
+  assert.equal(puts.length, 1);
+  assert.equal(puts[0].transaction_type, 'refund');
+});
@@ -0,0 +1,39 @@
+// Runs as if on a host west of UTC; must be set before any Date is used.
+process.env.TZ = 'America/New_York';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ParityRules } = require('../src/lib/parityRules');
+
+test('the host is not on UTC', () => {
+  assert.equal(new Date('2025-01-01T12:00:00Z').getTimezoneOffset(), 300);
+});
+
+test('a DSQL timestamp with a zone is not shifted', () => {
+  const rules = new ParityRules();
+  // What DsqlSoulRepository hands back for a TIMESTAMP column.
+  const dsql = new Date('2025-01-01T12:00:00.123Z').toISOString();
+  assert.equal(rules.timestamp(dsql), '2025-01-01T12:00:00.123Z');
+  assert.equal(rules.timestamp(dsql), rules.timestamp('2025-01-01T12:00:00.123Z'));
+  assert.equal(rules.timestamp('2025-01-01T07:00:00.123-05:00'), '2025-01-01T12:00:00.123Z');
+});
+
+test('naive timestamps are read in the configured zone', () => {
+  assert.equal(new ParityRules().timestamp('2025-01-01 12:00:00.5'), '2025-01-01T12:00:00.500Z');
+  const local = new ParityRules({ timestamps: { timeZone: 'local' } });
+  assert.equal(local.timestamp('2025-01-01 12:00:00.5'), '2025-01-01T17:00:00.500Z');
+});
+
+test('matching entries from both backends share a key', () => {
+  const key = new ParityRules().keyFor();
+  const dynamo = { timestamp: '2025-01-01T12:00:00.123Z', description: 'Bound', amount: 10 };
+  const dsql = { timestamp: new Date('2025-01-01T12:00:00.123Z').toISOString(), description: 'Bound', amount: 10 };
+  assert.equal(key(dynamo), key(dsql));
+});
+
+test('entries with amounts within the tolerance are accepted as a match', () => {
+  const accept = new ParityRules({ amount: { tolerance: 0.5 } }).accepts();
+  assert.ok(accept({ amount: 10 }, { amount: '10.4' }));
+  assert.ok(!accept({ amount: 10 }, { amount: 10.6 }));
+  assert.ok(!new ParityRules().accepts()({ amount: 10 }, { amount: 10.01 }));
+});
@@ -0,0 +1,28 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { TokenBucket } = require('../src/lib/rateLimiter');
+
+test('a cost above the burst waits for a full bucket and leaves debt', async () => {
+  const bucket = new TokenBucket({ ratePerSecond: 100, burst: 10 });
+
+  await bucket.take(25);
+  assert.equal(bucket.waitedMs, 0, 'a full bucket covers the burst part at once');
+  assert.ok(bucket.tokens <= -14 && bucket.tokens > -15.5, `expected ~-15 tokens of debt, got ${bucket.tokens}`);
+
+  // The next taker pays off the debt: 15 tokens + 1 at 100/s is ~160 ms.
+  await bucket.take(1);
+  assert.ok(bucket.waitedMs >= 140 && bucket.waitedMs <= 170, `expected ~160 ms wait, got ${bucket.waitedMs}`);
+});
+
+test('settle charges extra cost and caps refunds at the burst size', () => {
+  const bucket = new TokenBucket({ ratePerSecond: 1, burst: 10 });
+
+  bucket.settle(4);
+  assert.ok(Math.abs(bucket.tokens - 6) < 0.1, `expected ~6 tokens, got ${bucket.tokens}`);
+
+  bucket.settle(-100);
+  assert.equal(bucket.tokens, 10);
+
+  bucket.settle(25);
+  assert.ok(bucket.tokens < -14, `settling more than the balance leaves debt, got ${bucket.tokens}`);
+});
@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const SeedData = require('../scripts/seedData');
+const { DynamoSoulRepository } = require('../src/lib/dynamoSoulRepository');
+
+// The case that used to drop rows: refunds clamped onto the reference time.
+const options = { profile: 'zipf-hot-souls', seed: 42, soulCount: 1000, eventsPerSoul: 50, ledgerEntries: 5000 };
+
+test('refunds fall after their credit and before the reference time', () => {
+  const seeder = new SeedData(options);
+  const now = seeder.config.referenceTime.getTime();
+  const { ledgerEntries } = seeder.prepareDataset();
+
+  const refunds = ledgerEntries.filter(entry => entry.transactionType === 'refund');
+  assert.ok(refunds.length > 0);
+  for (const refund of refunds) {
+    assert.ok(refund.timestamp.getTime() < now, `refund at ${refund.timestamp.toISOString()} is not before the reference time`);
+  }
+  assert.ok(refunds.filter(refund => refund.timestamp.getTime() === now - 1).length <= 1);
+});
+
+test('every seeded row gets its own DynamoDB item', async () => {
+  const dataset = new SeedData(options).prepareDataset();
+  const repository = new DynamoSoulRepository({ region: 'us-east-1', tableName: 'Test' });
+  const keys = new Set();
+  repository.docClient = {
+    send: async command => {
+      for (const { PutRequest } of command.input.RequestItems.Test) {
+        keys.add(`${PutRequest.Item.PK}|${PutRequest.Item.SK}`);
+      }
+      return {};
+    }
+  };
+
+  await repository.bulkLoad(dataset, { concurrency: 4 });
+  const events = dataset.souls.reduce((sum, soul) => sum + soul.events.length, 0);
+  assert.equal(keys.size, dataset.souls.length + events + dataset.ledgerEntries.length);
+});
@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  STATUSES,
+  allowedPredecessors,
+  allowedTransitions,
+  canTransition,
+  isKnownStatus
+} = require('../src/lib/soulStatus');
+const { DsqlSoulRepository } = require('../src/lib/dsqlSoulRepository');
+const { DynamoSoulRepository } = require('../src/lib/dynamoSoulRepository');
+const { fakeDsql } = require('./helpers/fakeDsql');
+
+test('new contracts start Bound', () => {
+  assert.ok(canTransition(null, 'Bound'));
+  assert.ok(canTransition(undefined, 'Bound'));
+  for (const status of ['Pending_Judgment', 'Redeemed', 'Condemned']) {
+    assert.ok(!canTransition(null, status), status);
+  }
+  assert.deepEqual(allowedTransitions(null), ['Bound']);
+});
+
+test('open contracts move along the documented edges', () => {
+  assert.deepEqual(allowedTransitions('Bound'), ['Bound', 'Pending_Judgment', 'Redeemed', 'Condemned']);
+  assert.deepEqual(allowedTransitions('Pending_Judgment'), ['Pending_Judgment', 'Bound', 'Redeemed', 'Condemned']);
+});
+
+test('Redeemed and Condemned are final except for re-applying them', () => {
+  for (const final of ['Redeemed', 'Condemned']) {
+    assert.deepEqual(allowedTransitions(final), [final]);
+    for (const to of STATUSES.filter(status => status !== final)) {
+      assert.ok(!canTransition(final, to), `${final} -> ${to}`);
+    }
+  }
+});
+
+test('unknown statuses are rejected on either side', () => {
+  assert.ok(!isKnownStatus('Signed'));
+  assert.ok(!isKnownStatus(undefined));
+  assert.ok(!canTransition('Bound', 'Signed'));
+  assert.ok(!canTransition('Signed', 'Redeemed'));
+  assert.deepEqual(allowedTransitions('Signed'), []);
+});
+
+test('predecessors are the statuses a move is legal from', () => {
+  assert.deepEqual(allowedPredecessors('Bound'), ['Bound', 'Pending_Judgment']);
+  assert.deepEqual(allowedPredecessors('Condemned'), ['Bound', 'Pending_Judgment', 'Condemned']);
+});
+
+test('DSQL refuses an illegal transition and writes nothing', async () => {
+  const db = fakeDsql();
+  const repository = new DsqlSoulRepository(db);
+  assert.equal((await repository.updateStatus({ soulId: 's1', newStatus: 'Redeemed', amount: 1 })).kind, 'illegal-transition');
+  assert.equal(db.tables.soul_contracts.length, 0);
+
+  await repository.updateStatus({ soulId: 's1', newStatus: 'Bound', amount: 1 });
+  await repository.updateStatus({ soulId: 's1', newStatus: 'Condemned', amount: 1 });
+  const outcome = await repository.updateStatus({ soulId: 's1', newStatus: 'Bound', amount: 1 });
+
+  assert.deepEqual({ kind: outcome.kind, currentStatus: outcome.currentStatus }, { kind: 'illegal-transition', currentStatus: 'Condemned' });
+  assert.equal(db.tables.soul_contracts[0].contract_status, 'Condemned');
+  assert.equal(db.tables.soul_ledger.length, 2);
+});
+
+test('DynamoDB conditions the update on the allowed predecessors', async () => {
+  const sent = [];
+  const repository = new DynamoSoulRepository({
+    tableName: 'Test',
+    docClient: {
+      send: async command => {
+        sent.push(command);
+        if (command.constructor.name === 'GetCommand') return { Item: { status: 'Redeemed' } };
+        const err = Object.assign(new Error('cancelled'), {
+          name: 'TransactionCanceledException',
+          CancellationReasons: [{ Code: 'ConditionalCheckFailed' }, { Code: 'None' }, { Code: 'None' }]
+        });
+        throw err;
+      }
+    }
+  });
+  const outcome = await repository.updateStatus({ soulId: 's1', newStatus: 'Pending_Judgment', amount: 1 });
+
+  assert.deepEqual({ kind: outcome.kind, currentStatus: outcome.currentStatus }, { kind: 'illegal-transition', currentStatus: 'Redeemed' });
+  const update = sent[0].input.TransactItems[0].Update;
+  const from = Object.keys(update.ExpressionAttributeValues).filter(name => name.startsWith(':from'));
+  assert.deepEqual(from.map(name => update.ExpressionAttributeValues[name]), ['Bound', 'Pending_Judgment']);
+  assert.doesNotMatch(update.ConditionExpression, /attribute_not_exists\(PK\)/);
+});
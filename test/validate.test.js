@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const DataValidator = require('../scripts/validate');
+const { ParityRules } = require('../src/lib/parityRules');
+
+const profile = (soulId, location, amounts, { status = 'Bound', events = 2 } = {}) => ({
+  soulId,
+  contract: { soulId, status, contractLocation: location },
+  events: Array.from({ length: events }, (_, i) => ({ timestamp: `2025-01-01T00:00:0${i}.000Z`, description: 'Event' })),
+  ledger: amounts.map((amount, i) => ({ timestamp: `2025-01-01T00:01:0${i}.000Z`, amount, description: 'Entry' }))
+});
+
+// Both sides as scanProfiles streams them, each in its own order.
+function validatorFor(dynamoProfiles, dsqlProfiles, rules = {}) {
+  const validator = new DataValidator();
+  validator.rules = new ParityRules(rules);
+  validator.dynamo = { scanProfiles: async ({ onProfile }) => dynamoProfiles.forEach(onProfile) };
+  validator.dsql = { scanProfiles: async ({ onProfile }) => dsqlProfiles.slice().reverse().forEach(onProfile) };
+  return validator;
+}
+
+test('matching summaries report no drift', async () => {
+  const souls = [profile('s1', 'Texas', [10, 0.1]), profile('s2', 'Nevada', [0.2, -5])];
+  const validator = validatorFor(souls, souls);
+  await validator.validateDataConsistency();
+
+  assert.deepEqual(validator.errors, []);
+  assert.equal(validator.driftIssues, 0);
+});
+
+test('DSQL column names and numeric strings match through the rules', async () => {
+  const dynamo = [profile('s1', 'Texas', [10.5, 4])];
+  const dsql = [{
+    ...profile('s1', null, ['10.5', '4']),
+    contract: { soulId: 's1', contract_status: 'Bound', contract_location: 'Texas' }
+  }];
+  const validator = validatorFor(dynamo, dsql);
+  await validator.validateDataConsistency();
+
+  assert.deepEqual(validator.errors, []);
+});
+
+test('ledger sums within the amount tolerance match', async () => {
+  const validator = validatorFor([profile('s1', 'Texas', [10])], [profile('s1', 'Texas', [10.004])], { amount: { tolerance: 0.01 } });
+  await validator.validateDataConsistency();
+
+  assert.deepEqual(validator.errors, []);
+});
+
+test('drift is reported per soul and per location', async () => {
+  const dynamo = [profile('s1', 'Texas', [10, 5]), profile('s2', 'Texas', [1], { status: 'Redeemed' })];
+  const dsql = [
+    profile('s1', 'Texas', [10], { events: 3 }),
+    profile('s2', 'Texas', [1], { status: 'Bound' }),
+    profile('s3', 'Nevada', [7])
+  ];
+  const validator = validatorFor(dynamo, dsql);
+  await validator.validateDataConsistency();
+
+  assert.deepEqual(validator.errors, [
+    'Contract count mismatch: DynamoDB=2, DSQL=3',
+    'Event count mismatch for s1: DynamoDB=2, DSQL=3',
+    'Ledger entry count mismatch for s1: DynamoDB=2, DSQL=1',
+    'Ledger sum mismatch for s1: DynamoDB=15, DSQL=10',
+    'Status mismatch for s2: DynamoDB=Redeemed, DSQL=Bound',
+    'Soul s3 exists in DSQL but not DynamoDB',
+    'Totals for Nevada differ: DynamoDB=0 souls/0 events/0 ledger entries/sum 0, DSQL=1 souls/2 events/1 ledger entries/sum 7',
+    'Totals for Texas differ: DynamoDB=2 souls/4 events/3 ledger entries/sum 16, DSQL=2 souls/5 events/2 ledger entries/sum 11'
+  ]);
+  assert.equal(validator.driftIssues, 8);
+});